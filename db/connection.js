@@ -6,12 +6,20 @@ const convertQuestionMarksToDollarSigns = (sql) => {
   return sql.replace(/\?/g, () => `$${++index}`);
 };
 
+// Devuelve las filas de un SELECT (o de un RETURNING). En INSERT, UPDATE y DELETE sin RETURNING devuelve
+// un objeto con affectedRows en los dos motores (en MySQL es el ResultSetHeader, que además trae insertId)
 const queryWrapper = async (client, sql, params) => {
   if (dbType === 'postgres') {
     sql = convertQuestionMarksToDollarSigns(sql);
   }
   const result = await client.query(sql, params);
-  return result.rows ? result.rows : result[0];
+  if (!result.rows) {
+    return result[0];
+  }
+  if (['INSERT', 'UPDATE', 'DELETE'].includes(result.command) && result.fields.length === 0) {
+    return { affectedRows: result.rowCount };
+  }
+  return result.rows;
 };
 
 const getConnection = async () => {
@@ -19,49 +27,51 @@ const getConnection = async () => {
     const connection = await mysqlPool.getConnection();
     return {
       query: (sql, params) => queryWrapper(connection, sql, params),
-      release: () => connection.release(),
-      format: (sql, params) => connection.format(sql, params)
+      release: () => connection.release()
     };
   } else if (dbType === 'postgres') {
     const client = await postgresPool.connect();
     return {
       query: (sql, params) => queryWrapper(client, sql, params),
-      release: () => client.release(),
-      format: (sql, params) => {
-        return sql.replace(/\?/g, (_, i) => `$${params[i - 1]}`);
-      }
+      release: () => client.release()
     };
   } else {
     throw new Error('Tipo de base de datos no soportada');
   }
 };
 
-const getOrCreate = async (connection, table, data, uniqueField) => {
-  try {
-    const selectQuery = connection.format(`SELECT * FROM ${table} WHERE ${uniqueField} = ?`, [data[uniqueField]]);
-    const rows = await connection.query(selectQuery);
-    if (rows.length > 0) {
-      return rows[0];
-    }
-
-    const insertQuery = connection.format(`INSERT INTO ${table} SET ?`, data);
-    const result = await connection.query(insertQuery);
-    data.id = result.insertId || result[0]?.id; // Manejo de IDs para MySQL y PostgreSQL
+// Inserta una fila y devuelve el ID generado (insertId en MySQL, RETURNING en PostgreSQL)
+const insertRow = async (connection, table, data, primaryKey) => {
+  const columns = Object.keys(data);
+  let sql = `INSERT INTO ${table} (${columns.join(', ')}) VALUES (${columns.map(() => '?').join(', ')})`;
+  if (dbType === 'postgres') {
+    sql += ` RETURNING ${primaryKey}`;
+  }
+  const result = await connection.query(sql, columns.map((column) => data[column]));
+  return dbType === 'postgres' ? result[0][primaryKey] : result.insertId;
+};
 
-    const selectQuery2 = connection.format(`SELECT * FROM ${table} WHERE ${uniqueField} = ?`, [data[uniqueField]]);
-    const rows2 = await connection.query(selectQuery2);
-    if (rows2.length > 0) {
-      return { ...data, ...rows2[0] };
+/**
+ * Handler de Express que trabaja con una conexión del pool: handler(connection, req, res). La conexión se
+ * libera al terminar; si algo falla se registra el error y se responde 500 con { error: `${message}.` }.
+ */
+const withConnection = (message, handler) => async (req, res) => {
+  let connection;
+  try {
+    connection = await getConnection();
+    await handler(connection, req, res);
+  } catch (err) {
+    console.error(`${message}:`, err);
+    res.status(500).json({ error: `${message}.` });
+  } finally {
+    if (connection) {
+      connection.release();
     }
-
-    return data;
-  } catch (error) {
-    console.error(`Error en getOrCreate para la tabla ${table} con el campo ${uniqueField}:`, error);
-    throw error;
   }
 };
 
 module.exports = {
   getConnection,
-  getOrCreate
+  insertRow,
+  withConnection
 };
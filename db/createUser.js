@@ -0,0 +1,57 @@
+/**
+ * Crea una cuenta de usuario desde la consola; sirve para el primer administrador de una base nueva.
+ *
+ *   npm run user:create -- <email> <rol> [id_programa]
+ *
+ * rol es admin, coordinador o lectura (el coordinador necesita id_programa). La contraseña se toma
+ * de la variable USER_PASSWORD o, si no está, se genera una y se muestra una sola vez.
+ */
+const crypto = require('crypto');
+const { getConnection, insertRow } = require('./connection');
+const { hashPassword } = require('../services/auth');
+const { ROLES } = require('../utils/schemas');
+
+const main = async () => {
+  const [email, rol, idPrograma] = process.argv.slice(2);
+  if (!email || !ROLES.includes(rol) || (rol === 'coordinador' && !idPrograma)) {
+    console.error(`Uso: npm run user:create -- <email> <${ROLES.join('|')}> [id_programa]`);
+    process.exitCode = 1;
+    return;
+  }
+
+  const password = process.env.USER_PASSWORD || crypto.randomBytes(12).toString('base64url');
+  let connection;
+  try {
+    connection = await getConnection();
+    const existing = await connection.query('SELECT id_usuario FROM p_usuario WHERE email = ?', [email.toLowerCase()]);
+    if (existing.length > 0) {
+      console.error(`Ya existe un usuario con el correo ${email}.`);
+      process.exitCode = 1;
+      return;
+    }
+
+    const id = await insertRow(connection, 'p_usuario', {
+      email: email.toLowerCase(),
+      nombre: email,
+      password_hash: await hashPassword(password),
+      rol,
+      id_programa: rol === 'coordinador' ? Number(idPrograma) : null,
+      activo: true,
+      creado_en: new Date()
+    }, 'id_usuario');
+
+    console.log(`Usuario ${email} creado con ID ${id} y rol ${rol}.`);
+    if (!process.env.USER_PASSWORD) {
+      console.log(`Contraseña generada: ${password}`);
+    }
+  } catch (err) {
+    console.error('Error al crear el usuario:', err);
+    process.exitCode = 1;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+main().then(() => process.exit());
@@ -0,0 +1,111 @@
+// Metadatos de las tablas de datos. De aquí salen el SQL de db/repository.js, las relaciones que se
+// pueden expandir (services/expand.js), los registros que frenan un DELETE (services/dependents.js) y
+// las llaves que usan la carga masiva y la importación. Agregar una entidad es agregarla aquí.
+
+const { FIELDS } = require('../utils/schemas');
+
+// Llaves y columnas de una entidad con esquema en utils/schemas.js
+const fromSchema = (name) => ({
+  schema: name,
+  primaryKey: FIELDS[name].primaryKey,
+  naturalKey: FIELDS[name].naturalKey,
+  columns: Object.keys(FIELDS[name].properties)
+});
+
+// Llave foránea: columna y tabla referenciada; required si la columna es NOT NULL
+const relation = (column, table, required = false) => ({ column, table, required });
+
+/**
+ * Por tabla: llave primaria, llave natural (identifica el registro sin su ID; null si no hay), columnas
+ * que se escriben (sin la llave primaria ni deleted_at), softDelete si tiene borrado lógico y relations,
+ * las llaves foráneas por el nombre con el que se expanden.
+ */
+const ENTITIES = {
+  p_cargo_contacto: {
+    schema: null,
+    primaryKey: 'id_cargo_contacto',
+    naturalKey: 'nombre',
+    columns: ['nombre'],
+    softDelete: false,
+    relations: {}
+  },
+  p_programa: {
+    ...fromSchema('Programa'),
+    softDelete: true,
+    relations: {}
+  },
+  p_contacto: {
+    ...fromSchema('Contacto'),
+    softDelete: true,
+    relations: {
+      cargo: relation('id_cargo_contacto', 'p_cargo_contacto')
+    }
+  },
+  p_jefe: {
+    ...fromSchema('Jefe'),
+    softDelete: true,
+    relations: {
+      cargo: relation('id_cargo_contacto', 'p_cargo_contacto')
+    }
+  },
+  p_empresa: {
+    ...fromSchema('Empresa'),
+    softDelete: true,
+    relations: {
+      jefe_inmediato: relation('id_jefe_inmediato', 'p_contacto')
+    }
+  },
+  p_estudiante: {
+    ...fromSchema('Estudiante'),
+    softDelete: true,
+    relations: {
+      contacto: relation('id_contacto', 'p_contacto')
+    }
+  },
+  p_practica: {
+    ...fromSchema('Practica'),
+    softDelete: true,
+    relations: {
+      programa: relation('id_programa', 'p_programa', true),
+      estudiante: relation('id_estudiante', 'p_estudiante', true),
+      empresa: relation('id_empresa', 'p_empresa', true),
+      contacto: relation('id_contacto', 'p_contacto'),
+      jefe: relation('id_jefe', 'p_jefe')
+    }
+  },
+  // Tablas de administración: sin borrado lógico y sin relaciones declaradas, así que no se expanden ni
+  // cuentan como dependientes (p_usuario.id_programa no frena la eliminación lógica de un programa)
+  p_perfil_importacion: {
+    schema: null,
+    primaryKey: 'id_perfil_importacion',
+    naturalKey: 'nombre',
+    columns: ['nombre', 'hoja', 'columnas'],
+    softDelete: false,
+    relations: {}
+  },
+  p_usuario: {
+    schema: null,
+    primaryKey: 'id_usuario',
+    naturalKey: 'email',
+    columns: ['email', 'nombre', 'password_hash', 'rol', 'id_programa', 'activo', 'creado_en'],
+    softDelete: false,
+    relations: {}
+  }
+};
+
+Object.keys(ENTITIES).forEach((table) => {
+  ENTITIES[table].table = table;
+});
+
+// Metadatos de una tabla; falla si la tabla no está declarada
+const entityOf = (table) => {
+  if (!ENTITIES[table]) {
+    throw new Error(`No hay metadatos para la tabla ${table}.`);
+  }
+  return ENTITIES[table];
+};
+
+module.exports = {
+  ENTITIES,
+  entityOf
+};
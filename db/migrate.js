@@ -0,0 +1,142 @@
+/**
+ * Migraciones del esquema para MySQL y PostgreSQL (según DB_TYPE).
+ *
+ *   npm run migrate                 aplica las migraciones pendientes
+ *   npm run migrate -- down [n]     revierte las últimas n migraciones aplicadas (por defecto 1)
+ *   npm run migrate -- status       muestra qué migraciones están aplicadas
+ *   npm run migrate -- baseline <v> marca como aplicadas, sin ejecutarlas, las migraciones hasta la versión v
+ *                                   (para bases que ya tenían esas tablas creadas a mano)
+ *
+ * Cada migración es un archivo NNN_nombre.js en db/migrations que exporta las sentencias de
+ * up y down para cada motor. Las versiones aplicadas quedan en la tabla p_migracion.
+ * En PostgreSQL cada migración corre en una transacción; en MySQL el DDL no es transaccional,
+ * así que si una sentencia falla se informa cuál fue para corregirla a mano.
+ */
+const fs = require('fs');
+const path = require('path');
+const { getConnection } = require('./connection');
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+const dbType = process.env.DB_TYPE;
+
+const loadMigrations = () => fs.readdirSync(MIGRATIONS_DIR)
+  .filter((file) => /^\d+_.+\.js$/.test(file))
+  .sort()
+  .map((file) => ({ version: path.basename(file, '.js'), ...require(path.join(MIGRATIONS_DIR, file)) }));
+
+const ensureMigrationsTable = async (connection) => {
+  const timestamp = dbType === 'postgres' ? 'TIMESTAMP' : 'DATETIME';
+  await connection.query(`CREATE TABLE IF NOT EXISTS p_migracion (
+    version VARCHAR(255) PRIMARY KEY,
+    aplicada_en ${timestamp} NOT NULL
+  )`);
+};
+
+const appliedVersions = async (connection) => {
+  const rows = await connection.query('SELECT version FROM p_migracion ORDER BY version');
+  return rows.map((row) => row.version);
+};
+
+const runStatements = async (connection, migration, direction) => {
+  const statements = migration[direction][dbType];
+  if (dbType === 'postgres') {
+    await connection.query('BEGIN');
+  }
+  try {
+    for (const [i, sql] of statements.entries()) {
+      try {
+        await connection.query(sql);
+      } catch (err) {
+        err.message = `${migration.version} (${direction}), sentencia ${i + 1}: ${err.message}`;
+        throw err;
+      }
+    }
+    if (direction === 'up') {
+      await connection.query('INSERT INTO p_migracion (version, aplicada_en) VALUES (?, ?)', [migration.version, new Date()]);
+    } else {
+      await connection.query('DELETE FROM p_migracion WHERE version = ?', [migration.version]);
+    }
+    if (dbType === 'postgres') {
+      await connection.query('COMMIT');
+    }
+  } catch (err) {
+    if (dbType === 'postgres') {
+      await connection.query('ROLLBACK').catch(() => {});
+    }
+    throw err;
+  }
+};
+
+const up = async (connection, migrations, applied) => {
+  const pending = migrations.filter((migration) => !applied.includes(migration.version));
+  if (pending.length === 0) {
+    console.log('No hay migraciones pendientes.');
+    return;
+  }
+  for (const migration of pending) {
+    await runStatements(connection, migration, 'up');
+    console.log(`Aplicada ${migration.version}`);
+  }
+};
+
+const down = async (connection, migrations, applied, steps) => {
+  const toRevert = migrations.filter((migration) => applied.includes(migration.version)).reverse().slice(0, steps);
+  if (toRevert.length === 0) {
+    console.log('No hay migraciones aplicadas.');
+    return;
+  }
+  for (const migration of toRevert) {
+    await runStatements(connection, migration, 'down');
+    console.log(`Revertida ${migration.version}`);
+  }
+};
+
+const status = (migrations, applied) => {
+  migrations.forEach((migration) => {
+    console.log(`${applied.includes(migration.version) ? '[x]' : '[ ]'} ${migration.version}`);
+  });
+  const unknown = applied.filter((version) => !migrations.some((migration) => migration.version === version));
+  unknown.forEach((version) => console.log(`[?] ${version} (aplicada, pero no existe el archivo)`));
+};
+
+const baseline = async (connection, migrations, applied, version) => {
+  if (!migrations.some((migration) => migration.version === version)) {
+    throw new Error(`No existe la migración ${version}.`);
+  }
+  for (const migration of migrations.filter((m) => m.version <= version && !applied.includes(m.version))) {
+    await connection.query('INSERT INTO p_migracion (version, aplicada_en) VALUES (?, ?)', [migration.version, new Date()]);
+    console.log(`Marcada como aplicada ${migration.version}`);
+  }
+};
+
+const main = async () => {
+  const [command = 'up', arg] = process.argv.slice(2);
+  let connection;
+  try {
+    connection = await getConnection();
+    await ensureMigrationsTable(connection);
+    const migrations = loadMigrations();
+    const applied = await appliedVersions(connection);
+
+    if (command === 'up') {
+      await up(connection, migrations, applied);
+    } else if (command === 'down') {
+      await down(connection, migrations, applied, arg ? Number(arg) : 1);
+    } else if (command === 'status') {
+      status(migrations, applied);
+    } else if (command === 'baseline') {
+      await baseline(connection, migrations, applied, arg);
+    } else {
+      throw new Error(`Comando desconocido: ${command}. Use up, down, status o baseline.`);
+    }
+  } catch (err) {
+    console.error('Error al ejecutar las migraciones:', err.message);
+    process.exitCode = 1;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+main().then(() => process.exit());
@@ -0,0 +1,185 @@
+/**
+ * Copia los datos de las tablas anteriores (contacto, jefe, empresa, estudiante, practica)
+ * al esquema unificado p_*. Se ejecuta una vez, después de aplicar la migración 005_unificacion:
+ *
+ *   npm run migrate:legacy
+ *
+ * Todo corre en una sola transacción. Los registros que ya existen en p_* (mismo correo o nombre
+ * para contactos y jefes, mismo NIT para empresas, mismo documento para estudiantes) se reutilizan,
+ * así que se puede volver a ejecutar sin duplicar datos.
+ */
+const { getConnection, insertRow } = require('./connection');
+
+const LEGACY_TABLES = ['contacto', 'jefe', 'empresa', 'estudiante', 'practica'];
+
+// Tablas heredadas que no existen en la base de datos (vacía si están todas)
+const missingLegacyTables = async (connection) => {
+  const schema = process.env.DB_TYPE === 'postgres' ? 'current_schema()' : 'DATABASE()';
+  const rows = await connection.query(
+    `SELECT table_name AS nombre FROM information_schema.tables WHERE table_schema = ${schema} AND table_name IN (${LEGACY_TABLES.map(() => '?').join(', ')})`,
+    LEGACY_TABLES
+  );
+  const present = rows.map((row) => row.nombre);
+  return LEGACY_TABLES.filter((table) => !present.includes(table));
+};
+
+// Busca por la primera columna que tenga valor; si no encuentra nada, inserta
+const findOrInsert = async (connection, table, primaryKey, data, lookups) => {
+  for (const column of lookups) {
+    if (data[column] !== null && data[column] !== undefined && data[column] !== '') {
+      const rows = await connection.query(`SELECT ${primaryKey} FROM ${table} WHERE ${column} = ?`, [data[column]]);
+      if (rows.length > 0) {
+        return { id: rows[0][primaryKey], created: false };
+      }
+    }
+  }
+  return { id: await insertRow(connection, table, data, primaryKey), created: true };
+};
+
+const cargoId = async (connection, nombre) => {
+  if (!nombre) {
+    return null;
+  }
+  const { id } = await findOrInsert(connection, 'p_cargo_contacto', 'id_cargo_contacto', { nombre }, ['nombre']);
+  return id;
+};
+
+const migrate = async (connection) => {
+  const counts = {};
+  const count = (table, created) => {
+    counts[table] = counts[table] || { creados: 0, existentes: 0 };
+    counts[table][created ? 'creados' : 'existentes']++;
+  };
+
+  const contactos = new Map();
+  for (const row of await connection.query('SELECT * FROM contacto')) {
+    const { id, created } = await findOrInsert(connection, 'p_contacto', 'id_contacto', {
+      nombre: row.nombre_contacto,
+      telefono: row.telefono_contacto,
+      celular: row.celular_contacto,
+      email: row.email_contacto,
+      direccion: row.direccion_contacto,
+      id_cargo_contacto: await cargoId(connection, row.cargo_contacto)
+    }, ['email', 'nombre']);
+    contactos.set(row.id, id);
+    count('p_contacto', created);
+  }
+
+  const jefes = new Map();
+  for (const row of await connection.query('SELECT * FROM jefe')) {
+    const { id, created } = await findOrInsert(connection, 'p_jefe', 'id_jefe', {
+      nombre: row.nombre_jefe,
+      telefono: row.telefono_jefe,
+      email: row.correo_jefe,
+      id_cargo_contacto: await cargoId(connection, row.cargo_jefe)
+    }, ['email', 'nombre']);
+    jefes.set(row.id, id);
+    count('p_jefe', created);
+  }
+
+  // Las fechas de la práctica estaban en la tabla empresa; se guardan para pasarlas a p_practica
+  const empresas = new Map();
+  for (const row of await connection.query('SELECT * FROM empresa')) {
+    const { id, created } = await findOrInsert(connection, 'p_empresa', 'id_empresa', {
+      nit: row.nit,
+      razon_social: row.nombre_empresa
+    }, ['nit']);
+    empresas.set(row.id, {
+      id,
+      fec_inicio: row.fecha_inicio,
+      fec_termina: row.fecha_terminacion,
+      dias_pract: row.total_dias_practica
+    });
+    count('p_empresa', created);
+  }
+
+  const estudiantes = new Map();
+  for (const row of await connection.query('SELECT * FROM estudiante')) {
+    const { id, created } = await findOrInsert(connection, 'p_estudiante', 'id_estudiante', {
+      documento: row.documento,
+      nombres: row.nombre,
+      edad: row.edad,
+      direccion: row.direccion_residencia,
+      telefono: row.telefono_residencia,
+      celular: row.celular
+    }, ['documento']);
+    estudiantes.set(String(row.documento), id);
+    count('p_estudiante', created);
+  }
+
+  const programas = new Map();
+  const skipped = [];
+  for (const row of await connection.query('SELECT * FROM practica')) {
+    const idEstudiante = estudiantes.get(String(row.documento_estudiante));
+    const empresa = empresas.get(row.id_empresa);
+    if (!idEstudiante || !empresa || !row.programa) {
+      skipped.push(row.id);
+      continue;
+    }
+    if (!programas.has(row.programa)) {
+      const { id } = await findOrInsert(connection, 'p_programa', 'id_programa', { nombre: row.programa }, ['nombre']);
+      programas.set(row.programa, id);
+    }
+    const data = {
+      id_programa: programas.get(row.programa),
+      id_estudiante: idEstudiante,
+      id_empresa: empresa.id,
+      id_contacto: contactos.get(row.id_contacto) || null,
+      id_jefe: jefes.get(row.id_jefe) || null,
+      fec_inicio: empresa.fec_inicio,
+      fec_termina: empresa.fec_termina,
+      dias_pract: empresa.dias_pract,
+      clasificaciones: row.clasificaciones,
+      no_folio: row.no_folio,
+      fecha_entrega_facultad: row.fecha_entrega_facultad,
+      numero_practica_inscribe: row.numero_practica_inscribe,
+      fecha_inscripcion_materia: row.fecha_inscripcion_materia,
+      nrc: row.nrc
+    };
+    const existing = await connection.query(
+      'SELECT id_practica FROM p_practica WHERE id_estudiante = ? AND id_empresa = ? AND id_programa = ? AND (numero_practica_inscribe = ? OR numero_practica_inscribe IS NULL)',
+      [data.id_estudiante, data.id_empresa, data.id_programa, data.numero_practica_inscribe]
+    );
+    if (existing.length === 0) {
+      await insertRow(connection, 'p_practica', data, 'id_practica');
+    }
+    count('p_practica', existing.length === 0);
+  }
+
+  return { counts, skipped };
+};
+
+const main = async () => {
+  let connection;
+  try {
+    connection = await getConnection();
+    const missing = await missingLegacyTables(connection);
+    if (missing.length > 0) {
+      console.log(`No se encontraron las tablas anteriores: ${missing.join(', ')}. No hay nada que migrar.`);
+      return;
+    }
+
+    await connection.query('BEGIN');
+    const { counts, skipped } = await migrate(connection);
+    await connection.query('COMMIT');
+
+    Object.keys(counts).forEach((table) => {
+      console.log(`${table}: ${counts[table].creados} creados, ${counts[table].existentes} ya existían`);
+    });
+    if (skipped.length > 0) {
+      console.log(`Prácticas omitidas por no tener estudiante, empresa o programa: ${skipped.join(', ')}`);
+    }
+  } catch (err) {
+    if (connection) {
+      await connection.query('ROLLBACK').catch(() => {});
+    }
+    console.error('Error al migrar las tablas anteriores:', err);
+    process.exitCode = 1;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+main().then(() => process.exit());
@@ -0,0 +1,118 @@
+// Tablas base que usan la importación desde Excel y los routers (p_programa, p_cargo_contacto,
+// p_contacto, p_empresa, p_estudiante, p_practica). Con IF NOT EXISTS para las bases que ya las tenían.
+module.exports = {
+  up: {
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS p_programa (
+        id_programa INT AUTO_INCREMENT PRIMARY KEY,
+        nombre VARCHAR(255) NOT NULL UNIQUE
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_cargo_contacto (
+        id_cargo_contacto INT AUTO_INCREMENT PRIMARY KEY,
+        nombre VARCHAR(255) NOT NULL UNIQUE
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_contacto (
+        id_contacto INT AUTO_INCREMENT PRIMARY KEY,
+        nombre VARCHAR(255),
+        telefono VARCHAR(50),
+        celular VARCHAR(50),
+        email VARCHAR(255),
+        id_cargo_contacto INT,
+        FOREIGN KEY (id_cargo_contacto) REFERENCES p_cargo_contacto (id_cargo_contacto)
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_empresa (
+        id_empresa INT AUTO_INCREMENT PRIMARY KEY,
+        nit VARCHAR(20) NOT NULL UNIQUE,
+        razon_social VARCHAR(255) NOT NULL,
+        direccion VARCHAR(255),
+        id_jefe_inmediato INT,
+        FOREIGN KEY (id_jefe_inmediato) REFERENCES p_contacto (id_contacto)
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_estudiante (
+        id_estudiante INT AUTO_INCREMENT PRIMARY KEY,
+        nombres VARCHAR(255) NOT NULL,
+        edad INT,
+        celular VARCHAR(50),
+        direccion VARCHAR(255),
+        telefono VARCHAR(50),
+        email VARCHAR(255),
+        id_contacto INT,
+        FOREIGN KEY (id_contacto) REFERENCES p_contacto (id_contacto)
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_practica (
+        id_practica INT AUTO_INCREMENT PRIMARY KEY,
+        id_programa INT NOT NULL,
+        id_estudiante INT NOT NULL,
+        id_empresa INT NOT NULL,
+        fec_inicio DATE,
+        fec_termina DATE,
+        dias_pract INT,
+        FOREIGN KEY (id_programa) REFERENCES p_programa (id_programa),
+        FOREIGN KEY (id_estudiante) REFERENCES p_estudiante (id_estudiante),
+        FOREIGN KEY (id_empresa) REFERENCES p_empresa (id_empresa)
+      )`
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS p_programa (
+        id_programa SERIAL PRIMARY KEY,
+        nombre VARCHAR(255) NOT NULL UNIQUE
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_cargo_contacto (
+        id_cargo_contacto SERIAL PRIMARY KEY,
+        nombre VARCHAR(255) NOT NULL UNIQUE
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_contacto (
+        id_contacto SERIAL PRIMARY KEY,
+        nombre VARCHAR(255),
+        telefono VARCHAR(50),
+        celular VARCHAR(50),
+        email VARCHAR(255),
+        id_cargo_contacto INTEGER REFERENCES p_cargo_contacto (id_cargo_contacto)
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_empresa (
+        id_empresa SERIAL PRIMARY KEY,
+        nit VARCHAR(20) NOT NULL UNIQUE,
+        razon_social VARCHAR(255) NOT NULL,
+        direccion VARCHAR(255),
+        id_jefe_inmediato INTEGER REFERENCES p_contacto (id_contacto)
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_estudiante (
+        id_estudiante SERIAL PRIMARY KEY,
+        nombres VARCHAR(255) NOT NULL,
+        edad INTEGER,
+        celular VARCHAR(50),
+        direccion VARCHAR(255),
+        telefono VARCHAR(50),
+        email VARCHAR(255),
+        id_contacto INTEGER REFERENCES p_contacto (id_contacto)
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_practica (
+        id_practica SERIAL PRIMARY KEY,
+        id_programa INTEGER NOT NULL REFERENCES p_programa (id_programa),
+        id_estudiante INTEGER NOT NULL REFERENCES p_estudiante (id_estudiante),
+        id_empresa INTEGER NOT NULL REFERENCES p_empresa (id_empresa),
+        fec_inicio DATE,
+        fec_termina DATE,
+        dias_pract INTEGER
+      )`
+    ]
+  },
+  down: {
+    mysql: [
+      'DROP TABLE IF EXISTS p_practica',
+      'DROP TABLE IF EXISTS p_estudiante',
+      'DROP TABLE IF EXISTS p_empresa',
+      'DROP TABLE IF EXISTS p_contacto',
+      'DROP TABLE IF EXISTS p_cargo_contacto',
+      'DROP TABLE IF EXISTS p_programa'
+    ],
+    postgres: [
+      'DROP TABLE IF EXISTS p_practica',
+      'DROP TABLE IF EXISTS p_estudiante',
+      'DROP TABLE IF EXISTS p_empresa',
+      'DROP TABLE IF EXISTS p_contacto',
+      'DROP TABLE IF EXISTS p_cargo_contacto',
+      'DROP TABLE IF EXISTS p_programa'
+    ]
+  }
+};
@@ -0,0 +1,25 @@
+// Perfiles de mapeo de columnas para el importador (routes/perfilImportacion.js)
+module.exports = {
+  up: {
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS p_perfil_importacion (
+        id_perfil_importacion INT AUTO_INCREMENT PRIMARY KEY,
+        nombre VARCHAR(100) NOT NULL UNIQUE,
+        hoja VARCHAR(100),
+        columnas TEXT NOT NULL
+      )`
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS p_perfil_importacion (
+        id_perfil_importacion SERIAL PRIMARY KEY,
+        nombre VARCHAR(100) NOT NULL UNIQUE,
+        hoja VARCHAR(100),
+        columnas TEXT NOT NULL
+      )`
+    ]
+  },
+  down: {
+    mysql: ['DROP TABLE IF EXISTS p_perfil_importacion'],
+    postgres: ['DROP TABLE IF EXISTS p_perfil_importacion']
+  }
+};
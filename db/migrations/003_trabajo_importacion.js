@@ -0,0 +1,41 @@
+// Trabajos de importación en segundo plano (services/importJobs.js)
+module.exports = {
+  up: {
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS p_trabajo_importacion (
+        id_trabajo_importacion CHAR(36) PRIMARY KEY,
+        estado VARCHAR(20) NOT NULL,
+        archivo VARCHAR(255) NOT NULL,
+        nombre_original VARCHAR(255),
+        perfil VARCHAR(100),
+        total_filas INT NOT NULL DEFAULT 0,
+        filas_procesadas INT NOT NULL DEFAULT 0,
+        resumen TEXT,
+        errores TEXT,
+        creado_en DATETIME NOT NULL,
+        iniciado_en DATETIME,
+        finalizado_en DATETIME
+      )`
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS p_trabajo_importacion (
+        id_trabajo_importacion CHAR(36) PRIMARY KEY,
+        estado VARCHAR(20) NOT NULL,
+        archivo VARCHAR(255) NOT NULL,
+        nombre_original VARCHAR(255),
+        perfil VARCHAR(100),
+        total_filas INTEGER NOT NULL DEFAULT 0,
+        filas_procesadas INTEGER NOT NULL DEFAULT 0,
+        resumen TEXT,
+        errores TEXT,
+        creado_en TIMESTAMP NOT NULL,
+        iniciado_en TIMESTAMP,
+        finalizado_en TIMESTAMP
+      )`
+    ]
+  },
+  down: {
+    mysql: ['DROP TABLE IF EXISTS p_trabajo_importacion'],
+    postgres: ['DROP TABLE IF EXISTS p_trabajo_importacion']
+  }
+};
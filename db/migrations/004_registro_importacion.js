@@ -0,0 +1,54 @@
+// Historial de importaciones: quién subió cada archivo y qué registros tocó, para poder revertirlo
+module.exports = {
+  up: {
+    mysql: [
+      `ALTER TABLE p_trabajo_importacion
+        ADD COLUMN usuario VARCHAR(100),
+        ADD COLUMN revertido_en DATETIME,
+        ADD COLUMN revertido_por VARCHAR(100)`,
+      `CREATE TABLE IF NOT EXISTS p_trabajo_importacion_registro (
+        id_trabajo_importacion_registro INT AUTO_INCREMENT PRIMARY KEY,
+        id_trabajo_importacion CHAR(36) NOT NULL,
+        orden INT NOT NULL,
+        tabla VARCHAR(50) NOT NULL,
+        id_registro VARCHAR(50) NOT NULL,
+        accion VARCHAR(10) NOT NULL,
+        valores_anteriores TEXT,
+        FOREIGN KEY (id_trabajo_importacion) REFERENCES p_trabajo_importacion (id_trabajo_importacion)
+      )`,
+      'CREATE INDEX idx_trabajo_importacion_registro_tabla ON p_trabajo_importacion_registro (tabla, id_registro)'
+    ],
+    postgres: [
+      `ALTER TABLE p_trabajo_importacion
+        ADD COLUMN usuario VARCHAR(100),
+        ADD COLUMN revertido_en TIMESTAMP,
+        ADD COLUMN revertido_por VARCHAR(100)`,
+      `CREATE TABLE IF NOT EXISTS p_trabajo_importacion_registro (
+        id_trabajo_importacion_registro SERIAL PRIMARY KEY,
+        id_trabajo_importacion CHAR(36) NOT NULL REFERENCES p_trabajo_importacion (id_trabajo_importacion),
+        orden INTEGER NOT NULL,
+        tabla VARCHAR(50) NOT NULL,
+        id_registro VARCHAR(50) NOT NULL,
+        accion VARCHAR(10) NOT NULL,
+        valores_anteriores TEXT
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_trabajo_importacion_registro_tabla ON p_trabajo_importacion_registro (tabla, id_registro)'
+    ]
+  },
+  down: {
+    mysql: [
+      'DROP TABLE IF EXISTS p_trabajo_importacion_registro',
+      `ALTER TABLE p_trabajo_importacion
+        DROP COLUMN usuario,
+        DROP COLUMN revertido_en,
+        DROP COLUMN revertido_por`
+    ],
+    postgres: [
+      'DROP TABLE IF EXISTS p_trabajo_importacion_registro',
+      `ALTER TABLE p_trabajo_importacion
+        DROP COLUMN usuario,
+        DROP COLUMN revertido_en,
+        DROP COLUMN revertido_por`
+    ]
+  }
+};
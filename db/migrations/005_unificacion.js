@@ -0,0 +1,87 @@
+// Esquema unificado: las columnas que solo existían en las tablas anteriores
+// (practica, estudiante, empresa, contacto, jefe) pasan a las tablas p_*.
+// Después de aplicarla, copiar los datos con: npm run migrate:legacy
+module.exports = {
+  up: {
+    mysql: [
+      'ALTER TABLE p_contacto ADD COLUMN direccion VARCHAR(255)',
+      'ALTER TABLE p_estudiante ADD COLUMN documento VARCHAR(20)',
+      'CREATE UNIQUE INDEX uq_estudiante_documento ON p_estudiante (documento)',
+      `CREATE TABLE IF NOT EXISTS p_jefe (
+        id_jefe INT AUTO_INCREMENT PRIMARY KEY,
+        nombre VARCHAR(255) NOT NULL,
+        telefono VARCHAR(50),
+        email VARCHAR(255),
+        id_cargo_contacto INT,
+        FOREIGN KEY (id_cargo_contacto) REFERENCES p_cargo_contacto (id_cargo_contacto)
+      )`,
+      `ALTER TABLE p_practica
+        ADD COLUMN id_contacto INT,
+        ADD COLUMN id_jefe INT,
+        ADD COLUMN clasificaciones VARCHAR(255),
+        ADD COLUMN no_folio VARCHAR(50),
+        ADD COLUMN fecha_entrega_facultad DATE,
+        ADD COLUMN numero_practica_inscribe INT,
+        ADD COLUMN fecha_inscripcion_materia DATE,
+        ADD COLUMN nrc VARCHAR(50),
+        ADD CONSTRAINT fk_practica_contacto FOREIGN KEY (id_contacto) REFERENCES p_contacto (id_contacto),
+        ADD CONSTRAINT fk_practica_jefe FOREIGN KEY (id_jefe) REFERENCES p_jefe (id_jefe)`
+    ],
+    postgres: [
+      'ALTER TABLE p_contacto ADD COLUMN direccion VARCHAR(255)',
+      'ALTER TABLE p_estudiante ADD COLUMN documento VARCHAR(20)',
+      'CREATE UNIQUE INDEX uq_estudiante_documento ON p_estudiante (documento)',
+      `CREATE TABLE IF NOT EXISTS p_jefe (
+        id_jefe SERIAL PRIMARY KEY,
+        nombre VARCHAR(255) NOT NULL,
+        telefono VARCHAR(50),
+        email VARCHAR(255),
+        id_cargo_contacto INTEGER REFERENCES p_cargo_contacto (id_cargo_contacto)
+      )`,
+      `ALTER TABLE p_practica
+        ADD COLUMN id_contacto INTEGER CONSTRAINT fk_practica_contacto REFERENCES p_contacto (id_contacto),
+        ADD COLUMN id_jefe INTEGER CONSTRAINT fk_practica_jefe REFERENCES p_jefe (id_jefe),
+        ADD COLUMN clasificaciones VARCHAR(255),
+        ADD COLUMN no_folio VARCHAR(50),
+        ADD COLUMN fecha_entrega_facultad DATE,
+        ADD COLUMN numero_practica_inscribe INTEGER,
+        ADD COLUMN fecha_inscripcion_materia DATE,
+        ADD COLUMN nrc VARCHAR(50)`
+    ]
+  },
+  down: {
+    mysql: [
+      `ALTER TABLE p_practica
+        DROP FOREIGN KEY fk_practica_contacto,
+        DROP FOREIGN KEY fk_practica_jefe`,
+      `ALTER TABLE p_practica
+        DROP COLUMN id_contacto,
+        DROP COLUMN id_jefe,
+        DROP COLUMN clasificaciones,
+        DROP COLUMN no_folio,
+        DROP COLUMN fecha_entrega_facultad,
+        DROP COLUMN numero_practica_inscribe,
+        DROP COLUMN fecha_inscripcion_materia,
+        DROP COLUMN nrc`,
+      'DROP TABLE IF EXISTS p_jefe',
+      'DROP INDEX uq_estudiante_documento ON p_estudiante',
+      'ALTER TABLE p_estudiante DROP COLUMN documento',
+      'ALTER TABLE p_contacto DROP COLUMN direccion'
+    ],
+    postgres: [
+      `ALTER TABLE p_practica
+        DROP COLUMN id_contacto,
+        DROP COLUMN id_jefe,
+        DROP COLUMN clasificaciones,
+        DROP COLUMN no_folio,
+        DROP COLUMN fecha_entrega_facultad,
+        DROP COLUMN numero_practica_inscribe,
+        DROP COLUMN fecha_inscripcion_materia,
+        DROP COLUMN nrc`,
+      'DROP TABLE IF EXISTS p_jefe',
+      'DROP INDEX IF EXISTS uq_estudiante_documento',
+      'ALTER TABLE p_estudiante DROP COLUMN documento',
+      'ALTER TABLE p_contacto DROP COLUMN direccion'
+    ]
+  }
+};
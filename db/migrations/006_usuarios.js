@@ -0,0 +1,57 @@
+// Cuentas de usuario con rol (admin, coordinador de un programa, lectura) y tokens de refresco
+module.exports = {
+  up: {
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS p_usuario (
+        id_usuario INT AUTO_INCREMENT PRIMARY KEY,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        nombre VARCHAR(255) NOT NULL,
+        password_hash VARCHAR(100) NOT NULL,
+        rol VARCHAR(20) NOT NULL,
+        id_programa INT,
+        activo BOOLEAN NOT NULL DEFAULT TRUE,
+        creado_en DATETIME NOT NULL,
+        FOREIGN KEY (id_programa) REFERENCES p_programa (id_programa)
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_token_refresco (
+        id_token_refresco INT AUTO_INCREMENT PRIMARY KEY,
+        id_usuario INT NOT NULL,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expira_en DATETIME NOT NULL,
+        revocado_en DATETIME,
+        creado_en DATETIME NOT NULL,
+        FOREIGN KEY (id_usuario) REFERENCES p_usuario (id_usuario) ON DELETE CASCADE
+      )`
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS p_usuario (
+        id_usuario SERIAL PRIMARY KEY,
+        email VARCHAR(255) NOT NULL UNIQUE,
+        nombre VARCHAR(255) NOT NULL,
+        password_hash VARCHAR(100) NOT NULL,
+        rol VARCHAR(20) NOT NULL,
+        id_programa INTEGER REFERENCES p_programa (id_programa),
+        activo BOOLEAN NOT NULL DEFAULT TRUE,
+        creado_en TIMESTAMP NOT NULL
+      )`,
+      `CREATE TABLE IF NOT EXISTS p_token_refresco (
+        id_token_refresco SERIAL PRIMARY KEY,
+        id_usuario INTEGER NOT NULL REFERENCES p_usuario (id_usuario) ON DELETE CASCADE,
+        token_hash CHAR(64) NOT NULL UNIQUE,
+        expira_en TIMESTAMP NOT NULL,
+        revocado_en TIMESTAMP,
+        creado_en TIMESTAMP NOT NULL
+      )`
+    ]
+  },
+  down: {
+    mysql: [
+      'DROP TABLE IF EXISTS p_token_refresco',
+      'DROP TABLE IF EXISTS p_usuario'
+    ],
+    postgres: [
+      'DROP TABLE IF EXISTS p_token_refresco',
+      'DROP TABLE IF EXISTS p_usuario'
+    ]
+  }
+};
@@ -0,0 +1,37 @@
+// Bitácora de auditoría: quién creó, modificó o eliminó cada registro, cuándo y qué cambió (services/audit.js)
+module.exports = {
+  up: {
+    mysql: [
+      `CREATE TABLE IF NOT EXISTS p_auditoria (
+        id_auditoria INT AUTO_INCREMENT PRIMARY KEY,
+        fecha DATETIME NOT NULL,
+        usuario VARCHAR(255),
+        entidad VARCHAR(50) NOT NULL,
+        id_registro VARCHAR(50) NOT NULL,
+        accion VARCHAR(10) NOT NULL,
+        origen VARCHAR(100) NOT NULL,
+        cambios TEXT
+      )`,
+      'CREATE INDEX idx_auditoria_entidad ON p_auditoria (entidad, id_registro)',
+      'CREATE INDEX idx_auditoria_fecha ON p_auditoria (fecha)'
+    ],
+    postgres: [
+      `CREATE TABLE IF NOT EXISTS p_auditoria (
+        id_auditoria SERIAL PRIMARY KEY,
+        fecha TIMESTAMP NOT NULL,
+        usuario VARCHAR(255),
+        entidad VARCHAR(50) NOT NULL,
+        id_registro VARCHAR(50) NOT NULL,
+        accion VARCHAR(10) NOT NULL,
+        origen VARCHAR(100) NOT NULL,
+        cambios TEXT
+      )`,
+      'CREATE INDEX IF NOT EXISTS idx_auditoria_entidad ON p_auditoria (entidad, id_registro)',
+      'CREATE INDEX IF NOT EXISTS idx_auditoria_fecha ON p_auditoria (fecha)'
+    ]
+  },
+  down: {
+    mysql: ['DROP TABLE IF EXISTS p_auditoria'],
+    postgres: ['DROP TABLE IF EXISTS p_auditoria']
+  }
+};
@@ -0,0 +1,39 @@
+// Borrado lógico: las tablas de datos marcan deleted_at en vez de borrar la fila (utils/softDelete.js)
+module.exports = {
+  up: {
+    mysql: [
+      'ALTER TABLE p_programa ADD COLUMN deleted_at DATETIME',
+      'ALTER TABLE p_contacto ADD COLUMN deleted_at DATETIME',
+      'ALTER TABLE p_jefe ADD COLUMN deleted_at DATETIME',
+      'ALTER TABLE p_empresa ADD COLUMN deleted_at DATETIME',
+      'ALTER TABLE p_estudiante ADD COLUMN deleted_at DATETIME',
+      'ALTER TABLE p_practica ADD COLUMN deleted_at DATETIME'
+    ],
+    postgres: [
+      'ALTER TABLE p_programa ADD COLUMN deleted_at TIMESTAMP',
+      'ALTER TABLE p_contacto ADD COLUMN deleted_at TIMESTAMP',
+      'ALTER TABLE p_jefe ADD COLUMN deleted_at TIMESTAMP',
+      'ALTER TABLE p_empresa ADD COLUMN deleted_at TIMESTAMP',
+      'ALTER TABLE p_estudiante ADD COLUMN deleted_at TIMESTAMP',
+      'ALTER TABLE p_practica ADD COLUMN deleted_at TIMESTAMP'
+    ]
+  },
+  down: {
+    mysql: [
+      'ALTER TABLE p_programa DROP COLUMN deleted_at',
+      'ALTER TABLE p_contacto DROP COLUMN deleted_at',
+      'ALTER TABLE p_jefe DROP COLUMN deleted_at',
+      'ALTER TABLE p_empresa DROP COLUMN deleted_at',
+      'ALTER TABLE p_estudiante DROP COLUMN deleted_at',
+      'ALTER TABLE p_practica DROP COLUMN deleted_at'
+    ],
+    postgres: [
+      'ALTER TABLE p_programa DROP COLUMN deleted_at',
+      'ALTER TABLE p_contacto DROP COLUMN deleted_at',
+      'ALTER TABLE p_jefe DROP COLUMN deleted_at',
+      'ALTER TABLE p_empresa DROP COLUMN deleted_at',
+      'ALTER TABLE p_estudiante DROP COLUMN deleted_at',
+      'ALTER TABLE p_practica DROP COLUMN deleted_at'
+    ]
+  }
+};
@@ -0,0 +1,23 @@
+// Programa al que estaba limitada cada importación (X-Programa): las consultas con alcance solo ven esas
+module.exports = {
+  up: {
+    mysql: [
+      'ALTER TABLE p_trabajo_importacion ADD COLUMN id_programa INT',
+      'CREATE INDEX idx_trabajo_importacion_programa ON p_trabajo_importacion (id_programa)'
+    ],
+    postgres: [
+      'ALTER TABLE p_trabajo_importacion ADD COLUMN id_programa INT',
+      'CREATE INDEX IF NOT EXISTS idx_trabajo_importacion_programa ON p_trabajo_importacion (id_programa)'
+    ]
+  },
+  down: {
+    mysql: [
+      'DROP INDEX idx_trabajo_importacion_programa ON p_trabajo_importacion',
+      'ALTER TABLE p_trabajo_importacion DROP COLUMN id_programa'
+    ],
+    postgres: [
+      'DROP INDEX IF EXISTS idx_trabajo_importacion_programa',
+      'ALTER TABLE p_trabajo_importacion DROP COLUMN id_programa'
+    ]
+  }
+};
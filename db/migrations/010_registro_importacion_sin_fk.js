@@ -0,0 +1,24 @@
+// Quita la llave foránea de p_trabajo_importacion_registro. En MySQL, cada INSERT de la transacción de una
+// importación deja un bloqueo compartido sobre la fila del trabajo hasta el COMMIT, y el avance se guarda en
+// esa misma fila desde otra conexión (services/importJobs.js): el UPDATE esperaba a la importación y la
+// importación a él. Los registros solo los escribe runJob, con el ID de un trabajo que ya existe.
+module.exports = {
+  up: {
+    mysql: [
+      'ALTER TABLE p_trabajo_importacion_registro DROP FOREIGN KEY p_trabajo_importacion_registro_ibfk_1'
+    ],
+    postgres: [
+      'ALTER TABLE p_trabajo_importacion_registro DROP CONSTRAINT IF EXISTS p_trabajo_importacion_registro_id_trabajo_importacion_fkey'
+    ]
+  },
+  down: {
+    mysql: [
+      `ALTER TABLE p_trabajo_importacion_registro
+        ADD CONSTRAINT p_trabajo_importacion_registro_ibfk_1 FOREIGN KEY (id_trabajo_importacion) REFERENCES p_trabajo_importacion (id_trabajo_importacion)`
+    ],
+    postgres: [
+      `ALTER TABLE p_trabajo_importacion_registro
+        ADD CONSTRAINT p_trabajo_importacion_registro_id_trabajo_importacion_fkey FOREIGN KEY (id_trabajo_importacion) REFERENCES p_trabajo_importacion (id_trabajo_importacion)`
+    ]
+  }
+};
@@ -0,0 +1,122 @@
+const { insertRow } = require('./connection');
+const { entityOf } = require('./entities');
+const { buildPatch } = require('../utils/mergePatch');
+const { findInScope } = require('../utils/programScope');
+const { softDelete, restore } = require('../utils/softDelete');
+
+/**
+ * Repositorio de una tabla armado con sus metadatos (db/entities.js). Los nombres de tabla y columnas
+ * salen solo de los metadatos (una columna desconocida es un error) y los valores van siempre como
+ * parámetros, así que el mismo SQL sirve en MySQL y PostgreSQL.
+ * key es la columna con la que se ubica el registro por defecto: la llave primaria o, por ejemplo, el
+ * documento del estudiante, que es como lo ubican sus rutas.
+ */
+const createRepository = (table, { key } = {}) => {
+  const entity = entityOf(table);
+  const { primaryKey, columns } = entity;
+  const lookup = key || primaryKey;
+  // Columnas que se pueden escribir; deleted_at solo lo escriben los borrados, restauraciones e importaciones
+  const writable = entity.softDelete ? [...columns, 'deleted_at'] : columns;
+
+  const checkColumn = (column) => {
+    if (column !== primaryKey && !writable.includes(column)) {
+      throw new Error(`La tabla ${table} no tiene la columna ${column}.`);
+    }
+    return column;
+  };
+
+  // Registro con column = value dentro del alcance; null si no existe, es de otro programa o está eliminado (salvo includeDeleted)
+  const find = (connection, value, { column = lookup, scope = null, includeDeleted = false } = {}) =>
+    findInScope(connection, table, checkColumn(column), value, scope, includeDeleted || !entity.softDelete);
+
+  // Todos los registros con column = value, incluidos los eliminados; sin column, todos los de la tabla
+  const findAll = (connection, column, value) => (column === undefined
+    ? connection.query(`SELECT * FROM ${table} ORDER BY ${primaryKey}`)
+    : connection.query(`SELECT * FROM ${table} WHERE ${checkColumn(column)} = ?`, [value]));
+
+  // Inserta las columnas de la entidad que trae data (las demás propiedades se ignoran) y devuelve el ID nuevo
+  const insert = (connection, data) => {
+    const values = {};
+    writable.filter((column) => data[column] !== undefined).forEach((column) => {
+      values[column] = data[column];
+    });
+    return insertRow(connection, table, values, primaryKey);
+  };
+
+  // Modifica solo las columnas presentes en data, como PATCH: null deja la columna vacía. Devuelve { affectedRows }
+  const update = async (connection, value, data, column = lookup) => {
+    const patch = buildPatch(data, writable);
+    if (!patch) {
+      return { affectedRows: 0 };
+    }
+    return connection.query(`UPDATE ${table} SET ${patch.set} WHERE ${checkColumn(column)} = ?`, [...patch.params, value]);
+  };
+
+  // Escribe todas las columnas salvo la que ubica el registro, como PUT: las que no trae data quedan en null
+  const replace = (connection, value, data, column = lookup) => {
+    const values = {};
+    columns.filter((field) => field !== column).forEach((field) => {
+      values[field] = data[field] === undefined ? null : data[field];
+    });
+    return update(connection, value, values, column);
+  };
+
+  /**
+   * Registro (eliminado o no) con la misma llave natural que data; null si no hay o la entidad no tiene llave
+   * natural. En una modificación, except es la llave primaria del registro que se modifica, que no cuenta.
+   */
+  const findDuplicate = async (connection, data, except) => {
+    const { naturalKey } = entity;
+    if (!naturalKey || data[naturalKey] === undefined || data[naturalKey] === null || data[naturalKey] === '') {
+      return null;
+    }
+    const rows = await findAll(connection, naturalKey, data[naturalKey]);
+    return rows.find((row) => except === undefined || String(row[primaryKey]) !== String(except)) || null;
+  };
+
+  /**
+   * Devuelve el registro con uniqueField igual al de data (por defecto la llave natural), eliminado o no;
+   * si no hay ninguno lo crea con data y devuelve el registro nuevo.
+   */
+  const getOrCreate = async (connection, data, uniqueField = entity.naturalKey) => {
+    const [current] = await findAll(connection, uniqueField, data[uniqueField]);
+    if (current) {
+      return current;
+    }
+    const id = await insert(connection, data);
+    const [created] = await findAll(connection, primaryKey, id);
+    return created;
+  };
+
+  // Borra la fila con column = value; solo en tablas sin borrado lógico (las demás usan softDelete)
+  const remove = (connection, value, column = lookup) => {
+    if (entity.softDelete) {
+      throw new Error(`La tabla ${table} tiene borrado lógico: use softDelete.`);
+    }
+    return connection.query(`DELETE FROM ${table} WHERE ${checkColumn(column)} = ?`, [value]);
+  };
+
+  return {
+    table,
+    primaryKey,
+    key: lookup,
+    // Opciones de auditedChange (services/audit.js) para los cambios que ubican el registro por key
+    audit: { table, primaryKey, column: lookup },
+    naturalKey: entity.naturalKey,
+    columns,
+    find,
+    findAll,
+    findDuplicate,
+    insert,
+    update,
+    replace,
+    getOrCreate,
+    remove,
+    softDelete: (connection, value, column = lookup) => softDelete(connection, table, checkColumn(column), value),
+    restore: (connection, value, column = lookup) => restore(connection, table, checkColumn(column), value)
+  };
+};
+
+module.exports = {
+  createRepository
+};
@@ -0,0 +1,267 @@
+/**
+ * Llena una base de datos local con datos de ejemplo coherentes (programas, cargos, contactos,
+ * jefes, empresas, estudiantes y prácticas). Requiere las migraciones aplicadas (npm run migrate).
+ *
+ *   npm run seed                 inserta los datos; no hace nada si ya hay prácticas registradas
+ *   npm run seed -- --reset      vacía las tablas de datos (y el historial de importaciones y la auditoría) y vuelve a sembrar
+ *   npm run seed -- --force      permite sembrar (o vaciar, con --reset) una base de datos que no está en localhost
+ *
+ * Los datos salen de un generador con semilla fija, así que siempre son los mismos: NIT con dígito de
+ * verificación válido, celulares 3XX y fijos 60X de 10 dígitos, y fec_termina = fec_inicio + dias_pract - 1.
+ * También crea una cuenta por rol (admin@practicas.local, coordinador@practicas.local y
+ * lectura@practicas.local) con la contraseña practicas123. Por eso se niega a correr si el servidor de
+ * base de datos no es local, salvo con --force.
+ */
+const { getConnection, insertRow } = require('./connection');
+const { nitCheckDigit } = require('../utils/validators');
+const { hashPassword } = require('../services/auth');
+
+const dbType = process.env.DB_TYPE;
+
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '::1'];
+
+// Servidor de la base de datos configurada; sin host los drivers usan localhost
+const dbHost = () => (dbType === 'postgres' ? process.env.POSTGRES_HOST : process.env.MYSQL_HOST) || 'localhost';
+
+// Orden en que se vacían: primero las tablas que referencian a otras
+const DATA_TABLES = [
+  'p_auditoria',
+  'p_token_refresco',
+  'p_usuario',
+  'p_trabajo_importacion_registro',
+  'p_trabajo_importacion',
+  'p_practica',
+  'p_estudiante',
+  'p_empresa',
+  'p_jefe',
+  'p_contacto',
+  'p_cargo_contacto',
+  'p_programa'
+];
+
+const PROGRAMAS = ['Ingeniería de Sistemas', 'Administración de Empresas', 'Contaduría Pública', 'Psicología', 'Derecho', 'Enfermería'];
+const CARGOS = ['Coordinador de Talento Humano', 'Jefe de Área', 'Gerente General', 'Director de Proyectos', 'Analista de Selección'];
+const NOMBRES = ['Juan', 'María', 'Carlos', 'Ana', 'Andrés', 'Laura', 'Santiago', 'Valentina', 'Felipe', 'Camila', 'Diego', 'Daniela', 'Sebastián', 'Paula', 'Alejandro', 'Natalia'];
+const APELLIDOS = ['Rodríguez', 'Gómez', 'González', 'Martínez', 'García', 'López', 'Hernández', 'Ramírez', 'Torres', 'Díaz', 'Morales', 'Vargas', 'Castro', 'Rojas', 'Ortiz', 'Moreno'];
+const EMPRESAS = ['Soluciones Andinas', 'Comercializadora del Valle', 'Grupo Empresarial Caribe', 'Tecnologías del Café', 'Servicios Integrales Bogotá', 'Constructora Altiplano', 'Clínica San Rafael', 'Logística del Pacífico'];
+const SUFIJOS = ['S.A.S.', 'S.A.', 'Ltda.'];
+const CIUDADES = [
+  { nombre: 'Bogotá', indicativo: '601' },
+  { nombre: 'Medellín', indicativo: '604' },
+  { nombre: 'Cali', indicativo: '602' },
+  { nombre: 'Barranquilla', indicativo: '605' },
+  { nombre: 'Bucaramanga', indicativo: '607' }
+];
+const PREFIJOS_CELULAR = ['300', '301', '304', '310', '311', '312', '313', '315', '316', '318', '320', '321', '350'];
+const DURACIONES = [60, 90, 120, 180];
+
+const DEMO_PASSWORD = 'practicas123';
+
+const TOTALS = { contactos: 10, jefes: 8, estudiantes: 40 };
+
+// Generador pseudoaleatorio con semilla (mulberry32) para que los datos sean reproducibles
+const createRandom = (seed) => {
+  let state = seed;
+  const next = () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = Math.imul(state ^ (state >>> 15), 1 | state);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+  const int = (min, max) => min + Math.floor(next() * (max - min + 1));
+  const pick = (list) => list[int(0, list.length - 1)];
+  const digits = (n) => Array.from({ length: n }, () => int(0, 9)).join('');
+  return { int, pick, digits };
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+const toDate = (date) => `${date.getUTCFullYear()}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())}`;
+const addDays = (date, days) => new Date(date.getTime() + days * 86400 * 1000);
+
+const slug = (text) => text.normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase().replace(/[^a-z0-9]+/g, '.').replace(/^\.|\.$/g, '');
+
+const createPeople = (random) => {
+  const used = new Set();
+  return () => {
+    let nombre;
+    do {
+      nombre = `${random.pick(NOMBRES)} ${random.pick(APELLIDOS)} ${random.pick(APELLIDOS)}`;
+    } while (used.has(nombre));
+    used.add(nombre);
+    return nombre;
+  };
+};
+
+const celular = (random) => `${random.pick(PREFIJOS_CELULAR)}${random.digits(7)}`;
+const fijo = (random, ciudad) => `${ciudad.indicativo}${random.digits(7)}`;
+const direccion = (random, ciudad) => `${random.pick(['Calle', 'Carrera', 'Avenida', 'Diagonal'])} ${random.int(1, 150)} # ${random.int(1, 99)}-${random.int(1, 99)}, ${ciudad.nombre}`;
+
+const seed = async (connection) => {
+  const random = createRandom(20240601);
+  const person = createPeople(random);
+  const counts = {};
+  const insert = async (table, data, primaryKey) => {
+    counts[table] = (counts[table] || 0) + 1;
+    return insertRow(connection, table, data, primaryKey);
+  };
+
+  const programas = [];
+  for (const nombre of PROGRAMAS) {
+    programas.push(await insert('p_programa', { nombre }, 'id_programa'));
+  }
+
+  const cargos = [];
+  for (const nombre of CARGOS) {
+    cargos.push(await insert('p_cargo_contacto', { nombre }, 'id_cargo_contacto'));
+  }
+
+  const contactos = [];
+  for (let i = 0; i < TOTALS.contactos; i++) {
+    const ciudad = random.pick(CIUDADES);
+    const nombre = person();
+    contactos.push(await insert('p_contacto', {
+      nombre,
+      telefono: fijo(random, ciudad),
+      celular: celular(random),
+      email: `${slug(nombre)}@empresa.com.co`,
+      direccion: direccion(random, ciudad),
+      id_cargo_contacto: random.pick(cargos)
+    }, 'id_contacto'));
+  }
+
+  const jefes = [];
+  for (let i = 0; i < TOTALS.jefes; i++) {
+    const nombre = person();
+    jefes.push(await insert('p_jefe', {
+      nombre,
+      telefono: celular(random),
+      email: `${slug(nombre)}@empresa.com.co`,
+      id_cargo_contacto: random.pick(cargos)
+    }, 'id_jefe'));
+  }
+
+  const empresas = [];
+  for (const [i, nombre] of EMPRESAS.entries()) {
+    const base = `9${pad(i + 1)}${random.digits(6)}`;
+    empresas.push(await insert('p_empresa', {
+      nit: `${base}-${nitCheckDigit(base)}`,
+      razon_social: `${nombre} ${random.pick(SUFIJOS)}`,
+      direccion: direccion(random, random.pick(CIUDADES)),
+      id_jefe_inmediato: contactos[i % contactos.length]
+    }, 'id_empresa'));
+  }
+
+  for (let i = 0; i < TOTALS.estudiantes; i++) {
+    const ciudad = random.pick(CIUDADES);
+    const nombre = person();
+    const idContacto = random.pick(contactos);
+    const idEstudiante = await insert('p_estudiante', {
+      documento: `10${pad(i + 1)}${random.digits(6)}`,
+      nombres: nombre,
+      edad: random.int(18, 30),
+      celular: celular(random),
+      direccion: direccion(random, ciudad),
+      telefono: fijo(random, ciudad),
+      email: `${slug(nombre)}@estudiantes.edu.co`,
+      id_contacto: idContacto
+    }, 'id_estudiante');
+
+    // Una o dos prácticas por estudiante, la segunda empieza después de terminar la primera
+    let inicio = new Date(Date.UTC(2023, random.int(0, 11), random.int(1, 28)));
+    const idPrograma = random.pick(programas);
+    const total = random.int(1, 2);
+    for (let numero = 1; numero <= total; numero++) {
+      const dias = random.pick(DURACIONES);
+      const termina = addDays(inicio, dias - 1);
+      const inscripcion = addDays(inicio, -random.int(15, 45));
+      await insert('p_practica', {
+        id_programa: idPrograma,
+        id_estudiante: idEstudiante,
+        id_empresa: random.pick(empresas),
+        id_contacto: idContacto,
+        id_jefe: random.pick(jefes),
+        fec_inicio: toDate(inicio),
+        fec_termina: toDate(termina),
+        dias_pract: dias,
+        clasificaciones: random.pick(['Empresarial', 'Social', 'Investigación']),
+        no_folio: `F-${random.digits(5)}`,
+        fecha_entrega_facultad: toDate(addDays(termina, random.int(5, 20))),
+        numero_practica_inscribe: numero,
+        fecha_inscripcion_materia: toDate(inscripcion),
+        nrc: random.digits(5)
+      }, 'id_practica');
+      inicio = addDays(termina, random.int(15, 60));
+    }
+  }
+
+  const passwordHash = await hashPassword(DEMO_PASSWORD);
+  for (const rol of ['admin', 'coordinador', 'lectura']) {
+    await insert('p_usuario', {
+      email: `${rol}@practicas.local`,
+      nombre: `Usuario ${rol}`,
+      password_hash: passwordHash,
+      rol,
+      id_programa: rol === 'coordinador' ? programas[0] : null,
+      activo: true,
+      creado_en: new Date()
+    }, 'id_usuario');
+  }
+
+  return counts;
+};
+
+const reset = async (connection) => {
+  if (dbType === 'postgres') {
+    await connection.query(`TRUNCATE TABLE ${DATA_TABLES.join(', ')} RESTART IDENTITY`);
+    return;
+  }
+  await connection.query('SET FOREIGN_KEY_CHECKS = 0');
+  try {
+    for (const table of DATA_TABLES) {
+      await connection.query(`TRUNCATE TABLE ${table}`);
+    }
+  } finally {
+    await connection.query('SET FOREIGN_KEY_CHECKS = 1');
+  }
+};
+
+const main = async () => {
+  const withReset = process.argv.includes('--reset');
+  if (!LOCAL_HOSTS.includes(dbHost()) && !process.argv.includes('--force')) {
+    console.error(`La base de datos está en ${dbHost()}, no en localhost. El seed crea cuentas con una contraseña conocida${withReset ? ' y --reset borra usuarios, auditoría e historial de importaciones' : ''}; use --force si de verdad es una base de datos de desarrollo.`);
+    process.exitCode = 1;
+    return;
+  }
+  let connection;
+  try {
+    connection = await getConnection();
+    if (withReset) {
+      await reset(connection);
+      console.log(`Tablas vaciadas: ${DATA_TABLES.join(', ')}`);
+    } else {
+      const rows = await connection.query('SELECT COUNT(*) AS total FROM p_practica');
+      if (Number(rows[0].total) > 0) {
+        console.log('La base de datos ya tiene prácticas registradas. Use --reset para vaciarla y volver a sembrar.');
+        return;
+      }
+    }
+
+    await connection.query('BEGIN');
+    const counts = await seed(connection);
+    await connection.query('COMMIT');
+
+    Object.keys(counts).forEach((table) => console.log(`${table}: ${counts[table]} registros`));
+  } catch (err) {
+    if (connection) {
+      await connection.query('ROLLBACK').catch(() => {});
+    }
+    console.error('Error al sembrar la base de datos:', err);
+    process.exitCode = 1;
+  } finally {
+    if (connection) {
+      connection.release();
+    }
+  }
+};
+
+main().then(() => process.exit());
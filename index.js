@@ -1,14 +1,23 @@
+require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const swaggerUi = require('swagger-ui-express');
 const swaggerJsdoc = require('swagger-jsdoc');
 const swaggerDocument = require('./swagger.json');
+const { schemas } = require('./utils/schemas');
+const { authenticate, resolveScope, authorize, defaultPolicy } = require('./middleware/auth');
+
+if (!process.env.JWT_SECRET) {
+  console.error('Falta la variable de entorno JWT_SECRET: sin ella no se pueden firmar los tokens de acceso.');
+  process.exit(1);
+}
 
 const app = express();
 const port = 3000;
 
 const options = {
-  definition: swaggerDocument,
+  // Los esquemas de las entidades se comparten con la validación de los cuerpos (middleware/validate.js)
+  definition: { ...swaggerDocument, components: { ...swaggerDocument.components, schemas } },
   apis: ['./routes/*.js'],
 };
 
@@ -16,23 +25,34 @@ const swaggerSpec = swaggerJsdoc(options);
 
 app.use('/api-docs', swaggerUi.serve, swaggerUi.setup(swaggerSpec));
 
-// Configura CORS para permitir todos los orígenes y encabezados
+// CORS solo para los orígenes de CORS_ORIGINS (separados por coma); sin la variable no se aceptan otros orígenes
+const corsOrigins = (process.env.CORS_ORIGINS || '').split(',').map((origin) => origin.trim()).filter(Boolean);
 app.use(cors({
-  origin: '*',
-  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Origin', 'X-Requested-With', 'Accept']
+  origin: corsOrigins.length > 0 ? corsOrigins : false,
+  methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE', 'OPTIONS'],
+  allowedHeaders: ['Content-Type', 'Authorization', 'X-Programa', 'Origin', 'X-Requested-With', 'Accept', 'If-Match', 'If-None-Match'],
+  exposedHeaders: ['X-Total-Count', 'Link', 'ETag', 'Location'] // Paginación, versión de los registros y URL de los creados
 }));
 
-// Middleware para analizar el cuerpo de las solicitudes entrantes como JSON
-app.use(express.json());
+// Middleware para analizar el cuerpo de las solicitudes entrantes como JSON (también JSON Merge Patch en PATCH)
+app.use(express.json({ type: ['application/json', 'application/merge-patch+json'] }));
+
+app.use('/api/auth', require('./routes/auth')); // Inicio de sesión y tokens (sin autenticación previa)
 
+// Todo lo demás bajo /api exige un token de acceso y queda limitado al programa del coordinador (o al de X-Programa)
+app.use('/api', authenticate, resolveScope);
+app.use('/api/upload', authorize('admin')); // Importaciones: solo administradores
 app.use('/api', require('./routes/upload')); //Migrar información
-app.use('/api/programa', require('./routes/programa')); //Endoints de Programa
-app.use('/api/contacto', require('./routes/contacto')); // Endpoints de Contacto
-app.use('/api/empresa', require('./routes/empresa')); // Endpoints de Empresa
-app.use('/api/jefe', require('./routes/jefe')); // Endpoints de Jefe
-app.use('/api/estudiante', require('./routes/estudiante')); // Endpoints de Estudiante
-app.use('/api/practica', require('./routes/practica')); // Endpoints de Practica
+app.use('/api/usuario', authorize('admin'), require('./routes/usuario')); // Cuentas de usuario
+app.use('/api/perfil-importacion', defaultPolicy, require('./routes/perfilImportacion')); // Perfiles de mapeo de columnas del importador
+app.use('/api/programa', defaultPolicy, require('./routes/programa')); //Endoints de Programa
+app.use('/api/contacto', defaultPolicy, require('./routes/contacto')); // Endpoints de Contacto
+app.use('/api/empresa', defaultPolicy, require('./routes/empresa')); // Endpoints de Empresa
+app.use('/api/jefe', defaultPolicy, require('./routes/jefe')); // Endpoints de Jefe
+app.use('/api/estudiante', defaultPolicy, require('./routes/estudiante')); // Endpoints de Estudiante
+app.use('/api/practica', defaultPolicy, require('./routes/practica')); // Endpoints de Practica
+app.use('/api/search', require('./routes/search')); // Búsqueda en estudiantes, empresas, contactos y jefes
+app.use('/api/audit', authorize('admin'), require('./routes/audit')); // Bitácora de auditoría
 
 
 app.listen(port, () => {
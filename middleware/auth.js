@@ -0,0 +1,70 @@
+const { verifyAccessToken } = require('../services/auth');
+
+const READ_METHODS = ['GET', 'HEAD', 'OPTIONS'];
+
+/**
+ * Exige un token de acceso válido en el encabezado Authorization (Bearer) y deja el usuario en req.user:
+ * { id_usuario, email, rol, id_programa }.
+ */
+const authenticate = (req, res, next) => {
+    const [scheme, token] = String(req.get('Authorization') || '').split(' ');
+    if (scheme !== 'Bearer' || !token) {
+        return res.status(401).set('WWW-Authenticate', 'Bearer').json({ error: 'No autenticado.' });
+    }
+    try {
+        req.user = verifyAccessToken(token);
+        next();
+    } catch (err) {
+        const error = err.name === 'TokenExpiredError' ? 'El token de acceso expiró.' : 'Token de acceso inválido.';
+        res.status(401).set('WWW-Authenticate', 'Bearer error="invalid_token"').json({ error });
+    }
+};
+
+/**
+ * Deja en req.scope el programa al que se limita la petición, o null si no hay límite. Los coordinadores
+ * quedan siempre limitados al programa de su token; los demás roles pueden limitarse a uno con el
+ * encabezado X-Programa. Un coordinador que pida otro programa recibe 403.
+ */
+const resolveScope = (req, res, next) => {
+    const header = req.get('X-Programa');
+    if (header !== undefined && !/^\d+$/.test(header.trim())) {
+        return res.status(400).json({ error: 'El encabezado X-Programa debe ser un ID de programa numérico.' });
+    }
+    const requested = header === undefined ? null : Number(header);
+
+    if (req.user.rol === 'coordinador') {
+        if (!req.user.id_programa || (requested !== null && requested !== req.user.id_programa)) {
+            return res.status(403).json({ error: 'No tiene acceso a ese programa.' });
+        }
+        req.scope = { id_programa: req.user.id_programa };
+    } else {
+        req.scope = requested === null ? null : { id_programa: requested };
+    }
+    next();
+};
+
+// Permite continuar solo a los roles indicados
+const authorize = (...roles) => (req, res, next) => {
+    if (!req.user || !roles.includes(req.user.rol)) {
+        return res.status(403).json({ error: 'No tiene permiso para realizar esta acción.' });
+    }
+    next();
+};
+
+// Política de los routers de datos: todos los roles leen, admin y coordinador crean y modifican, solo admin elimina
+const defaultPolicy = (req, res, next) => {
+    if (READ_METHODS.includes(req.method)) {
+        return next();
+    }
+    if (req.method === 'DELETE') {
+        return authorize('admin')(req, res, next);
+    }
+    return authorize('admin', 'coordinador')(req, res, next);
+};
+
+module.exports = {
+    authenticate,
+    resolveScope,
+    authorize,
+    defaultPolicy
+};
@@ -0,0 +1,90 @@
+const Ajv = require('ajv');
+const { schemas, CHECKS } = require('../utils/schemas');
+const { isEmail, isNit, isPhone, parseSheetDate } = require('../utils/validators');
+const { serializeRow } = require('../utils/serialize');
+
+// removeAdditional: los campos que no están en el esquema se descartan en lugar de llegar al SQL
+const ajv = new Ajv({ allErrors: true, removeAdditional: 'all' });
+ajv.addVocabulary(['example']);
+ajv.addFormat('email', isEmail);
+ajv.addFormat('nit', isNit);
+ajv.addFormat('telefono', isPhone);
+ajv.addFormat('date', (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && parseSheetDate(value) !== null);
+
+Object.keys(schemas).forEach((name) => ajv.addSchema(schemas[name], name));
+
+const TYPE_NAMES = {
+    string: 'texto',
+    integer: 'un número entero',
+    number: 'un número',
+    object: 'un objeto',
+    boolean: 'verdadero o falso'
+};
+
+const FORMAT_MESSAGES = {
+    email: 'debe ser un correo electrónico válido',
+    nit: 'debe ser un NIT válido (si trae dígito de verificación, debe ser el correcto)',
+    telefono: 'debe ser un teléfono colombiano válido (celular de 10 dígitos o fijo 60X)',
+    date: 'debe ser una fecha válida (aaaa-mm-dd)'
+};
+
+// Convierte un error de ajv en { field, message }
+const toFieldError = (error) => {
+    const field = error.keyword === 'required' ? error.params.missingProperty : error.instancePath.replace(/^\//, '').replace(/\//g, '.');
+    switch (error.keyword) {
+        case 'required':
+            return { field, message: 'es obligatorio' };
+        case 'type':
+            return { field: field || '(cuerpo)', message: `debe ser ${TYPE_NAMES[error.params.type] || error.params.type}` };
+        case 'format':
+            return { field, message: FORMAT_MESSAGES[error.params.format] || error.message };
+        case 'minLength':
+            return { field, message: error.params.limit === 1 ? 'no puede estar vacío' : `debe tener al menos ${error.params.limit} caracteres` };
+        case 'maxLength':
+            return { field, message: `debe tener como máximo ${error.params.limit} caracteres` };
+        case 'minimum':
+            return { field, message: `debe ser mayor o igual a ${error.params.limit}` };
+        case 'maximum':
+            return { field, message: `debe ser menor o igual a ${error.params.limit}` };
+        case 'pattern':
+            return { field, message: 'tiene caracteres no permitidos' };
+        default:
+            return { field, message: error.message };
+    }
+};
+
+// Valida un objeto contra un esquema registrado y devuelve la lista de errores (vacía si es válido)
+const validate = (schemaName, data) => {
+    const check = ajv.getSchema(schemaName);
+    if (!check(data)) {
+        // Un solo error por campo: el primero que encontró ajv
+        const errors = check.errors.map(toFieldError);
+        return errors.filter((error, i) => errors.findIndex((other) => other.field === error.field) === i);
+    }
+    return CHECKS[schemaName] ? CHECKS[schemaName](data) : [];
+};
+
+/**
+ * Reglas entre campos de un PATCH sobre el registro que quedaría: el guardado (current) con los cambios
+ * del cuerpo aplicados, así que también se compara con lo que no viene en el cuerpo (un fec_termina
+ * enviado solo contra la fec_inicio guardada). schemaName es el esquema completo, p. ej. PracticaInput.
+ */
+const validateMerged = (schemaName, current, patch) => (CHECKS[schemaName] ? CHECKS[schemaName]({ ...serializeRow(current), ...patch }) : []);
+
+/**
+ * Middleware que valida req.body contra uno de los esquemas de utils/schemas.js.
+ * Si no es válido responde 400 con un error por campo: { error, details: [{ field, message }] }.
+ */
+const validateBody = (schemaName) => (req, res, next) => {
+    const details = validate(schemaName, req.body);
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details });
+    }
+    next();
+};
+
+module.exports = {
+    validate,
+    validateMerged,
+    validateBody
+};
@@ -0,0 +1,115 @@
+const express = require('express');
+const { withConnection } = require('../db/connection');
+const { parseListQuery, findPage, setPaginationHeaders } = require('../utils/listQuery');
+const { toAuditResponse } = require('../services/audit');
+
+const router = express.Router();
+
+// Columnas por las que se puede ordenar y filtrar la bitácora
+const LIST_OPTIONS = {
+    primaryKey: 'id_auditoria',
+    sortable: ['id_auditoria', 'fecha', 'entidad', 'usuario'],
+    defaultSort: '-fecha',
+    filters: {
+        entidad: { column: 'entidad', type: 'text' },
+        id: { column: 'id_registro', type: 'text' },
+        accion: { column: 'accion', type: 'text' },
+        usuario: { column: 'usuario', type: 'search' },
+        origen: { column: 'origen', type: 'text' },
+        desde: { column: 'fecha', type: 'from' },
+        hasta: { column: 'fecha', type: 'until' }
+    }
+};
+
+// Consultar la bitácora de auditoría
+/**
+ * @swagger
+ * /audit:
+ *   get:
+ *     summary: Consultar la bitácora de auditoría (solo admin)
+ *     description: Cada creación, modificación, eliminación y restauración hecha por la API, por una importación o por la reversión de una importación, con el usuario, la fecha y las columnas que cambiaron. Por defecto de la más reciente a la más antigua.
+ *     tags: [Auditoria]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - in: query
+ *         name: entidad
+ *         schema:
+ *           type: string
+ *         description: Tabla sin el prefijo p_ (practica, estudiante, empresa, contacto, jefe, programa, cargo_contacto, perfil_importacion, usuario)
+ *       - in: query
+ *         name: id
+ *         schema:
+ *           type: string
+ *         description: ID del registro (junto con entidad, su historial completo)
+ *       - in: query
+ *         name: accion
+ *         schema:
+ *           type: string
+ *           enum: [create, update, delete, restore]
+ *       - in: query
+ *         name: usuario
+ *         schema:
+ *           type: string
+ *         description: Parte del correo del usuario que hizo el cambio
+ *       - in: query
+ *         name: origen
+ *         schema:
+ *           type: string
+ *         description: api, importacion:<id del trabajo> o reversion:<id del trabajo>
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Cambios desde esta fecha (inclusive)
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Cambios hasta esta fecha (inclusive, todo el día)
+ *     responses:
+ *       200:
+ *         description: Entradas de la bitácora
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Auditoria'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       500:
+ *         description: Error al obtener la bitácora de auditoría
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al obtener la bitácora de auditoría.
+ */
+router.get('/', withConnection('Error al obtener la bitácora de auditoría', async (connection, req, res) => {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.errors.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details: list.errors });
+    }
+
+    const { rows, total } = await findPage(connection, 'p_auditoria', list);
+    setPaginationHeaders(req, res, list, total);
+    res.json(rows.map(toAuditResponse));
+}));
+
+module.exports = router;
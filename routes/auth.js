@@ -0,0 +1,196 @@
+const express = require('express');
+const { withConnection } = require('../db/connection');
+const { createRepository } = require('../db/repository');
+const { validateBody } = require('../middleware/validate');
+const { authenticate } = require('../middleware/auth');
+const { login, refresh, logout, toUserResponse } = require('../services/auth');
+
+const router = express.Router();
+
+const usuarios = createRepository('p_usuario');
+
+// Iniciar sesión
+/**
+ * @swagger
+ * /auth/login:
+ *   post:
+ *     summary: Iniciar sesión con correo y contraseña
+ *     description: Devuelve un token de acceso (JWT, corta duración) y un token de refresco para obtener uno nuevo cuando expire.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Login'
+ *     responses:
+ *       200:
+ *         description: Sesión iniciada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       401:
+ *         description: Correo o contraseña incorrectos, o usuario inactivo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Correo o contraseña incorrectos.
+ *       500:
+ *         description: Error al iniciar sesión
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al iniciar sesión.
+ */
+router.post('/login', validateBody('Login'), withConnection('Error al iniciar sesión', async (connection, req, res) => {
+    const tokens = await login(connection, req.body.email, req.body.password);
+    if (!tokens) {
+        return res.status(401).json({ error: 'Correo o contraseña incorrectos.' });
+    }
+    res.json(tokens);
+}));
+
+// Renovar el token de acceso
+/**
+ * @swagger
+ * /auth/refresh:
+ *   post:
+ *     summary: Obtener un token de acceso nuevo con el token de refresco
+ *     description: El token de refresco usado queda revocado y se entrega uno nuevo junto con el token de acceso.
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshToken'
+ *     responses:
+ *       200:
+ *         description: Tokens renovados
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Tokens'
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       401:
+ *         description: El token de refresco no existe, expiró o ya se usó
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Token de refresco inválido o expirado.
+ *       500:
+ *         description: Error al renovar la sesión
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al renovar la sesión.
+ */
+router.post('/refresh', validateBody('RefreshToken'), withConnection('Error al renovar la sesión', async (connection, req, res) => {
+    const tokens = await refresh(connection, req.body.refresh_token);
+    if (!tokens) {
+        return res.status(401).json({ error: 'Token de refresco inválido o expirado.' });
+    }
+    res.json(tokens);
+}));
+
+// Cerrar sesión
+/**
+ * @swagger
+ * /auth/logout:
+ *   post:
+ *     summary: Cerrar sesión revocando el token de refresco
+ *     tags: [Auth]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/RefreshToken'
+ *     responses:
+ *       200:
+ *         description: Sesión cerrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Sesión cerrada correctamente.
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       500:
+ *         description: Error al cerrar la sesión
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al cerrar la sesión.
+ */
+router.post('/logout', validateBody('RefreshToken'), withConnection('Error al cerrar la sesión', async (connection, req, res) => {
+    await logout(connection, req.body.refresh_token);
+    res.json({ message: 'Sesión cerrada correctamente.' });
+}));
+
+// Usuario de la sesión actual
+/**
+ * @swagger
+ * /auth/me:
+ *   get:
+ *     summary: Obtener el usuario de la sesión actual
+ *     tags: [Auth]
+ *     responses:
+ *       200:
+ *         description: Usuario autenticado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Usuario'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       500:
+ *         description: Error al obtener el usuario
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al obtener el usuario.
+ */
+router.get('/me', authenticate, withConnection('Error al obtener el usuario', async (connection, req, res) => {
+    const usuario = await usuarios.find(connection, req.user.id_usuario);
+    if (!usuario) {
+        return res.status(401).json({ error: 'No autenticado.' });
+    }
+    res.json(toUserResponse(usuario));
+}));
+
+module.exports = router;
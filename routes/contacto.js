@@ -1,46 +1,84 @@
 const express = require('express');
-const { getConnection, getOrCreate } = require('../db/connection');
+const { withConnection } = require('../db/connection');
+const { createRepository } = require('../db/repository');
+const { parseListQuery, findPage, setPaginationHeaders } = require('../utils/listQuery');
+const { validateBody } = require('../middleware/validate');
+const { rowEtag, checkIfMatch } = require('../utils/etag');
+const { buildPatch } = require('../utils/mergePatch');
+const { auditedChange } = require('../services/audit');
+const { parseBulk, runBulk } = require('../services/bulk');
+const { parseDeleteOptions, findDependents, resolveDependents, checkReferences } = require('../services/dependents');
+const { authorize } = require('../middleware/auth');
+const { scopeList } = require('../utils/programScope');
+const { parseIncludeDeleted, duplicateError } = require('../utils/softDelete');
+const { getProfile } = require('../services/importProfiles');
+const { validateExportQuery, exportEntity } = require('../services/exporter');
 
 const router = express.Router();
 
+const repository = createRepository('p_contacto');
+
+// Columnas por las que se puede ordenar y filtrar el listado
+const LIST_OPTIONS = {
+    primaryKey: 'id_contacto',
+    sortable: ['id_contacto', 'nombre', 'email'],
+    defaultSort: 'nombre',
+    filters: {
+        nombre: { column: 'nombre', type: 'search' },
+        email: { column: 'email', type: 'text' },
+        cargo: { column: 'id_cargo_contacto', type: 'integer' }
+    }
+};
+
 // Obtener todos los contactos
 /**
  * @swagger
  * /contacto:
  *   get:
  *     summary: Obtener todos los contactos
+ *     description: Listado paginado (por defecto 50 registros). Se puede ordenar por id_contacto, nombre, email.
  *     tags: [Contacto]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *         description: Parte del nombre del contacto (sin distinguir mayúsculas)
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Correo exacto
+ *       - in: query
+ *         name: cargo
+ *         schema:
+ *           type: integer
+ *         description: ID del cargo del contacto
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Lista de contactos
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   nombre_contacto:
- *                     type: string
- *                     example: Juan Pérez
- *                   cargo_contacto:
- *                     type: string
- *                     example: Gerente
- *                   telefono_contacto:
- *                     type: string
- *                     example: "123456789"
- *                   celular_contacto:
- *                     type: string
- *                     example: "987654321"
- *                   email_contacto:
- *                     type: string
- *                     example: juan.perez@example.com
- *                   direccion_contacto:
- *                     type: string
- *                     example: Calle Falsa 123
+ *                 $ref: '#/components/schemas/Contacto'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       500:
  *         description: Error al obtener los contactos
  *         content:
@@ -52,18 +90,114 @@ const router = express.Router();
  *                   type: string
  *                   example: Error al obtener los contactos.
  */
-router.get('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM contacto');
-        res.json(rows);
-    } catch (err) {
-        console.error('Error al obtener los contactos:', err);
-        res.status(500).json({ error: 'Error al obtener los contactos.' });
-    } finally {
-        connection.release();
-    }
-});
+router.get('/', withConnection('Error al obtener los contactos', async (connection, req, res) => {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.errors.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details: list.errors });
+    }
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const { rows, total } = await findPage(connection, 'p_contacto', scopeList('p_contacto', null, list, includeDeleted));
+    setPaginationHeaders(req, res, list, total);
+    res.json(rows);
+}));
+
+// Exportar los contactos a Excel o CSV con los encabezados de la plantilla de importación
+/**
+ * @swagger
+ * /contacto/export:
+ *   get:
+ *     summary: Exportar los contactos a Excel (xlsx) o CSV
+ *     description: Los filtros se aplican sobre las prácticas de las empresas donde el contacto es jefe inmediato.
+ *     tags: [Contacto]
+ *     parameters:
+ *       - in: query
+ *         name: formato
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv]
+ *           default: xlsx
+ *         description: Formato del archivo; el CSV va separado por punto y coma
+ *       - in: query
+ *         name: programa
+ *         schema:
+ *           type: integer
+ *         description: ID del programa de la práctica
+ *       - in: query
+ *         name: empresa
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa de la práctica
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Prácticas que terminan en esta fecha o después
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Prácticas que empiezan en esta fecha o antes
+ *       - in: query
+ *         name: perfil
+ *         schema:
+ *           type: string
+ *         description: Perfil de importación cuyos encabezados y hoja se usan (por defecto la plantilla original)
+ *     responses:
+ *       200:
+ *         description: Archivo de contactos
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Parámetros de exportación inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Parámetros de exportación inválidos.
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: El formato debe ser xlsx o csv.
+ *       500:
+ *         description: Error al exportar los contactos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al exportar los contactos.
+ */
+router.get('/export', withConnection('Error al exportar los contactos', async (connection, req, res) => {
+    const details = validateExportQuery(req.query);
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de exportación inválidos.', details });
+    }
+
+    const profile = await getProfile(connection, req.query.perfil);
+    if (!profile) {
+        return res.status(400).json({ error: `El perfil de importación "${req.query.perfil}" no existe.` });
+    }
+    const file = await exportEntity(connection, 'contacto', req.query, profile);
+    res.attachment(file.filename).type(file.contentType).send(file.body);
+}));
 
 // Obtener un contacto por ID
 /**
@@ -79,35 +213,20 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID del contacto
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Detalles del contacto
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
- *               type: object
- *               properties:
- *                 id:
- *                   type: integer
- *                   example: 1
- *                 nombre_contacto:
- *                   type: string
- *                   example: Juan Pérez
- *                 cargo_contacto:
- *                   type: string
- *                   example: Gerente
- *                 telefono_contacto:
- *                   type: string
- *                   example: "123456789"
- *                 celular_contacto:
- *                   type: string
- *                   example: "987654321"
- *                 email_contacto:
- *                   type: string
- *                   example: juan.perez@example.com
- *                 direccion_contacto:
- *                   type: string
- *                   example: Calle Falsa 123
+ *               $ref: '#/components/schemas/Contacto'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
  *       404:
  *         description: Contacto no encontrado
  *         content:
@@ -118,6 +237,8 @@ router.get('/', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: Contacto no encontrado.
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       500:
  *         description: Error al obtener el contacto
  *         content:
@@ -129,21 +250,18 @@ router.get('/', async (req, res) => {
  *                   type: string
  *                   example: Error al obtener el contacto.
  */
-router.get('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM contacto WHERE id = ?', [req.params.id]);
-        if (rows.length === 0) {
-            return res.status(404).json({ error: 'Contacto no encontrado.' });
-        }
-        res.json(rows[0]);
-    } catch (err) {
-        console.error('Error al obtener el contacto:', err);
-        res.status(500).json({ error: 'Error al obtener el contacto.' });
-    } finally {
-        connection.release();
-    }
-});
+router.get('/:id', withConnection('Error al obtener el contacto', async (connection, req, res) => {
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const contacto = await repository.find(connection, req.params.id, { includeDeleted });
+    if (!contacto) {
+        return res.status(404).json({ error: 'Contacto no encontrado.' });
+    }
+    res.set('ETag', rowEtag(contacto)).json(contacto);
+}));
 
 // Crear un nuevo contacto
 /**
@@ -157,57 +275,73 @@ router.get('/:id', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               nombre_contacto:
- *                 type: string
- *                 example: Juan Pérez
- *               cargo_contacto:
- *                 type: string
- *                 example: Gerente
- *               telefono_contacto:
- *                 type: string
- *                 example: "123456789"
- *               celular_contacto:
- *                 type: string
- *                 example: "987654321"
- *               email_contacto:
- *                 type: string
- *                 example: juan.perez@example.com
- *               direccion_contacto:
- *                 type: string
- *                 example: Calle Falsa 123
+ *             $ref: '#/components/schemas/ContactoInput'
  *     responses:
  *       201:
  *         description: Contacto creado correctamente
+ *         headers:
+ *           Location:
+ *             $ref: '#/components/headers/Location'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Contacto'
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       500:
+ *         description: Error al crear el contacto
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id:
- *                   type: integer
- *                   example: 1
- *                 nombre_contacto:
- *                   type: string
- *                   example: Juan Pérez
- *                 cargo_contacto:
- *                   type: string
- *                   example: Gerente
- *                 telefono_contacto:
- *                   type: string
- *                   example: "123456789"
- *                 celular_contacto:
- *                   type: string
- *                   example: "987654321"
- *                 email_contacto:
- *                   type: string
- *                   example: juan.perez@example.com
- *                 direccion_contacto:
+ *                 error:
  *                   type: string
- *                   example: Calle Falsa 123
+ *                   example: Error al crear el contacto.
+ */
+router.post('/', validateBody('ContactoInput'), withConnection('Error al crear el contacto', async (connection, req, res) => {
+    const duplicate = await repository.findDuplicate(connection, req.body);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const invalidReferences = await checkReferences(connection, 'p_contacto', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const id = await auditedChange(connection, req, { ...repository.audit, accion: 'create' }, () => repository.insert(connection, req.body));
+    const contacto = await repository.find(connection, id);
+    res.status(201).location(`${req.baseUrl}/${id}`).json(contacto);
+}));
+
+// Crear, modificar y eliminar varios contactos en una sola transacción; se ubican por id o por email
+/**
+ * @swagger
+ * /contacto/bulk:
+ *   post:
+ *     summary: Crear, modificar y eliminar contactos en bloque
+ *     description: Aplica las listas create, update y delete (en ese orden) en una sola transacción; si una operación falla no se aplica ninguna. En update y delete los contactos se ubican por id o por email. Las eliminaciones exigen rol admin.
+ *     tags: [Contacto]
+ *     parameters:
+ *       - $ref: '#/components/parameters/cascade'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactoMasivo'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/CargaMasiva'
+ *       400:
+ *         $ref: '#/components/responses/CargaMasivaInvalida'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/CargaMasivaFallida'
  *       500:
- *         description: Error al crear el contacto
+ *         description: Error en la carga masiva de contactos
  *         content:
  *           application/json:
  *             schema:
@@ -215,24 +349,23 @@ router.get('/:id', async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error al crear el contacto.
+ *                   example: Error en la carga masiva de contactos.
  */
-router.post('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { nombre_contacto, cargo_contacto, telefono_contacto, celular_contacto, email_contacto, direccion_contacto } = req.body;
-        const [result] = await connection.query(
-            'INSERT INTO contacto (nombre_contacto, cargo_contacto, telefono_contacto, celular_contacto, email_contacto, direccion_contacto) VALUES (?, ?, ?, ?, ?, ?)',
-            [nombre_contacto, cargo_contacto, telefono_contacto, celular_contacto, email_contacto, direccion_contacto]
-        );
-        res.status(201).json({ id: result.insertId, ...req.body });
-    } catch (err) {
-        console.error('Error al crear el contacto:', err);
-        res.status(500).json({ error: 'Error al crear el contacto.' });
-    } finally {
-        connection.release();
-    }
-});
+router.post('/bulk', withConnection('Error en la carga masiva de contactos', async (connection, req, res) => {
+    const bulk = parseBulk(req, 'p_contacto');
+    if (bulk.forbidden) {
+        return res.status(403).json({ error: bulk.forbidden });
+    }
+    if (bulk.error) {
+        return res.status(400).json({ error: bulk.error, resultados: bulk.resultados });
+    }
+
+    const { resultados, failed } = await runBulk(connection, req, repository, bulk);
+    if (failed) {
+        return res.status(409).json({ error: 'Una operación falló: no se aplicó ninguna.', resultados: [failed] });
+    }
+    res.json({ message: 'Carga masiva aplicada correctamente.', resultados });
+}));
 
 // Actualizar un contacto por ID
 /**
@@ -248,34 +381,118 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID del contacto
+ *       - $ref: '#/components/parameters/If-Match'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactoInput'
+ *     responses:
+ *       200:
+ *         description: Contacto actualizado correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Contacto actualizado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       404:
+ *         description: Contacto no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Contacto no encontrado.
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
+ *       500:
+ *         description: Error al actualizar el contacto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al actualizar el contacto.
+ */
+router.put('/:id', validateBody('ContactoInput'), withConnection('Error al actualizar el contacto', async (connection, req, res) => {
+    const current = await repository.find(connection, req.params.id);
+    if (!current) {
+        return res.status(404).json({ error: 'Contacto no encontrado.' });
+    }
+    const duplicate = await repository.findDuplicate(connection, { ...current, ...req.body }, req.params.id);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const invalidReferences = await checkReferences(connection, 'p_contacto', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_contacto', 'id_contacto', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        return repository.replace(connection, req.params.id, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El contacto cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Contacto no encontrado.' });
+    }
+    const actual = await repository.find(connection, req.params.id);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Contacto actualizado correctamente.', registros: affectedRows });
+}));
+
+// Modificar algunos campos de un contacto por ID
+/**
+ * @swagger
+ * /contacto/{id}:
+ *   patch:
+ *     summary: Modificar algunos campos de un contacto por ID
+ *     description: JSON Merge Patch (RFC 7396); solo cambian los campos enviados y null deja el campo vacío. Los campos obligatorios no aceptan null.
+ *     tags: [Contacto]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del contacto
+ *       - $ref: '#/components/parameters/If-Match'
  *     requestBody:
  *       required: true
  *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/ContactoParcial'
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               nombre_contacto:
- *                 type: string
- *                 example: Juan Pérez
- *               cargo_contacto:
- *                 type: string
- *                 example: Gerente
- *               telefono_contacto:
- *                 type: string
- *                 example: "123456789"
- *               celular_contacto:
- *                 type: string
- *                 example: "987654321"
- *               email_contacto:
- *                 type: string
- *                 example: juan.perez@example.com
- *               direccion_contacto:
- *                 type: string
- *                 example: Calle Falsa 123
+ *             $ref: '#/components/schemas/ContactoParcial'
  *     responses:
  *       200:
  *         description: Contacto actualizado correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -284,6 +501,26 @@ router.post('/', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Contacto actualizado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       404:
+ *         description: Contacto no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Contacto no encontrado.
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al actualizar el contacto
  *         content:
@@ -295,22 +532,38 @@ router.post('/', async (req, res) => {
  *                   type: string
  *                   example: Error al actualizar el contacto.
  */
-router.put('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { nombre_contacto, cargo_contacto, telefono_contacto, celular_contacto, email_contacto, direccion_contacto } = req.body;
-        await connection.query(
-            'UPDATE contacto SET nombre_contacto = ?, cargo_contacto = ?, telefono_contacto = ?, celular_contacto = ?, email_contacto = ?, direccion_contacto = ? WHERE id = ?',
-            [nombre_contacto, cargo_contacto, telefono_contacto, celular_contacto, email_contacto, direccion_contacto, req.params.id]
-        );
-        res.json({ message: 'Contacto actualizado correctamente.' });
-    } catch (err) {
-        console.error('Error al actualizar el contacto:', err);
-        res.status(500).json({ error: 'Error al actualizar el contacto.' });
-    } finally {
-        connection.release();
-    }
-});
+router.patch('/:id', validateBody('ContactoParcial'), withConnection('Error al actualizar el contacto', async (connection, req, res) => {
+    if (!buildPatch(req.body, repository.columns)) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: [{ field: '(cuerpo)', message: 'debe traer al menos un campo para modificar' }] });
+    }
+
+    const current = await repository.find(connection, req.params.id);
+    if (!current) {
+        return res.status(404).json({ error: 'Contacto no encontrado.' });
+    }
+    const duplicate = await repository.findDuplicate(connection, { ...current, ...req.body }, req.params.id);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const invalidReferences = await checkReferences(connection, 'p_contacto', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_contacto', 'id_contacto', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        return repository.update(connection, req.params.id, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El contacto cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Contacto no encontrado.' });
+    }
+    const actual = await repository.find(connection, req.params.id);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Contacto actualizado correctamente.', registros: affectedRows });
+}));
 
 // Eliminar un contacto por ID
 /**
@@ -318,6 +571,7 @@ router.put('/:id', async (req, res) => {
  * /contacto/{id}:
  *   delete:
  *     summary: Eliminar un contacto por ID
+ *     description: Borrado lógico; el registro deja de aparecer en los listados y se puede restaurar con POST /contacto/{id}/restore. Si otros registros dependen de este responde 409, salvo con cascade o reassign.
  *     tags: [Contacto]
  *     parameters:
  *       - in: path
@@ -326,6 +580,13 @@ router.put('/:id', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID del contacto
+ *       - $ref: '#/components/parameters/cascade'
+ *       - in: query
+ *         name: reassign
+ *         schema:
+ *           type: integer
+ *         description: ID del contacto que recibe las referencias del eliminado
+ *       - $ref: '#/components/parameters/If-Match'
  *     responses:
  *       200:
  *         description: Contacto eliminado correctamente
@@ -337,6 +598,34 @@ router.put('/:id', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Contacto eliminado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         description: Opciones de eliminación inválidas o registro de reemplazo inexistente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Use cascade o reassign, no los dos.
+ *       404:
+ *         description: Contacto no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Contacto no encontrado.
+ *       409:
+ *         $ref: '#/components/responses/TieneDependientes'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al eliminar el contacto
  *         content:
@@ -348,17 +637,122 @@ router.put('/:id', async (req, res) => {
  *                   type: string
  *                   example: Error al eliminar el contacto.
  */
-router.delete('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        await connection.query('DELETE FROM contacto WHERE id = ?', [req.params.id]);
-        res.json({ message: 'Contacto eliminado correctamente.' });
-    } catch (err) {
-        console.error('Error al eliminar el contacto:', err);
-        res.status(500).json({ error: 'Error al eliminar el contacto.' });
-    } finally {
-        connection.release();
-    }
-});
+router.delete('/:id', withConnection('Error al eliminar el contacto', async (connection, req, res) => {
+    const options = parseDeleteOptions(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+
+    const contacto = await repository.find(connection, req.params.id);
+    if (!contacto) {
+        return res.status(404).json({ error: 'Contacto no encontrado.' });
+    }
+    let replacement = null;
+    if (options.reassign !== undefined) {
+        replacement = await repository.find(connection, options.reassign);
+        if (!replacement || replacement.id_contacto === contacto.id_contacto) {
+            return res.status(400).json({ error: 'El contacto de reemplazo no existe o es el mismo que se elimina.' });
+        }
+    }
+    const dependientes = await findDependents(connection, 'p_contacto', contacto.id_contacto);
+    if (dependientes.length > 0 && !options.cascade && !replacement) {
+        return res.status(409).json({
+            error: 'El contacto tiene registros que dependen de él. Use ?cascade=true para eliminarlos o ?reassign=<id> para pasarlos a otro contacto.',
+            dependientes
+        });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'delete', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_contacto', 'id_contacto', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        await resolveDependents(connection, req, 'p_contacto', contacto.id_contacto, replacement && replacement.id_contacto);
+        return repository.softDelete(connection, req.params.id);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El contacto cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Contacto no encontrado.' });
+    }
+    res.json({ message: 'Contacto eliminado correctamente.', registros: affectedRows });
+}));
+
+// Restaurar un contacto eliminado
+/**
+ * @swagger
+ * /contacto/{id}/restore:
+ *   post:
+ *     summary: Restaurar un contacto eliminado (solo admin)
+ *     tags: [Contacto]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del contacto
+ *     responses:
+ *       200:
+ *         description: Contacto restaurado correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Contacto restaurado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Contacto no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Contacto no encontrado.
+ *       409:
+ *         description: El contacto no está eliminado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: El contacto no está eliminado.
+ *       500:
+ *         description: Error al restaurar el contacto
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al restaurar el contacto.
+ */
+router.post('/:id/restore', authorize('admin'), withConnection('Error al restaurar el contacto', async (connection, req, res) => {
+    const contacto = await repository.find(connection, req.params.id, { includeDeleted: true });
+    if (!contacto) {
+        return res.status(404).json({ error: 'Contacto no encontrado.' });
+    }
+    if (!contacto.deleted_at) {
+        return res.status(409).json({ error: 'El contacto no está eliminado.' });
+    }
+    const { affectedRows } = await auditedChange(connection, req, { ...repository.audit, accion: 'restore', value: req.params.id },
+        () => repository.restore(connection, req.params.id));
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Contacto no encontrado.' });
+    }
+    res.json({ message: 'Contacto restaurado correctamente.', registros: affectedRows });
+}));
 
 module.exports = router;
@@ -1,45 +1,87 @@
 const express = require('express');
-const { getConnection } = require('../db/connection');
+const { withConnection } = require('../db/connection');
+const { createRepository } = require('../db/repository');
+const { parseListQuery, narrowList, findPage, setPaginationHeaders } = require('../utils/listQuery');
+const { PRACTICA_LIST_OPTIONS } = require('../utils/listOptions');
+const { parseExpand, expandRows } = require('../services/expand');
+const { validateBody } = require('../middleware/validate');
+const { rowEtag, checkIfMatch } = require('../utils/etag');
+const { buildPatch } = require('../utils/mergePatch');
+const { auditedChange } = require('../services/audit');
+const { parseBulk, runBulk } = require('../services/bulk');
+const { parseDeleteOptions, findDependents, resolveDependents, checkReferences } = require('../services/dependents');
+const { authorize } = require('../middleware/auth');
+const { parseIncludeDeleted, duplicateError } = require('../utils/softDelete');
+const { scopeList } = require('../utils/programScope');
+const { getProfile } = require('../services/importProfiles');
+const { validateExportQuery, exportEntity } = require('../services/exporter');
 
 const router = express.Router();
 
+const repository = createRepository('p_empresa');
+
+// Columnas por las que se puede ordenar y filtrar el listado
+const LIST_OPTIONS = {
+    primaryKey: 'id_empresa',
+    sortable: ['id_empresa', 'nit', 'razon_social'],
+    defaultSort: 'razon_social',
+    filters: {
+        nit: { column: 'nit', type: 'text' },
+        razon_social: { column: 'razon_social', type: 'search' },
+        jefe_inmediato: { column: 'id_jefe_inmediato', type: 'integer' }
+    }
+};
+
 // Obtener todas las empresas
 /**
  * @swagger
  * /empresa:
  *   get:
  *     summary: Obtener todas las empresas
+ *     description: Listado paginado (por defecto 50 registros). Se puede ordenar por id_empresa, nit, razon_social.
  *     tags: [Empresa]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/X-Programa'
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - in: query
+ *         name: nit
+ *         schema:
+ *           type: string
+ *         description: NIT exacto
+ *       - in: query
+ *         name: razon_social
+ *         schema:
+ *           type: string
+ *         description: Parte de la razón social (sin distinguir mayúsculas)
+ *       - in: query
+ *         name: jefe_inmediato
+ *         schema:
+ *           type: integer
+ *         description: ID del contacto jefe inmediato
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Lista de empresas
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   fecha_inicio:
- *                     type: string
- *                     format: date
- *                     example: "2023-01-01"
- *                   fecha_terminacion:
- *                     type: string
- *                     format: date
- *                     example: "2023-12-31"
- *                   total_dias_practica:
- *                     type: integer
- *                     example: 365
- *                   nit:
- *                     type: string
- *                     example: "123456789"
- *                   nombre_empresa:
- *                     type: string
- *                     example: "Empresa Ejemplo"
+ *                 $ref: '#/components/schemas/Empresa'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       500:
  *         description: Error al obtener las empresas
  *         content:
@@ -51,18 +93,115 @@ const router = express.Router();
  *                   type: string
  *                   example: Error al obtener las empresas.
  */
-router.get('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM empresa');
-        res.json(rows);
-    } catch (err) {
-        console.error('Error al obtener las empresas:', err);
-        res.status(500).json({ error: 'Error al obtener las empresas.' });
-    } finally {
-        connection.release();
-    }
-});
+router.get('/', withConnection('Error al obtener las empresas', async (connection, req, res) => {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.errors.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details: list.errors });
+    }
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const { rows, total } = await findPage(connection, 'p_empresa', scopeList('p_empresa', req.scope, list, includeDeleted));
+    setPaginationHeaders(req, res, list, total);
+    res.json(rows);
+}));
+
+// Exportar las empresas a Excel o CSV con los encabezados de la plantilla de importación
+/**
+ * @swagger
+ * /empresa/export:
+ *   get:
+ *     summary: Exportar las empresas a Excel (xlsx) o CSV
+ *     description: Incluye el contacto (jefe inmediato) de cada empresa. Los filtros se aplican sobre las prácticas de la empresa.
+ *     tags: [Empresa]
+ *     parameters:
+ *       - in: query
+ *         name: formato
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv]
+ *           default: xlsx
+ *         description: Formato del archivo; el CSV va separado por punto y coma
+ *       - in: query
+ *         name: programa
+ *         schema:
+ *           type: integer
+ *         description: ID del programa de la práctica
+ *       - in: query
+ *         name: empresa
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa de la práctica
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Prácticas que terminan en esta fecha o después
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Prácticas que empiezan en esta fecha o antes
+ *       - in: query
+ *         name: perfil
+ *         schema:
+ *           type: string
+ *         description: Perfil de importación cuyos encabezados y hoja se usan (por defecto la plantilla original)
+ *       - $ref: '#/components/parameters/X-Programa'
+ *     responses:
+ *       200:
+ *         description: Archivo de empresas
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Parámetros de exportación inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Parámetros de exportación inválidos.
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: El formato debe ser xlsx o csv.
+ *       500:
+ *         description: Error al exportar las empresas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al exportar las empresas.
+ */
+router.get('/export', withConnection('Error al exportar las empresas', async (connection, req, res) => {
+    const details = validateExportQuery(req.query);
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de exportación inválidos.', details });
+    }
+
+    const profile = await getProfile(connection, req.query.perfil);
+    if (!profile) {
+        return res.status(400).json({ error: `El perfil de importación "${req.query.perfil}" no existe.` });
+    }
+    const file = await exportEntity(connection, 'empresa', req.query, profile, req.scope);
+    res.attachment(file.filename).type(file.contentType).send(file.body);
+}));
 
 // Obtener una empresa por ID
 /**
@@ -78,36 +217,102 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID de la empresa
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Detalles de la empresa
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Empresa'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       404:
+ *         description: Empresa no encontrada
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id:
- *                   type: integer
- *                   example: 1
- *                 fecha_inicio:
- *                   type: string
- *                   format: date
- *                   example: "2023-01-01"
- *                 fecha_terminacion:
- *                   type: string
- *                   format: date
- *                   example: "2023-12-31"
- *                 total_dias_practica:
- *                   type: integer
- *                   example: 365
- *                 nit:
+ *                 error:
  *                   type: string
- *                   example: "123456789"
- *                 nombre_empresa:
+ *                   example: Empresa no encontrada.
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       500:
+ *         description: Error al obtener la empresa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
  *                   type: string
- *                   example: "Empresa Ejemplo"
+ *                   example: Error al obtener la empresa.
+ */
+router.get('/:id', withConnection('Error al obtener la empresa', async (connection, req, res) => {
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const empresa = await repository.find(connection, req.params.id, { scope: req.scope, includeDeleted });
+    if (!empresa) {
+        return res.status(404).json({ error: 'Empresa no encontrada.' });
+    }
+    res.set('ETag', rowEtag(empresa)).json(empresa);
+}));
+
+// Obtener las prácticas (practicantes) de una empresa
+/**
+ * @swagger
+ * /empresa/{id}/practicas:
+ *   get:
+ *     summary: Obtener las prácticas (practicantes) de una empresa
+ *     description: Listado paginado como GET /practica, con los mismos filtros, orden y expand.
+ *     tags: [Empresa]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/X-Programa'
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           example: estudiante,empresa
+ *         description: Relaciones que se incluyen como objetos, separadas por coma (programa, estudiante, empresa, contacto, jefe)
+ *     responses:
+ *       200:
+ *         description: Lista de prácticas
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PracticaExpandida'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       404:
- *         description: Empresa no encontrada
+ *         description: Empresa no encontrada (o sin prácticas en el programa)
  *         content:
  *           application/json:
  *             schema:
@@ -117,7 +322,7 @@ router.get('/', async (req, res) => {
  *                   type: string
  *                   example: Empresa no encontrada.
  *       500:
- *         description: Error al obtener la empresa
+ *         description: Error al obtener las prácticas de la empresa
  *         content:
  *           application/json:
  *             schema:
@@ -125,85 +330,112 @@ router.get('/', async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error al obtener la empresa.
+ *                   example: Error al obtener las prácticas de la empresa.
  */
-router.get('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM empresa WHERE id = ?', [req.params.id]);
-        if (rows.length === 0) {
-            return res.status(404).json({ error: 'Empresa no encontrada.' });
-        }
-        res.json(rows[0]);
-    } catch (err) {
-        console.error('Error al obtener la empresa:', err);
-        res.status(500).json({ error: 'Error al obtener la empresa.' });
-    } finally {
-        connection.release();
-    }
-});
+router.get('/:id/practicas', withConnection('Error al obtener las prácticas de la empresa', async (connection, req, res) => {
+    const list = parseListQuery(req.query, PRACTICA_LIST_OPTIONS);
+    const expansion = parseExpand(req.query, 'p_practica');
+    const details = expansion.error ? [...list.errors, expansion.error] : list.errors;
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details });
+    }
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const empresa = await repository.find(connection, req.params.id, { scope: req.scope, includeDeleted });
+    if (!empresa) {
+        return res.status(404).json({ error: 'Empresa no encontrada.' });
+    }
+    const practicas = narrowList(list, 'p_practica.id_empresa = ?', empresa.id_empresa);
+    const { rows, total } = await findPage(connection, 'p_practica', scopeList('p_practica', req.scope, practicas, includeDeleted));
+    setPaginationHeaders(req, res, list, total);
+    res.json(await expandRows(connection, 'p_practica', rows, expansion.expand));
+}));
 
 // Crear una nueva empresa
 /**
  * @swagger
  * /empresa:
  *   post:
- *     summary: Crear una nueva empresa
+ *     summary: Crear una nueva empresa (solo admin)
+ *     description: Un coordinador solo ve las empresas con prácticas de su programa, así que no vería una empresa nueva; las crea un admin.
  *     tags: [Empresa]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               fecha_inicio:
- *                 type: string
- *                 format: date
- *                 example: "2023-01-01"
- *               fecha_terminacion:
- *                 type: string
- *                 format: date
- *                 example: "2023-12-31"
- *               total_dias_practica:
- *                 type: integer
- *                 example: 365
- *               nit:
- *                 type: string
- *                 example: "123456789"
- *               nombre_empresa:
- *                 type: string
- *                 example: "Empresa Ejemplo"
+ *             $ref: '#/components/schemas/EmpresaInput'
  *     responses:
  *       201:
  *         description: Empresa creada correctamente
+ *         headers:
+ *           Location:
+ *             $ref: '#/components/headers/Location'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Empresa'
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       500:
+ *         description: Error al crear la empresa
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id:
- *                   type: integer
- *                   example: 1
- *                 fecha_inicio:
- *                   type: string
- *                   format: date
- *                   example: "2023-01-01"
- *                 fecha_terminacion:
- *                   type: string
- *                   format: date
- *                   example: "2023-12-31"
- *                 total_dias_practica:
- *                   type: integer
- *                   example: 365
- *                 nit:
- *                   type: string
- *                   example: "123456789"
- *                 nombre_empresa:
+ *                 error:
  *                   type: string
- *                   example: "Empresa Ejemplo"
+ *                   example: Error al crear la empresa.
+ */
+router.post('/', authorize('admin'), validateBody('EmpresaInput'), withConnection('Error al crear la empresa', async (connection, req, res) => {
+    const duplicate = await repository.findDuplicate(connection, req.body);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const invalidReferences = await checkReferences(connection, 'p_empresa', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const id = await auditedChange(connection, req, { ...repository.audit, accion: 'create' }, () => repository.insert(connection, req.body));
+    const empresa = await repository.find(connection, id);
+    res.status(201).location(`${req.baseUrl}/${id}`).json(empresa);
+}));
+
+// Crear, modificar y eliminar varias empresas en una sola transacción; se ubican por id o por NIT
+/**
+ * @swagger
+ * /empresa/bulk:
+ *   post:
+ *     summary: Crear, modificar y eliminar empresas en bloque
+ *     description: Aplica las listas create, update y delete (en ese orden) en una sola transacción; si una operación falla no se aplica ninguna. En update y delete las empresas se ubican por id o por nit. Las eliminaciones exigen rol admin. Un coordinador solo modifica las empresas de su programa, y una creación que no corresponde a una empresa existente exige rol admin.
+ *     tags: [Empresa]
+ *     parameters:
+ *       - $ref: '#/components/parameters/cascade'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmpresaMasivo'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/CargaMasiva'
+ *       400:
+ *         $ref: '#/components/responses/CargaMasivaInvalida'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/CargaMasivaFallida'
  *       500:
- *         description: Error al crear la empresa
+ *         description: Error en la carga masiva de empresas
  *         content:
  *           application/json:
  *             schema:
@@ -211,22 +443,23 @@ router.get('/:id', async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error al crear la empresa.
+ *                   example: Error en la carga masiva de empresas.
  */
-router.post('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { fecha_inicio, fecha_terminacion, total_dias_practica, nit, nombre_empresa } = req.body;
-        const [result] = await connection.query('INSERT INTO empresa (fecha_inicio, fecha_terminacion, total_dias_practica, nit, nombre_empresa) VALUES (?, ?, ?, ?, ?)',
-            [fecha_inicio, fecha_terminacion, total_dias_practica, nit, nombre_empresa]);
-        res.status(201).json({ id: result.insertId, fecha_inicio, fecha_terminacion, total_dias_practica, nit, nombre_empresa });
-    } catch (err) {
-        console.error('Error al crear la empresa:', err);
-        res.status(500).json({ error: 'Error al crear la empresa.' });
-    } finally {
-        connection.release();
-    }
-});
+router.post('/bulk', withConnection('Error en la carga masiva de empresas', async (connection, req, res) => {
+    const bulk = parseBulk(req, 'p_empresa');
+    if (bulk.forbidden) {
+        return res.status(403).json({ error: bulk.forbidden });
+    }
+    if (bulk.error) {
+        return res.status(400).json({ error: bulk.error, resultados: bulk.resultados });
+    }
+
+    const { resultados, failed } = await runBulk(connection, req, repository, bulk);
+    if (failed) {
+        return res.status(409).json({ error: 'Una operación falló: no se aplicó ninguna.', resultados: [failed] });
+    }
+    res.json({ message: 'Carga masiva aplicada correctamente.', resultados });
+}));
 
 // Actualizar una empresa por ID
 /**
@@ -242,33 +475,19 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID de la empresa
+ *       - $ref: '#/components/parameters/If-Match'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               fecha_inicio:
- *                 type: string
- *                 format: date
- *                 example: "2023-01-01"
- *               fecha_terminacion:
- *                 type: string
- *                 format: date
- *                 example: "2023-12-31"
- *               total_dias_practica:
- *                 type: integer
- *                 example: 365
- *               nit:
- *                 type: string
- *                 example: "123456789"
- *               nombre_empresa:
- *                 type: string
- *                 example: "Empresa Ejemplo"
+ *             $ref: '#/components/schemas/EmpresaInput'
  *     responses:
  *       200:
  *         description: Empresa actualizada correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -277,6 +496,26 @@ router.post('/', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Empresa actualizada correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       404:
+ *         description: Empresa no encontrada (o sin prácticas en el programa)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Empresa no encontrada.
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al actualizar la empresa
  *         content:
@@ -288,20 +527,137 @@ router.post('/', async (req, res) => {
  *                   type: string
  *                   example: Error al actualizar la empresa.
  */
-router.put('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { fecha_inicio, fecha_terminacion, total_dias_practica, nit, nombre_empresa } = req.body;
-        await connection.query('UPDATE empresa SET fecha_inicio = ?, fecha_terminacion = ?, total_dias_practica = ?, nit = ?, nombre_empresa = ? WHERE id = ?',
-            [fecha_inicio, fecha_terminacion, total_dias_practica, nit, nombre_empresa, req.params.id]);
-        res.json({ message: 'Empresa actualizada correctamente.' });
-    } catch (err) {
-        console.error('Error al actualizar la empresa:', err);
-        res.status(500).json({ error: 'Error al actualizar la empresa.' });
-    } finally {
-        connection.release();
-    }
-});
+router.put('/:id', validateBody('EmpresaInput'), withConnection('Error al actualizar la empresa', async (connection, req, res) => {
+    const current = await repository.find(connection, req.params.id, { scope: req.scope });
+    if (!current) {
+        return res.status(404).json({ error: 'Empresa no encontrada.' });
+    }
+    const duplicate = await repository.findDuplicate(connection, { ...current, ...req.body }, req.params.id);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const invalidReferences = await checkReferences(connection, 'p_empresa', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_empresa', 'id_empresa', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        return repository.replace(connection, req.params.id, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'La empresa cambió desde que se consultó; vuelva a consultarla.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Empresa no encontrada.' });
+    }
+    const actual = await repository.find(connection, req.params.id);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Empresa actualizada correctamente.', registros: affectedRows });
+}));
+
+// Modificar algunos campos de una empresa por ID
+/**
+ * @swagger
+ * /empresa/{id}:
+ *   patch:
+ *     summary: Modificar algunos campos de una empresa por ID
+ *     description: JSON Merge Patch (RFC 7396); solo cambian los campos enviados y null deja el campo vacío. Los campos obligatorios no aceptan null.
+ *     tags: [Empresa]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa
+ *       - $ref: '#/components/parameters/If-Match'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmpresaParcial'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EmpresaParcial'
+ *     responses:
+ *       200:
+ *         description: Empresa actualizada correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Empresa actualizada correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       404:
+ *         description: Empresa no encontrada (o sin prácticas en el programa)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Empresa no encontrada.
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
+ *       500:
+ *         description: Error al actualizar la empresa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al actualizar la empresa.
+ */
+router.patch('/:id', validateBody('EmpresaParcial'), withConnection('Error al actualizar la empresa', async (connection, req, res) => {
+    if (!buildPatch(req.body, repository.columns)) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: [{ field: '(cuerpo)', message: 'debe traer al menos un campo para modificar' }] });
+    }
+
+    const current = await repository.find(connection, req.params.id, { scope: req.scope });
+    if (!current) {
+        return res.status(404).json({ error: 'Empresa no encontrada.' });
+    }
+    const duplicate = await repository.findDuplicate(connection, { ...current, ...req.body }, req.params.id);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const invalidReferences = await checkReferences(connection, 'p_empresa', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_empresa', 'id_empresa', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        return repository.update(connection, req.params.id, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'La empresa cambió desde que se consultó; vuelva a consultarla.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Empresa no encontrada.' });
+    }
+    const actual = await repository.find(connection, req.params.id);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Empresa actualizada correctamente.', registros: affectedRows });
+}));
 
 // Eliminar una empresa por ID
 /**
@@ -309,6 +665,7 @@ router.put('/:id', async (req, res) => {
  * /empresa/{id}:
  *   delete:
  *     summary: Eliminar una empresa por ID
+ *     description: Borrado lógico; el registro deja de aparecer en los listados y se puede restaurar con POST /empresa/{id}/restore. Si otros registros dependen de este responde 409, salvo con cascade o reassign.
  *     tags: [Empresa]
  *     parameters:
  *       - in: path
@@ -317,6 +674,13 @@ router.put('/:id', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID de la empresa
+ *       - $ref: '#/components/parameters/cascade'
+ *       - in: query
+ *         name: reassign
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa que recibe las prácticas de la eliminada
+ *       - $ref: '#/components/parameters/If-Match'
  *     responses:
  *       200:
  *         description: Empresa eliminada correctamente
@@ -328,6 +692,34 @@ router.put('/:id', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Empresa eliminada correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         description: Opciones de eliminación inválidas o registro de reemplazo inexistente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Use cascade o reassign, no los dos.
+ *       404:
+ *         description: Empresa no encontrada (o sin prácticas en el programa)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Empresa no encontrada.
+ *       409:
+ *         $ref: '#/components/responses/TieneDependientes'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al eliminar la empresa
  *         content:
@@ -339,17 +731,122 @@ router.put('/:id', async (req, res) => {
  *                   type: string
  *                   example: Error al eliminar la empresa.
  */
-router.delete('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        await connection.query('DELETE FROM empresa WHERE id = ?', [req.params.id]);
-        res.json({ message: 'Empresa eliminada correctamente.' });
-    } catch (err) {
-        console.error('Error al eliminar la empresa:', err);
-        res.status(500).json({ error: 'Error al eliminar la empresa.' });
-    } finally {
-        connection.release();
-    }
-});
+router.delete('/:id', withConnection('Error al eliminar la empresa', async (connection, req, res) => {
+    const options = parseDeleteOptions(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+
+    const empresa = await repository.find(connection, req.params.id, { scope: req.scope });
+    if (!empresa) {
+        return res.status(404).json({ error: 'Empresa no encontrada.' });
+    }
+    let replacement = null;
+    if (options.reassign !== undefined) {
+        replacement = await repository.find(connection, options.reassign, { scope: req.scope });
+        if (!replacement || replacement.id_empresa === empresa.id_empresa) {
+            return res.status(400).json({ error: 'La empresa de reemplazo no existe o es la misma que se elimina.' });
+        }
+    }
+    const dependientes = await findDependents(connection, 'p_empresa', empresa.id_empresa);
+    if (dependientes.length > 0 && !options.cascade && !replacement) {
+        return res.status(409).json({
+            error: 'La empresa tiene registros que dependen de ella. Use ?cascade=true para eliminarlos o ?reassign=<id> para pasarlos a otra empresa.',
+            dependientes
+        });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'delete', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_empresa', 'id_empresa', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        await resolveDependents(connection, req, 'p_empresa', empresa.id_empresa, replacement && replacement.id_empresa);
+        return repository.softDelete(connection, req.params.id);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'La empresa cambió desde que se consultó; vuelva a consultarla.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Empresa no encontrada.' });
+    }
+    res.json({ message: 'Empresa eliminada correctamente.', registros: affectedRows });
+}));
+
+// Restaurar una empresa eliminada
+/**
+ * @swagger
+ * /empresa/{id}/restore:
+ *   post:
+ *     summary: Restaurar una empresa eliminada (solo admin)
+ *     tags: [Empresa]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa
+ *     responses:
+ *       200:
+ *         description: Empresa restaurada correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Empresa restaurada correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Empresa no encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Empresa no encontrada.
+ *       409:
+ *         description: La empresa no está eliminada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: La empresa no está eliminada.
+ *       500:
+ *         description: Error al restaurar la empresa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al restaurar la empresa.
+ */
+router.post('/:id/restore', authorize('admin'), withConnection('Error al restaurar la empresa', async (connection, req, res) => {
+    const empresa = await repository.find(connection, req.params.id, { scope: req.scope, includeDeleted: true });
+    if (!empresa) {
+        return res.status(404).json({ error: 'Empresa no encontrada.' });
+    }
+    if (!empresa.deleted_at) {
+        return res.status(409).json({ error: 'La empresa no está eliminada.' });
+    }
+    const { affectedRows } = await auditedChange(connection, req, { ...repository.audit, accion: 'restore', value: req.params.id },
+        () => repository.restore(connection, req.params.id));
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Empresa no encontrada.' });
+    }
+    res.json({ message: 'Empresa restaurada correctamente.', registros: affectedRows });
+}));
 
 module.exports = router;
@@ -1,43 +1,80 @@
 const express = require('express');
-const { getConnection } = require('../db/connection');
+const { withConnection } = require('../db/connection');
+const { createRepository } = require('../db/repository');
+const { parseListQuery, narrowList, findPage, setPaginationHeaders } = require('../utils/listQuery');
+const { PRACTICA_LIST_OPTIONS, ESTUDIANTE_LIST_OPTIONS } = require('../utils/listOptions');
+const { parseExpand, expandRows } = require('../services/expand');
+const { validateBody } = require('../middleware/validate');
+const { rowEtag, checkIfMatch } = require('../utils/etag');
+const { buildPatch } = require('../utils/mergePatch');
+const { auditedChange } = require('../services/audit');
+const { parseBulk, runBulk } = require('../services/bulk');
+const { parseDeleteOptions, findDependents, resolveDependents, checkReferences } = require('../services/dependents');
+const { authorize } = require('../middleware/auth');
+const { parseIncludeDeleted, duplicateError } = require('../utils/softDelete');
+const { scopeList } = require('../utils/programScope');
+const { getProfile } = require('../services/importProfiles');
+const { validateExportQuery, exportEntity } = require('../services/exporter');
 
 const router = express.Router();
 
+const repository = createRepository('p_estudiante', { key: 'documento' });
+
 // Obtener todos los estudiantes
 /**
  * @swagger
  * /estudiante:
  *   get:
  *     summary: Obtener todos los estudiantes
+ *     description: Listado paginado (por defecto 50 registros). Se puede ordenar por id_estudiante, documento, nombres, edad, email.
  *     tags: [Estudiante]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/X-Programa'
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - in: query
+ *         name: documento
+ *         schema:
+ *           type: string
+ *         description: Documento exacto
+ *       - in: query
+ *         name: nombres
+ *         schema:
+ *           type: string
+ *         description: Parte del nombre del estudiante (sin distinguir mayúsculas)
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Correo exacto
+ *       - in: query
+ *         name: contacto
+ *         schema:
+ *           type: integer
+ *         description: ID del contacto del estudiante
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Lista de estudiantes
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   documento:
- *                     type: string
- *                     example: "12345678"
- *                   nombre:
- *                     type: string
- *                     example: "Juan Pérez"
- *                   edad:
- *                     type: integer
- *                     example: 20
- *                   direccion_residencia:
- *                     type: string
- *                     example: "Calle Falsa 123"
- *                   telefono_residencia:
- *                     type: string
- *                     example: "123456789"
- *                   celular:
- *                     type: string
- *                     example: "987654321"
+ *                 $ref: '#/components/schemas/Estudiante'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       500:
  *         description: Error al obtener los estudiantes
  *         content:
@@ -49,18 +86,115 @@ const router = express.Router();
  *                   type: string
  *                   example: Error al obtener los estudiantes.
  */
-router.get('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM estudiante');
-        res.json(rows);
-    } catch (err) {
-        console.error('Error al obtener los estudiantes:', err);
-        res.status(500).json({ error: 'Error al obtener los estudiantes.' });
-    } finally {
-        connection.release();
-    }
-});
+router.get('/', withConnection('Error al obtener los estudiantes', async (connection, req, res) => {
+    const list = parseListQuery(req.query, ESTUDIANTE_LIST_OPTIONS);
+    if (list.errors.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details: list.errors });
+    }
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const { rows, total } = await findPage(connection, 'p_estudiante', scopeList('p_estudiante', req.scope, list, includeDeleted));
+    setPaginationHeaders(req, res, list, total);
+    res.json(rows);
+}));
+
+// Exportar los estudiantes a Excel o CSV con los encabezados de la plantilla de importación
+/**
+ * @swagger
+ * /estudiante/export:
+ *   get:
+ *     summary: Exportar los estudiantes a Excel (xlsx) o CSV
+ *     description: Los filtros se aplican sobre las prácticas del estudiante.
+ *     tags: [Estudiante]
+ *     parameters:
+ *       - in: query
+ *         name: formato
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv]
+ *           default: xlsx
+ *         description: Formato del archivo; el CSV va separado por punto y coma
+ *       - in: query
+ *         name: programa
+ *         schema:
+ *           type: integer
+ *         description: ID del programa de la práctica
+ *       - in: query
+ *         name: empresa
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa de la práctica
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Prácticas que terminan en esta fecha o después
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Prácticas que empiezan en esta fecha o antes
+ *       - in: query
+ *         name: perfil
+ *         schema:
+ *           type: string
+ *         description: Perfil de importación cuyos encabezados y hoja se usan (por defecto la plantilla original)
+ *       - $ref: '#/components/parameters/X-Programa'
+ *     responses:
+ *       200:
+ *         description: Archivo de estudiantes
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Parámetros de exportación inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Parámetros de exportación inválidos.
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: El formato debe ser xlsx o csv.
+ *       500:
+ *         description: Error al exportar los estudiantes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al exportar los estudiantes.
+ */
+router.get('/export', withConnection('Error al exportar los estudiantes', async (connection, req, res) => {
+    const details = validateExportQuery(req.query);
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de exportación inválidos.', details });
+    }
+
+    const profile = await getProfile(connection, req.query.perfil);
+    if (!profile) {
+        return res.status(400).json({ error: `El perfil de importación "${req.query.perfil}" no existe.` });
+    }
+    const file = await exportEntity(connection, 'estudiante', req.query, profile, req.scope);
+    res.attachment(file.filename).type(file.contentType).send(file.body);
+}));
 
 // Obtener un estudiante por documento
 /**
@@ -76,34 +210,102 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Documento del estudiante
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Detalles del estudiante
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Estudiante'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       404:
+ *         description: Estudiante no encontrado
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 documento:
- *                   type: string
- *                   example: "12345678"
- *                 nombre:
- *                   type: string
- *                   example: "Juan Pérez"
- *                 edad:
- *                   type: integer
- *                   example: 20
- *                 direccion_residencia:
- *                   type: string
- *                   example: "Calle Falsa 123"
- *                 telefono_residencia:
+ *                 error:
  *                   type: string
- *                   example: "123456789"
- *                 celular:
+ *                   example: Estudiante no encontrado.
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       500:
+ *         description: Error al obtener el estudiante
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
  *                   type: string
- *                   example: "987654321"
+ *                   example: Error al obtener el estudiante.
+ */
+router.get('/:documento', withConnection('Error al obtener el estudiante', async (connection, req, res) => {
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const estudiante = await repository.find(connection, req.params.documento, { scope: req.scope, includeDeleted });
+    if (!estudiante) {
+        return res.status(404).json({ error: 'Estudiante no encontrado.' });
+    }
+    res.set('ETag', rowEtag(estudiante)).json(estudiante);
+}));
+
+// Obtener las prácticas de un estudiante
+/**
+ * @swagger
+ * /estudiante/{documento}/practicas:
+ *   get:
+ *     summary: Obtener las prácticas de un estudiante
+ *     description: Listado paginado como GET /practica, con los mismos filtros, orden y expand.
+ *     tags: [Estudiante]
+ *     parameters:
+ *       - in: path
+ *         name: documento
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Documento del estudiante
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/X-Programa'
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           example: estudiante,empresa
+ *         description: Relaciones que se incluyen como objetos, separadas por coma (programa, estudiante, empresa, contacto, jefe)
+ *     responses:
+ *       200:
+ *         description: Lista de prácticas
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PracticaExpandida'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       404:
- *         description: Estudiante no encontrado
+ *         description: Estudiante no encontrado (o sin prácticas en el programa)
  *         content:
  *           application/json:
  *             schema:
@@ -113,7 +315,7 @@ router.get('/', async (req, res) => {
  *                   type: string
  *                   example: Estudiante no encontrado.
  *       500:
- *         description: Error al obtener el estudiante
+ *         description: Error al obtener las prácticas del estudiante
  *         content:
  *           application/json:
  *             schema:
@@ -121,59 +323,50 @@ router.get('/', async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error al obtener el estudiante.
+ *                   example: Error al obtener las prácticas del estudiante.
  */
-router.get('/:documento', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM estudiante WHERE documento = ?', [req.params.documento]);
-        if (rows.length === 0) {
-            return res.status(404).json({ error: 'Estudiante no encontrado.' });
-        }
-        res.json(rows[0]);
-    } catch (err) {
-        console.error('Error al obtener el estudiante:', err);
-        res.status(500).json({ error: 'Error al obtener el estudiante.' });
-    } finally {
-        connection.release();
-    }
-});
+router.get('/:documento/practicas', withConnection('Error al obtener las prácticas del estudiante', async (connection, req, res) => {
+    const list = parseListQuery(req.query, PRACTICA_LIST_OPTIONS);
+    const expansion = parseExpand(req.query, 'p_practica');
+    const details = expansion.error ? [...list.errors, expansion.error] : list.errors;
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details });
+    }
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const estudiante = await repository.find(connection, req.params.documento, { scope: req.scope, includeDeleted });
+    if (!estudiante) {
+        return res.status(404).json({ error: 'Estudiante no encontrado.' });
+    }
+    const practicas = narrowList(list, 'p_practica.id_estudiante = ?', estudiante.id_estudiante);
+    const { rows, total } = await findPage(connection, 'p_practica', scopeList('p_practica', req.scope, practicas, includeDeleted));
+    setPaginationHeaders(req, res, list, total);
+    res.json(await expandRows(connection, 'p_practica', rows, expansion.expand));
+}));
 
 // Crear un nuevo estudiante
 /**
  * @swagger
  * /estudiante:
  *   post:
- *     summary: Crear un nuevo estudiante
+ *     summary: Crear un nuevo estudiante (solo admin)
+ *     description: Un coordinador solo ve los estudiantes con prácticas de su programa, así que no vería un estudiante nuevo; los crea un admin.
  *     tags: [Estudiante]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               documento:
- *                 type: string
- *                 example: "12345678"
- *               nombre:
- *                 type: string
- *                 example: "Juan Pérez"
- *               edad:
- *                 type: integer
- *                 example: 20
- *               direccion_residencia:
- *                 type: string
- *                 example: "Calle Falsa 123"
- *               telefono_residencia:
- *                 type: string
- *                 example: "123456789"
- *               celular:
- *                 type: string
- *                 example: "987654321"
+ *             $ref: '#/components/schemas/EstudianteInput'
  *     responses:
  *       201:
  *         description: Estudiante creado correctamente
+ *         headers:
+ *           Location:
+ *             $ref: '#/components/headers/Location'
  *         content:
  *           application/json:
  *             schema:
@@ -181,22 +374,34 @@ router.get('/:documento', async (req, res) => {
  *               properties:
  *                 documento:
  *                   type: string
- *                   example: "12345678"
- *                 nombre:
+ *                   example: "1020304050"
+ *                 nombres:
  *                   type: string
- *                   example: "Juan Pérez"
+ *                   example: "Pérez Gómez Juan"
  *                 edad:
  *                   type: integer
  *                   example: 20
- *                 direccion_residencia:
+ *                 celular:
+ *                   type: string
+ *                   example: "3001234567"
+ *                 direccion:
  *                   type: string
  *                   example: "Calle Falsa 123"
- *                 telefono_residencia:
+ *                 telefono:
  *                   type: string
- *                   example: "123456789"
- *                 celular:
+ *                   example: "6012345678"
+ *                 email:
  *                   type: string
- *                   example: "987654321"
+ *                   example: "juan.perez@example.com"
+ *                 id_contacto:
+ *                   type: integer
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
  *       500:
  *         description: Error al crear el estudiante
  *         content:
@@ -208,20 +413,71 @@ router.get('/:documento', async (req, res) => {
  *                   type: string
  *                   example: Error al crear el estudiante.
  */
-router.post('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { documento, nombre, edad, direccion_residencia, telefono_residencia, celular } = req.body;
-        const [result] = await connection.query('INSERT INTO estudiante (documento, nombre, edad, direccion_residencia, telefono_residencia, celular) VALUES (?, ?, ?, ?, ?, ?)', 
-            [documento, nombre, edad, direccion_residencia, telefono_residencia, celular]);
-        res.status(201).json({ documento, nombre, edad, direccion_residencia, telefono_residencia, celular });
-    } catch (err) {
-        console.error('Error al crear el estudiante:', err);
-        res.status(500).json({ error: 'Error al crear el estudiante.' });
-    } finally {
-        connection.release();
-    }
-});
+router.post('/', authorize('admin'), validateBody('EstudianteInput'), withConnection('Error al crear el estudiante', async (connection, req, res) => {
+    const duplicate = await repository.findDuplicate(connection, req.body);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const invalidReferences = await checkReferences(connection, 'p_estudiante', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const id = await auditedChange(connection, req, { ...repository.audit, accion: 'create' }, () => repository.insert(connection, req.body));
+    const estudiante = await repository.find(connection, req.body.documento);
+    res.status(201).location(`${req.baseUrl}/${encodeURIComponent(req.body.documento)}`).json(estudiante);
+}));
+
+// Crear, modificar y eliminar varios estudiantes en una sola transacción; se ubican por id o por documento
+/**
+ * @swagger
+ * /estudiante/bulk:
+ *   post:
+ *     summary: Crear, modificar y eliminar estudiantes en bloque
+ *     description: Aplica las listas create, update y delete (en ese orden) en una sola transacción; si una operación falla no se aplica ninguna. En update y delete los estudiantes se ubican por id (id_estudiante) o por documento. Las eliminaciones exigen rol admin. Un coordinador solo modifica los estudiantes de su programa, y una creación que no corresponde a un estudiante existente exige rol admin.
+ *     tags: [Estudiante]
+ *     parameters:
+ *       - $ref: '#/components/parameters/cascade'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EstudianteMasivo'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/CargaMasiva'
+ *       400:
+ *         $ref: '#/components/responses/CargaMasivaInvalida'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/CargaMasivaFallida'
+ *       500:
+ *         description: Error en la carga masiva de estudiantes
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error en la carga masiva de estudiantes.
+ */
+router.post('/bulk', withConnection('Error en la carga masiva de estudiantes', async (connection, req, res) => {
+    const bulk = parseBulk(req, 'p_estudiante');
+    if (bulk.forbidden) {
+        return res.status(403).json({ error: bulk.forbidden });
+    }
+    if (bulk.error) {
+        return res.status(400).json({ error: bulk.error, resultados: bulk.resultados });
+    }
+
+    const { resultados, failed } = await runBulk(connection, req, repository, bulk);
+    if (failed) {
+        return res.status(409).json({ error: 'Una operación falló: no se aplicó ninguna.', resultados: [failed] });
+    }
+    res.json({ message: 'Carga masiva aplicada correctamente.', resultados });
+}));
 
 // Actualizar un estudiante por documento
 /**
@@ -237,31 +493,111 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Documento del estudiante
+ *       - $ref: '#/components/parameters/If-Match'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/EstudianteActualizacion'
+ *     responses:
+ *       200:
+ *         description: Estudiante actualizado correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Estudiante actualizado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       404:
+ *         description: Estudiante no encontrado (o sin prácticas en el programa)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Estudiante no encontrado.
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
+ *       500:
+ *         description: Error al actualizar el estudiante
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al actualizar el estudiante.
+ */
+router.put('/:documento', validateBody('EstudianteActualizacion'), withConnection('Error al actualizar el estudiante', async (connection, req, res) => {
+    if (!await repository.find(connection, req.params.documento, { scope: req.scope })) {
+        return res.status(404).json({ error: 'Estudiante no encontrado.' });
+    }
+    const invalidReferences = await checkReferences(connection, 'p_estudiante', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.documento }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_estudiante', 'documento', req.params.documento)) {
+            return { preconditionFailed: true };
+        }
+        return repository.replace(connection, req.params.documento, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El estudiante cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Estudiante no encontrado.' });
+    }
+    const actual = await repository.find(connection, req.params.documento);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Estudiante actualizado correctamente.', registros: affectedRows });
+}));
+
+// Modificar algunos campos de un estudiante por documento
+/**
+ * @swagger
+ * /estudiante/{documento}:
+ *   patch:
+ *     summary: Modificar algunos campos de un estudiante por documento
+ *     description: JSON Merge Patch (RFC 7396); solo cambian los campos enviados y null deja el campo vacío. Los campos obligatorios no aceptan null.
+ *     tags: [Estudiante]
+ *     parameters:
+ *       - in: path
+ *         name: documento
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Documento del estudiante
+ *       - $ref: '#/components/parameters/If-Match'
  *     requestBody:
  *       required: true
  *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/EstudianteParcial'
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               nombre:
- *                 type: string
- *                 example: "Juan Pérez"
- *               edad:
- *                 type: integer
- *                 example: 20
- *               direccion_residencia:
- *                 type: string
- *                 example: "Calle Falsa 123"
- *               telefono_residencia:
- *                 type: string
- *                 example: "123456789"
- *               celular:
- *                 type: string
- *                 example: "987654321"
+ *             $ref: '#/components/schemas/EstudianteParcial'
  *     responses:
  *       200:
  *         description: Estudiante actualizado correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -270,6 +606,24 @@ router.post('/', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Estudiante actualizado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       404:
+ *         description: Estudiante no encontrado (o sin prácticas en el programa)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Estudiante no encontrado.
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al actualizar el estudiante
  *         content:
@@ -281,20 +635,33 @@ router.post('/', async (req, res) => {
  *                   type: string
  *                   example: Error al actualizar el estudiante.
  */
-router.put('/:documento', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { nombre, edad, direccion_residencia, telefono_residencia, celular } = req.body;
-        await connection.query('UPDATE estudiante SET nombre = ?, edad = ?, direccion_residencia = ?, telefono_residencia = ?, celular = ? WHERE documento = ?', 
-            [nombre, edad, direccion_residencia, telefono_residencia, celular, req.params.documento]);
-        res.json({ message: 'Estudiante actualizado correctamente.' });
-    } catch (err) {
-        console.error('Error al actualizar el estudiante:', err);
-        res.status(500).json({ error: 'Error al actualizar el estudiante.' });
-    } finally {
-        connection.release();
-    }
-});
+router.patch('/:documento', validateBody('EstudianteParcial'), withConnection('Error al actualizar el estudiante', async (connection, req, res) => {
+    if (!buildPatch(req.body, repository.columns)) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: [{ field: '(cuerpo)', message: 'debe traer al menos un campo para modificar' }] });
+    }
+
+    if (!await repository.find(connection, req.params.documento, { scope: req.scope })) {
+        return res.status(404).json({ error: 'Estudiante no encontrado.' });
+    }
+    const invalidReferences = await checkReferences(connection, 'p_estudiante', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.documento }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_estudiante', 'documento', req.params.documento)) {
+            return { preconditionFailed: true };
+        }
+        return repository.update(connection, req.params.documento, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El estudiante cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Estudiante no encontrado.' });
+    }
+    const actual = await repository.find(connection, req.params.documento);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Estudiante actualizado correctamente.', registros: affectedRows });
+}));
 
 // Eliminar un estudiante por documento
 /**
@@ -302,6 +669,7 @@ router.put('/:documento', async (req, res) => {
  * /estudiante/{documento}:
  *   delete:
  *     summary: Eliminar un estudiante por documento
+ *     description: Borrado lógico; el registro deja de aparecer en los listados y se puede restaurar con POST /estudiante/{documento}/restore. Si otros registros dependen de este responde 409, salvo con cascade o reassign.
  *     tags: [Estudiante]
  *     parameters:
  *       - in: path
@@ -310,6 +678,13 @@ router.put('/:documento', async (req, res) => {
  *         schema:
  *           type: string
  *         description: Documento del estudiante
+ *       - $ref: '#/components/parameters/cascade'
+ *       - in: query
+ *         name: reassign
+ *         schema:
+ *           type: string
+ *         description: Documento del estudiante que recibe las prácticas del eliminado
+ *       - $ref: '#/components/parameters/If-Match'
  *     responses:
  *       200:
  *         description: Estudiante eliminado correctamente
@@ -321,6 +696,34 @@ router.put('/:documento', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Estudiante eliminado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         description: Opciones de eliminación inválidas o registro de reemplazo inexistente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Use cascade o reassign, no los dos.
+ *       404:
+ *         description: Estudiante no encontrado (o sin prácticas en el programa)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Estudiante no encontrado.
+ *       409:
+ *         $ref: '#/components/responses/TieneDependientes'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al eliminar el estudiante
  *         content:
@@ -332,17 +735,122 @@ router.put('/:documento', async (req, res) => {
  *                   type: string
  *                   example: Error al eliminar el estudiante.
  */
-router.delete('/:documento', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        await connection.query('DELETE FROM estudiante WHERE documento = ?', [req.params.documento]);
-        res.json({ message: 'Estudiante eliminado correctamente.' });
-    } catch (err) {
-        console.error('Error al eliminar el estudiante:', err);
-        res.status(500).json({ error: 'Error al eliminar el estudiante.' });
-    } finally {
-        connection.release();
-    }
-});
+router.delete('/:documento', withConnection('Error al eliminar el estudiante', async (connection, req, res) => {
+    const options = parseDeleteOptions(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+
+    const estudiante = await repository.find(connection, req.params.documento, { scope: req.scope });
+    if (!estudiante) {
+        return res.status(404).json({ error: 'Estudiante no encontrado.' });
+    }
+    let replacement = null;
+    if (options.reassign !== undefined) {
+        replacement = await repository.find(connection, options.reassign, { scope: req.scope });
+        if (!replacement || replacement.id_estudiante === estudiante.id_estudiante) {
+            return res.status(400).json({ error: 'El estudiante de reemplazo no existe o es el mismo que se elimina.' });
+        }
+    }
+    const dependientes = await findDependents(connection, 'p_estudiante', estudiante.id_estudiante);
+    if (dependientes.length > 0 && !options.cascade && !replacement) {
+        return res.status(409).json({
+            error: 'El estudiante tiene registros que dependen de él. Use ?cascade=true para eliminarlos o ?reassign=<documento> para pasarlos a otro estudiante.',
+            dependientes
+        });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'delete', value: req.params.documento }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_estudiante', 'documento', req.params.documento)) {
+            return { preconditionFailed: true };
+        }
+        await resolveDependents(connection, req, 'p_estudiante', estudiante.id_estudiante, replacement && replacement.id_estudiante);
+        return repository.softDelete(connection, req.params.documento);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El estudiante cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Estudiante no encontrado.' });
+    }
+    res.json({ message: 'Estudiante eliminado correctamente.', registros: affectedRows });
+}));
+
+// Restaurar un estudiante eliminado
+/**
+ * @swagger
+ * /estudiante/{documento}/restore:
+ *   post:
+ *     summary: Restaurar un estudiante eliminado (solo admin)
+ *     tags: [Estudiante]
+ *     parameters:
+ *       - in: path
+ *         name: documento
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Documento del estudiante
+ *     responses:
+ *       200:
+ *         description: Estudiante restaurado correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Estudiante restaurado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Estudiante no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Estudiante no encontrado.
+ *       409:
+ *         description: El estudiante no está eliminado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: El estudiante no está eliminado.
+ *       500:
+ *         description: Error al restaurar el estudiante
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al restaurar el estudiante.
+ */
+router.post('/:documento/restore', authorize('admin'), withConnection('Error al restaurar el estudiante', async (connection, req, res) => {
+    const estudiante = await repository.find(connection, req.params.documento, { scope: req.scope, includeDeleted: true });
+    if (!estudiante) {
+        return res.status(404).json({ error: 'Estudiante no encontrado.' });
+    }
+    if (!estudiante.deleted_at) {
+        return res.status(409).json({ error: 'El estudiante no está eliminado.' });
+    }
+    const { affectedRows } = await auditedChange(connection, req, { ...repository.audit, accion: 'restore', value: req.params.documento },
+        () => repository.restore(connection, req.params.documento));
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Estudiante no encontrado.' });
+    }
+    res.json({ message: 'Estudiante restaurado correctamente.', registros: affectedRows });
+}));
 
 module.exports = router;
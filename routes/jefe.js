@@ -1,40 +1,83 @@
 const express = require('express');
-const { getConnection } = require('../db/connection');
+const { withConnection } = require('../db/connection');
+const { createRepository } = require('../db/repository');
+const { parseListQuery, narrowList, findPage, setPaginationHeaders } = require('../utils/listQuery');
+const { ESTUDIANTE_LIST_OPTIONS } = require('../utils/listOptions');
+const { validateBody } = require('../middleware/validate');
+const { rowEtag, checkIfMatch } = require('../utils/etag');
+const { buildPatch } = require('../utils/mergePatch');
+const { auditedChange } = require('../services/audit');
+const { parseBulk, runBulk } = require('../services/bulk');
+const { parseDeleteOptions, findDependents, resolveDependents, checkReferences } = require('../services/dependents');
+const { authorize } = require('../middleware/auth');
+const { scopeList } = require('../utils/programScope');
+const { parseIncludeDeleted, duplicateError } = require('../utils/softDelete');
 
 const router = express.Router();
 
+const repository = createRepository('p_jefe');
+
+// Columnas por las que se puede ordenar y filtrar el listado
+const LIST_OPTIONS = {
+    primaryKey: 'id_jefe',
+    sortable: ['id_jefe', 'nombre', 'email'],
+    defaultSort: 'nombre',
+    filters: {
+        nombre: { column: 'nombre', type: 'search' },
+        email: { column: 'email', type: 'text' },
+        cargo: { column: 'id_cargo_contacto', type: 'integer' }
+    }
+};
+
 // Obtener todos los jefes
 /**
  * @swagger
  * /jefe:
  *   get:
  *     summary: Obtener todos los jefes
+ *     description: Listado paginado (por defecto 50 registros). Se puede ordenar por id_jefe, nombre, email.
  *     tags: [Jefe]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *         description: Parte del nombre del jefe (sin distinguir mayúsculas)
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Correo exacto
+ *       - in: query
+ *         name: cargo
+ *         schema:
+ *           type: integer
+ *         description: ID del cargo del jefe
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Lista de jefes
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   nombre_jefe:
- *                     type: string
- *                     example: "Pedro Gómez"
- *                   telefono_jefe:
- *                     type: string
- *                     example: "123456789"
- *                   correo_jefe:
- *                     type: string
- *                     example: "pedro.gomez@example.com"
- *                   cargo_jefe:
- *                     type: string
- *                     example: "Gerente"
+ *                 $ref: '#/components/schemas/Jefe'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       500:
  *         description: Error al obtener los jefes
  *         content:
@@ -46,18 +89,20 @@ const router = express.Router();
  *                   type: string
  *                   example: Error al obtener los jefes.
  */
-router.get('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM jefe');
-        res.json(rows);
-    } catch (err) {
-        console.error('Error al obtener los jefes:', err);
-        res.status(500).json({ error: 'Error al obtener los jefes.' });
-    } finally {
-        connection.release();
-    }
-});
+router.get('/', withConnection('Error al obtener los jefes', async (connection, req, res) => {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.errors.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details: list.errors });
+    }
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const { rows, total } = await findPage(connection, 'p_jefe', scopeList('p_jefe', null, list, includeDeleted));
+    setPaginationHeaders(req, res, list, total);
+    res.json(rows);
+}));
 
 // Obtener un jefe por ID
 /**
@@ -73,29 +118,94 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID del jefe
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Detalles del jefe
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Jefe'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       404:
+ *         description: Jefe no encontrado
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id:
- *                   type: integer
- *                   example: 1
- *                 nombre_jefe:
- *                   type: string
- *                   example: "Pedro Gómez"
- *                 telefono_jefe:
- *                   type: string
- *                   example: "123456789"
- *                 correo_jefe:
+ *                 error:
  *                   type: string
- *                   example: "pedro.gomez@example.com"
- *                 cargo_jefe:
+ *                   example: Jefe no encontrado.
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       500:
+ *         description: Error al obtener el jefe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
  *                   type: string
- *                   example: "Gerente"
+ *                   example: Error al obtener el jefe.
+ */
+router.get('/:id', withConnection('Error al obtener el jefe', async (connection, req, res) => {
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const jefe = await repository.find(connection, req.params.id, { includeDeleted });
+    if (!jefe) {
+        return res.status(404).json({ error: 'Jefe no encontrado.' });
+    }
+    res.set('ETag', rowEtag(jefe)).json(jefe);
+}));
+
+// Obtener los estudiantes que supervisa un jefe
+/**
+ * @swagger
+ * /jefe/{id}/estudiantes:
+ *   get:
+ *     summary: Obtener los estudiantes que supervisa un jefe
+ *     description: Estudiantes con al menos una práctica (no eliminada) a cargo del jefe. Listado paginado como GET /estudiante, con los mismos filtros y orden.
+ *     tags: [Jefe]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del jefe
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/X-Programa'
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *     responses:
+ *       200:
+ *         description: Lista de estudiantes
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Estudiante'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       404:
  *         description: Jefe no encontrado
  *         content:
@@ -107,7 +217,7 @@ router.get('/', async (req, res) => {
  *                   type: string
  *                   example: Jefe no encontrado.
  *       500:
- *         description: Error al obtener el jefe
+ *         description: Error al obtener los estudiantes del jefe
  *         content:
  *           application/json:
  *             schema:
@@ -115,23 +225,27 @@ router.get('/', async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error al obtener el jefe.
+ *                   example: Error al obtener los estudiantes del jefe.
  */
-router.get('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM jefe WHERE id = ?', [req.params.id]);
-        if (rows.length === 0) {
-            return res.status(404).json({ error: 'Jefe no encontrado.' });
-        }
-        res.json(rows[0]);
-    } catch (err) {
-        console.error('Error al obtener el jefe:', err);
-        res.status(500).json({ error: 'Error al obtener el jefe.' });
-    } finally {
-        connection.release();
-    }
-});
+router.get('/:id/estudiantes', withConnection('Error al obtener los estudiantes del jefe', async (connection, req, res) => {
+    const list = parseListQuery(req.query, ESTUDIANTE_LIST_OPTIONS);
+    if (list.errors.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details: list.errors });
+    }
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const jefe = await repository.find(connection, req.params.id, { includeDeleted });
+    if (!jefe) {
+        return res.status(404).json({ error: 'Jefe no encontrado.' });
+    }
+    const estudiantes = narrowList(list, 'EXISTS (SELECT 1 FROM p_practica jp WHERE jp.id_estudiante = p_estudiante.id_estudiante AND jp.id_jefe = ? AND jp.deleted_at IS NULL)', jefe.id_jefe);
+    const { rows, total } = await findPage(connection, 'p_estudiante', scopeList('p_estudiante', req.scope, estudiantes, includeDeleted));
+    setPaginationHeaders(req, res, list, total);
+    res.json(rows);
+}));
 
 // Crear un nuevo jefe
 /**
@@ -145,45 +259,73 @@ router.get('/:id', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               nombre_jefe:
- *                 type: string
- *                 example: "Pedro Gómez"
- *               telefono_jefe:
- *                 type: string
- *                 example: "123456789"
- *               correo_jefe:
- *                 type: string
- *                 example: "pedro.gomez@example.com"
- *               cargo_jefe:
- *                 type: string
- *                 example: "Gerente"
+ *             $ref: '#/components/schemas/JefeInput'
  *     responses:
  *       201:
  *         description: Jefe creado correctamente
+ *         headers:
+ *           Location:
+ *             $ref: '#/components/headers/Location'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Jefe'
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       500:
+ *         description: Error al crear el jefe
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id:
- *                   type: integer
- *                   example: 1
- *                 nombre_jefe:
- *                   type: string
- *                   example: "Pedro Gómez"
- *                 telefono_jefe:
- *                   type: string
- *                   example: "123456789"
- *                 correo_jefe:
- *                   type: string
- *                   example: "pedro.gomez@example.com"
- *                 cargo_jefe:
+ *                 error:
  *                   type: string
- *                   example: "Gerente"
+ *                   example: Error al crear el jefe.
+ */
+router.post('/', validateBody('JefeInput'), withConnection('Error al crear el jefe', async (connection, req, res) => {
+    const duplicate = await repository.findDuplicate(connection, req.body);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const invalidReferences = await checkReferences(connection, 'p_jefe', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const id = await auditedChange(connection, req, { ...repository.audit, accion: 'create' }, () => repository.insert(connection, req.body));
+    const jefe = await repository.find(connection, id);
+    res.status(201).location(`${req.baseUrl}/${id}`).json(jefe);
+}));
+
+// Crear, modificar y eliminar varios jefes en una sola transacción; se ubican por id o por email
+/**
+ * @swagger
+ * /jefe/bulk:
+ *   post:
+ *     summary: Crear, modificar y eliminar jefes en bloque
+ *     description: Aplica las listas create, update y delete (en ese orden) en una sola transacción; si una operación falla no se aplica ninguna. En update y delete los jefes se ubican por id o por email. Las eliminaciones exigen rol admin.
+ *     tags: [Jefe]
+ *     parameters:
+ *       - $ref: '#/components/parameters/cascade'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JefeMasivo'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/CargaMasiva'
+ *       400:
+ *         $ref: '#/components/responses/CargaMasivaInvalida'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/CargaMasivaFallida'
  *       500:
- *         description: Error al crear el jefe
+ *         description: Error en la carga masiva de jefes
  *         content:
  *           application/json:
  *             schema:
@@ -191,22 +333,23 @@ router.get('/:id', async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error al crear el jefe.
+ *                   example: Error en la carga masiva de jefes.
  */
-router.post('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { nombre_jefe, telefono_jefe, correo_jefe, cargo_jefe } = req.body;
-        const [result] = await connection.query('INSERT INTO jefe (nombre_jefe, telefono_jefe, correo_jefe, cargo_jefe) VALUES (?, ?, ?, ?)',
-            [nombre_jefe, telefono_jefe, correo_jefe, cargo_jefe]);
-        res.status(201).json({ id: result.insertId, nombre_jefe, telefono_jefe, correo_jefe, cargo_jefe });
-    } catch (err) {
-        console.error('Error al crear el jefe:', err);
-        res.status(500).json({ error: 'Error al crear el jefe.' });
-    } finally {
-        connection.release();
-    }
-});
+router.post('/bulk', withConnection('Error en la carga masiva de jefes', async (connection, req, res) => {
+    const bulk = parseBulk(req, 'p_jefe');
+    if (bulk.forbidden) {
+        return res.status(403).json({ error: bulk.forbidden });
+    }
+    if (bulk.error) {
+        return res.status(400).json({ error: bulk.error, resultados: bulk.resultados });
+    }
+
+    const { resultados, failed } = await runBulk(connection, req, repository, bulk);
+    if (failed) {
+        return res.status(409).json({ error: 'Una operación falló: no se aplicó ninguna.', resultados: [failed] });
+    }
+    res.json({ message: 'Carga masiva aplicada correctamente.', resultados });
+}));
 
 // Actualizar un jefe por ID
 /**
@@ -222,28 +365,19 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID del jefe
+ *       - $ref: '#/components/parameters/If-Match'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               nombre_jefe:
- *                 type: string
- *                 example: "Pedro Gómez"
- *               telefono_jefe:
- *                 type: string
- *                 example: "123456789"
- *               correo_jefe:
- *                 type: string
- *                 example: "pedro.gomez@example.com"
- *               cargo_jefe:
- *                 type: string
- *                 example: "Gerente"
+ *             $ref: '#/components/schemas/JefeInput'
  *     responses:
  *       200:
  *         description: Jefe actualizado correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -252,6 +386,26 @@ router.post('/', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Jefe actualizado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       404:
+ *         description: Jefe no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Jefe no encontrado.
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al actualizar el jefe
  *         content:
@@ -263,20 +417,137 @@ router.post('/', async (req, res) => {
  *                   type: string
  *                   example: Error al actualizar el jefe.
  */
-router.put('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { nombre_jefe, telefono_jefe, correo_jefe, cargo_jefe } = req.body;
-        await connection.query('UPDATE jefe SET nombre_jefe = ?, telefono_jefe = ?, correo_jefe = ?, cargo_jefe = ? WHERE id = ?',
-            [nombre_jefe, telefono_jefe, correo_jefe, cargo_jefe, req.params.id]);
-        res.json({ message: 'Jefe actualizado correctamente.' });
-    } catch (err) {
-        console.error('Error al actualizar el jefe:', err);
-        res.status(500).json({ error: 'Error al actualizar el jefe.' });
-    } finally {
-        connection.release();
-    }
-});
+router.put('/:id', validateBody('JefeInput'), withConnection('Error al actualizar el jefe', async (connection, req, res) => {
+    const current = await repository.find(connection, req.params.id);
+    if (!current) {
+        return res.status(404).json({ error: 'Jefe no encontrado.' });
+    }
+    const duplicate = await repository.findDuplicate(connection, { ...current, ...req.body }, req.params.id);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const invalidReferences = await checkReferences(connection, 'p_jefe', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_jefe', 'id_jefe', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        return repository.replace(connection, req.params.id, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El jefe cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Jefe no encontrado.' });
+    }
+    const actual = await repository.find(connection, req.params.id);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Jefe actualizado correctamente.', registros: affectedRows });
+}));
+
+// Modificar algunos campos de un jefe por ID
+/**
+ * @swagger
+ * /jefe/{id}:
+ *   patch:
+ *     summary: Modificar algunos campos de un jefe por ID
+ *     description: JSON Merge Patch (RFC 7396); solo cambian los campos enviados y null deja el campo vacío. Los campos obligatorios no aceptan null.
+ *     tags: [Jefe]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del jefe
+ *       - $ref: '#/components/parameters/If-Match'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/JefeParcial'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/JefeParcial'
+ *     responses:
+ *       200:
+ *         description: Jefe actualizado correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Jefe actualizado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       404:
+ *         description: Jefe no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Jefe no encontrado.
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
+ *       500:
+ *         description: Error al actualizar el jefe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al actualizar el jefe.
+ */
+router.patch('/:id', validateBody('JefeParcial'), withConnection('Error al actualizar el jefe', async (connection, req, res) => {
+    if (!buildPatch(req.body, repository.columns)) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: [{ field: '(cuerpo)', message: 'debe traer al menos un campo para modificar' }] });
+    }
+
+    const current = await repository.find(connection, req.params.id);
+    if (!current) {
+        return res.status(404).json({ error: 'Jefe no encontrado.' });
+    }
+    const duplicate = await repository.findDuplicate(connection, { ...current, ...req.body }, req.params.id);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const invalidReferences = await checkReferences(connection, 'p_jefe', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_jefe', 'id_jefe', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        return repository.update(connection, req.params.id, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El jefe cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Jefe no encontrado.' });
+    }
+    const actual = await repository.find(connection, req.params.id);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Jefe actualizado correctamente.', registros: affectedRows });
+}));
 
 // Eliminar un jefe por ID
 /**
@@ -284,6 +555,7 @@ router.put('/:id', async (req, res) => {
  * /jefe/{id}:
  *   delete:
  *     summary: Eliminar un jefe por ID
+ *     description: Borrado lógico; el registro deja de aparecer en los listados y se puede restaurar con POST /jefe/{id}/restore. Si otros registros dependen de este responde 409, salvo con cascade o reassign.
  *     tags: [Jefe]
  *     parameters:
  *       - in: path
@@ -292,6 +564,13 @@ router.put('/:id', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID del jefe
+ *       - $ref: '#/components/parameters/cascade'
+ *       - in: query
+ *         name: reassign
+ *         schema:
+ *           type: integer
+ *         description: ID del jefe que recibe las prácticas del eliminado
+ *       - $ref: '#/components/parameters/If-Match'
  *     responses:
  *       200:
  *         description: Jefe eliminado correctamente
@@ -303,6 +582,34 @@ router.put('/:id', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Jefe eliminado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         description: Opciones de eliminación inválidas o registro de reemplazo inexistente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Use cascade o reassign, no los dos.
+ *       404:
+ *         description: Jefe no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Jefe no encontrado.
+ *       409:
+ *         $ref: '#/components/responses/TieneDependientes'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al eliminar el jefe
  *         content:
@@ -314,17 +621,122 @@ router.put('/:id', async (req, res) => {
  *                   type: string
  *                   example: Error al eliminar el jefe.
  */
-router.delete('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        await connection.query('DELETE FROM jefe WHERE id = ?', [req.params.id]);
-        res.json({ message: 'Jefe eliminado correctamente.' });
-    } catch (err) {
-        console.error('Error al eliminar el jefe:', err);
-        res.status(500).json({ error: 'Error al eliminar el jefe.' });
-    } finally {
-        connection.release();
-    }
-});
+router.delete('/:id', withConnection('Error al eliminar el jefe', async (connection, req, res) => {
+    const options = parseDeleteOptions(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+
+    const jefe = await repository.find(connection, req.params.id);
+    if (!jefe) {
+        return res.status(404).json({ error: 'Jefe no encontrado.' });
+    }
+    let replacement = null;
+    if (options.reassign !== undefined) {
+        replacement = await repository.find(connection, options.reassign);
+        if (!replacement || replacement.id_jefe === jefe.id_jefe) {
+            return res.status(400).json({ error: 'El jefe de reemplazo no existe o es el mismo que se elimina.' });
+        }
+    }
+    const dependientes = await findDependents(connection, 'p_jefe', jefe.id_jefe);
+    if (dependientes.length > 0 && !options.cascade && !replacement) {
+        return res.status(409).json({
+            error: 'El jefe tiene registros que dependen de él. Use ?cascade=true para eliminarlos o ?reassign=<id> para pasarlos a otro jefe.',
+            dependientes
+        });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'delete', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_jefe', 'id_jefe', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        await resolveDependents(connection, req, 'p_jefe', jefe.id_jefe, replacement && replacement.id_jefe);
+        return repository.softDelete(connection, req.params.id);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El jefe cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Jefe no encontrado.' });
+    }
+    res.json({ message: 'Jefe eliminado correctamente.', registros: affectedRows });
+}));
+
+// Restaurar un jefe eliminado
+/**
+ * @swagger
+ * /jefe/{id}/restore:
+ *   post:
+ *     summary: Restaurar un jefe eliminado (solo admin)
+ *     tags: [Jefe]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del jefe
+ *     responses:
+ *       200:
+ *         description: Jefe restaurado correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Jefe restaurado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Jefe no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Jefe no encontrado.
+ *       409:
+ *         description: El jefe no está eliminado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: El jefe no está eliminado.
+ *       500:
+ *         description: Error al restaurar el jefe
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al restaurar el jefe.
+ */
+router.post('/:id/restore', authorize('admin'), withConnection('Error al restaurar el jefe', async (connection, req, res) => {
+    const jefe = await repository.find(connection, req.params.id, { includeDeleted: true });
+    if (!jefe) {
+        return res.status(404).json({ error: 'Jefe no encontrado.' });
+    }
+    if (!jefe.deleted_at) {
+        return res.status(409).json({ error: 'El jefe no está eliminado.' });
+    }
+    const { affectedRows } = await auditedChange(connection, req, { ...repository.audit, accion: 'restore', value: req.params.id },
+        () => repository.restore(connection, req.params.id));
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Jefe no encontrado.' });
+    }
+    res.json({ message: 'Jefe restaurado correctamente.', registros: affectedRows });
+}));
 
 module.exports = router;
@@ -0,0 +1,377 @@
+const express = require('express');
+const { withConnection } = require('../db/connection');
+const { createRepository } = require('../db/repository');
+const { DEFAULT_PROFILE, validateProfile, toProfile } = require('../services/importProfiles');
+const { auditedChange } = require('../services/audit');
+
+const router = express.Router();
+
+const repository = createRepository('p_perfil_importacion');
+
+const toResponse = (row) => ({ id_perfil_importacion: row.id_perfil_importacion, ...toProfile(row) });
+
+// Obtener todos los perfiles de importación
+/**
+ * @swagger
+ * /perfil-importacion:
+ *   get:
+ *     summary: Obtener todos los perfiles de importación
+ *     tags: [PerfilImportacion]
+ *     responses:
+ *       200:
+ *         description: Lista de perfiles, con las columnas completas (las no definidas toman el mapeo original)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   id_perfil_importacion:
+ *                     type: integer
+ *                     example: 1
+ *                   nombre:
+ *                     type: string
+ *                     example: "ingenieria-2024"
+ *                   hoja:
+ *                     type: string
+ *                     example: "Practicantes"
+ *                   columnas:
+ *                     type: object
+ *                     example: { "empresa.nit": "NIT EMPRESA", "estudiante.email": ["CORREO", "CORREO ESTUDIANTE"] }
+ *       500:
+ *         description: Error al obtener los perfiles de importación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al obtener los perfiles de importación.
+ */
+router.get('/', withConnection('Error al obtener los perfiles de importación', async (connection, req, res) => {
+    const rows = await repository.findAll(connection);
+    res.json(rows.map(toResponse));
+}));
+
+// Obtener los campos que se pueden mapear y su encabezado en la plantilla original
+/**
+ * @swagger
+ * /perfil-importacion/campos:
+ *   get:
+ *     summary: Obtener los campos mapeables y el perfil original
+ *     tags: [PerfilImportacion]
+ *     responses:
+ *       200:
+ *         description: Perfil original (hoja "Datos") con todos los campos disponibles
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 nombre:
+ *                   type: string
+ *                   example: "predeterminado"
+ *                 hoja:
+ *                   type: string
+ *                   example: "Datos"
+ *                 columnas:
+ *                   type: object
+ *                   example: { "empresa.nit": "NIT", "programa.nombre": "PROGRAMA" }
+ */
+router.get('/campos', (req, res) => {
+    res.json(DEFAULT_PROFILE);
+});
+
+// Obtener un perfil de importación por ID
+/**
+ * @swagger
+ * /perfil-importacion/{id}:
+ *   get:
+ *     summary: Obtener un perfil de importación por ID
+ *     tags: [PerfilImportacion]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del perfil de importación
+ *     responses:
+ *       200:
+ *         description: Detalles del perfil de importación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id_perfil_importacion:
+ *                   type: integer
+ *                   example: 1
+ *                 nombre:
+ *                   type: string
+ *                   example: "ingenieria-2024"
+ *                 hoja:
+ *                   type: string
+ *                   example: "Practicantes"
+ *                 columnas:
+ *                   type: object
+ *                   example: { "empresa.nit": "NIT EMPRESA" }
+ *       404:
+ *         description: Perfil de importación no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Perfil de importación no encontrado.
+ *       500:
+ *         description: Error al obtener el perfil de importación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al obtener el perfil de importación.
+ */
+router.get('/:id', withConnection('Error al obtener el perfil de importación', async (connection, req, res) => {
+    const perfil = await repository.find(connection, req.params.id);
+    if (!perfil) {
+        return res.status(404).json({ error: 'Perfil de importación no encontrado.' });
+    }
+    res.json(toResponse(perfil));
+}));
+
+// Crear un nuevo perfil de importación
+/**
+ * @swagger
+ * /perfil-importacion:
+ *   post:
+ *     summary: Crear un nuevo perfil de importación
+ *     tags: [PerfilImportacion]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 example: "ingenieria-2024"
+ *               hoja:
+ *                 type: string
+ *                 example: "Practicantes"
+ *               columnas:
+ *                 type: object
+ *                 description: Campo p_* → encabezado (o lista de encabezados alternativos); se comparan sin tildes ni mayúsculas
+ *                 example: { "empresa.nit": "NIT EMPRESA", "estudiante.email": ["CORREO", "CORREO ESTUDIANTE"] }
+ *     responses:
+ *       201:
+ *         description: Perfil de importación creado correctamente
+ *         headers:
+ *           Location:
+ *             $ref: '#/components/headers/Location'
+ *       400:
+ *         description: Perfil inválido
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: El perfil de importación no es válido.
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: El campo "empresa.telefono" no existe.
+ *       409:
+ *         description: Ya existe un perfil con ese nombre
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Ya existe un perfil de importación con ese nombre.
+ *       500:
+ *         description: Error al crear el perfil de importación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al crear el perfil de importación.
+ */
+router.post('/', withConnection('Error al crear el perfil de importación', async (connection, req, res) => {
+    const details = validateProfile(req.body);
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'El perfil de importación no es válido.', details });
+    }
+
+    const { nombre, hoja, columnas } = req.body;
+    if (await repository.findDuplicate(connection, { nombre })) {
+        return res.status(409).json({ error: 'Ya existe un perfil de importación con ese nombre.' });
+    }
+
+    const id = await auditedChange(connection, req, { ...repository.audit, accion: 'create' },
+        () => repository.insert(connection, { nombre, hoja: hoja || null, columnas: JSON.stringify(columnas) }));
+    const perfil = await repository.find(connection, id);
+    res.status(201).location(`${req.baseUrl}/${id}`).json(toResponse(perfil));
+}));
+
+// Actualizar un perfil de importación por ID
+/**
+ * @swagger
+ * /perfil-importacion/{id}:
+ *   put:
+ *     summary: Actualizar un perfil de importación por ID
+ *     tags: [PerfilImportacion]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del perfil de importación
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               nombre:
+ *                 type: string
+ *                 example: "ingenieria-2024"
+ *               hoja:
+ *                 type: string
+ *                 example: "Practicantes"
+ *               columnas:
+ *                 type: object
+ *                 example: { "empresa.nit": "NIT EMPRESA" }
+ *     responses:
+ *       200:
+ *         description: Perfil de importación actualizado correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Perfil de importación actualizado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         description: Perfil inválido
+ *       404:
+ *         description: Perfil de importación no encontrado
+ *       409:
+ *         description: Ya existe otro perfil con ese nombre
+ *       500:
+ *         description: Error al actualizar el perfil de importación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al actualizar el perfil de importación.
+ */
+router.put('/:id', withConnection('Error al actualizar el perfil de importación', async (connection, req, res) => {
+    const details = validateProfile(req.body);
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'El perfil de importación no es válido.', details });
+    }
+
+    const { nombre, hoja, columnas } = req.body;
+    if (!await repository.find(connection, req.params.id)) {
+        return res.status(404).json({ error: 'Perfil de importación no encontrado.' });
+    }
+
+    if (await repository.findDuplicate(connection, { nombre }, req.params.id)) {
+        return res.status(409).json({ error: 'Ya existe un perfil de importación con ese nombre.' });
+    }
+
+    const { affectedRows } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id },
+        () => repository.replace(connection, req.params.id, { nombre, hoja: hoja || null, columnas: JSON.stringify(columnas) }));
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Perfil de importación no encontrado.' });
+    }
+    res.json({ message: 'Perfil de importación actualizado correctamente.', registros: affectedRows });
+}));
+
+// Eliminar un perfil de importación por ID
+/**
+ * @swagger
+ * /perfil-importacion/{id}:
+ *   delete:
+ *     summary: Eliminar un perfil de importación por ID
+ *     tags: [PerfilImportacion]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del perfil de importación
+ *     responses:
+ *       200:
+ *         description: Perfil de importación eliminado correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Perfil de importación eliminado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       404:
+ *         description: Perfil de importación no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Perfil de importación no encontrado.
+ *       500:
+ *         description: Error al eliminar el perfil de importación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al eliminar el perfil de importación.
+ */
+router.delete('/:id', withConnection('Error al eliminar el perfil de importación', async (connection, req, res) => {
+    const { affectedRows } = await auditedChange(connection, req, { ...repository.audit, accion: 'delete', value: req.params.id },
+        () => repository.remove(connection, req.params.id));
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Perfil de importación no encontrado.' });
+    }
+    res.json({ message: 'Perfil de importación eliminado correctamente.', registros: affectedRows });
+}));
+
+module.exports = router;
@@ -1,63 +1,108 @@
 const express = require('express');
-const { getConnection } = require('../db/connection');
+const { withConnection } = require('../db/connection');
+const { createRepository } = require('../db/repository');
+const { parseListQuery, findPage, setPaginationHeaders } = require('../utils/listQuery');
+const { PRACTICA_LIST_OPTIONS } = require('../utils/listOptions');
+const { validateBody, validateMerged } = require('../middleware/validate');
+const { rowEtag, checkIfMatch } = require('../utils/etag');
+const { buildPatch } = require('../utils/mergePatch');
+const { auditedChange } = require('../services/audit');
+const { parseBulk, runBulk } = require('../services/bulk');
+const { checkReferences } = require('../services/dependents');
+const { authorize } = require('../middleware/auth');
+const { parseIncludeDeleted } = require('../utils/softDelete');
+const { scopeList, isOutOfScope } = require('../utils/programScope');
+const { getProfile } = require('../services/importProfiles');
+const { validateExportQuery, exportEntity } = require('../services/exporter');
+const { parseExpand, expandRows } = require('../services/expand');
 
 const router = express.Router();
 
+const repository = createRepository('p_practica');
+
 // Obtener todas las prácticas
 /**
  * @swagger
  * /practica:
  *   get:
  *     summary: Obtener todas las prácticas
+ *     description: Listado paginado (por defecto 50 registros). Se puede ordenar por id_practica, fec_inicio, fec_termina, dias_pract, fecha_inscripcion_materia, numero_practica_inscribe. Con expand cada práctica trae sus relaciones, consultadas en bloque para toda la página.
  *     tags: [Practica]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/X-Programa'
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - in: query
+ *         name: programa
+ *         schema:
+ *           type: integer
+ *         description: ID del programa
+ *       - in: query
+ *         name: estudiante
+ *         schema:
+ *           type: integer
+ *         description: ID del estudiante
+ *       - in: query
+ *         name: empresa
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa
+ *       - in: query
+ *         name: contacto
+ *         schema:
+ *           type: integer
+ *         description: ID del contacto
+ *       - in: query
+ *         name: jefe
+ *         schema:
+ *           type: integer
+ *         description: ID del jefe
+ *       - in: query
+ *         name: nrc
+ *         schema:
+ *           type: string
+ *         description: NRC exacto
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Prácticas que terminan en esta fecha o después
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Prácticas que empiezan en esta fecha o antes
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           example: estudiante,empresa
+ *         description: Relaciones que se incluyen como objetos, separadas por coma (programa, estudiante, empresa, contacto, jefe)
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Lista de prácticas
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   id:
- *                     type: integer
- *                     example: 1
- *                   clasificaciones:
- *                     type: string
- *                     example: "Clasificación A"
- *                   no_folio:
- *                     type: string
- *                     example: "F12345"
- *                   fecha_entrega_facultad:
- *                     type: string
- *                     format: date
- *                     example: "2023-06-15"
- *                   numero_practica_inscribe:
- *                     type: integer
- *                     example: 2
- *                   fecha_inscripcion_materia:
- *                     type: string
- *                     format: date
- *                     example: "2023-01-10"
- *                   nrc:
- *                     type: string
- *                     example: "NRC123"
- *                   programa:
- *                     type: string
- *                     example: "Programa Ejemplo"
- *                   documento_estudiante:
- *                     type: string
- *                     example: "12345678"
- *                   id_empresa:
- *                     type: integer
- *                     example: 1
- *                   id_contacto:
- *                     type: integer
- *                     example: 1
- *                   id_jefe:
- *                     type: integer
- *                     example: 1
+ *                 $ref: '#/components/schemas/PracticaExpandida'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       500:
  *         description: Error al obtener las prácticas
  *         content:
@@ -69,18 +114,117 @@ const router = express.Router();
  *                   type: string
  *                   example: Error al obtener las prácticas.
  */
-router.get('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM practica');
-        res.json(rows);
-    } catch (err) {
-        console.error('Error al obtener las prácticas:', err);
-        res.status(500).json({ error: 'Error al obtener las prácticas.' });
-    } finally {
-        connection.release();
+router.get('/', withConnection('Error al obtener las prácticas', async (connection, req, res) => {
+    const list = parseListQuery(req.query, PRACTICA_LIST_OPTIONS);
+    const expansion = parseExpand(req.query, 'p_practica');
+    const details = expansion.error ? [...list.errors, expansion.error] : list.errors;
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details });
+    }
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const { rows, total } = await findPage(connection, 'p_practica', scopeList('p_practica', req.scope, list, includeDeleted));
+    setPaginationHeaders(req, res, list, total);
+    res.json(await expandRows(connection, 'p_practica', rows, expansion.expand));
+}));
+
+// Exportar las prácticas a Excel o CSV con los encabezados de la plantilla de importación
+/**
+ * @swagger
+ * /practica/export:
+ *   get:
+ *     summary: Exportar las prácticas a Excel (xlsx) o CSV
+ *     description: Incluye todas las columnas de la plantilla, así que el archivo se puede editar y volver a subir por /upload.
+ *     tags: [Practica]
+ *     parameters:
+ *       - in: query
+ *         name: formato
+ *         schema:
+ *           type: string
+ *           enum: [xlsx, csv]
+ *           default: xlsx
+ *         description: Formato del archivo; el CSV va separado por punto y coma
+ *       - in: query
+ *         name: programa
+ *         schema:
+ *           type: integer
+ *         description: ID del programa de la práctica
+ *       - in: query
+ *         name: empresa
+ *         schema:
+ *           type: integer
+ *         description: ID de la empresa de la práctica
+ *       - in: query
+ *         name: desde
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Prácticas que terminan en esta fecha o después
+ *       - in: query
+ *         name: hasta
+ *         schema:
+ *           type: string
+ *           format: date
+ *         description: Prácticas que empiezan en esta fecha o antes
+ *       - in: query
+ *         name: perfil
+ *         schema:
+ *           type: string
+ *         description: Perfil de importación cuyos encabezados y hoja se usan (por defecto la plantilla original)
+ *       - $ref: '#/components/parameters/X-Programa'
+ *     responses:
+ *       200:
+ *         description: Archivo de prácticas
+ *         content:
+ *           application/vnd.openxmlformats-officedocument.spreadsheetml.sheet:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *           text/csv:
+ *             schema:
+ *               type: string
+ *       400:
+ *         description: Parámetros de exportación inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Parámetros de exportación inválidos.
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: El formato debe ser xlsx o csv.
+ *       500:
+ *         description: Error al exportar las prácticas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al exportar las prácticas.
+ */
+router.get('/export', withConnection('Error al exportar las prácticas', async (connection, req, res) => {
+    const details = validateExportQuery(req.query);
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de exportación inválidos.', details });
+    }
+
+    const profile = await getProfile(connection, req.query.perfil);
+    if (!profile) {
+        return res.status(400).json({ error: `El perfil de importación "${req.query.perfil}" no existe.` });
     }
-});
+    const file = await exportEntity(connection, 'practica', req.query, profile, req.scope);
+    res.attachment(file.filename).type(file.contentType).send(file.body);
+}));
 
 // Obtener una práctica por ID
 /**
@@ -96,52 +240,41 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID de la práctica
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           example: estudiante,empresa
+ *         description: Relaciones que se incluyen como objetos, separadas por coma (programa, estudiante, empresa, contacto, jefe)
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Detalles de la práctica
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/PracticaExpandida'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         description: Relación de expand desconocida
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id:
- *                   type: integer
- *                   example: 1
- *                 clasificaciones:
- *                   type: string
- *                   example: "Clasificación A"
- *                 no_folio:
- *                   type: string
- *                   example: "F12345"
- *                 fecha_entrega_facultad:
- *                   type: string
- *                   format: date
- *                   example: "2023-06-15"
- *                 numero_practica_inscribe:
- *                   type: integer
- *                   example: 2
- *                 fecha_inscripcion_materia:
- *                   type: string
- *                   format: date
- *                   example: "2023-01-10"
- *                 nrc:
- *                   type: string
- *                   example: "NRC123"
- *                 programa:
- *                   type: string
- *                   example: "Programa Ejemplo"
- *                 documento_estudiante:
+ *                 error:
  *                   type: string
- *                   example: "12345678"
- *                 id_empresa:
- *                   type: integer
- *                   example: 1
- *                 id_contacto:
- *                   type: integer
- *                   example: 1
- *                 id_jefe:
- *                   type: integer
- *                   example: 1
+ *                   example: Parámetros de consulta inválidos.
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: 'No se puede expandir alumno. Opciones: programa, estudiante, empresa, contacto, jefe.'
  *       404:
  *         description: Práctica no encontrada
  *         content:
@@ -152,6 +285,8 @@ router.get('/', async (req, res) => {
  *                 error:
  *                   type: string
  *                   example: Práctica no encontrada.
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       500:
  *         description: Error al obtener la práctica
  *         content:
@@ -163,21 +298,27 @@ router.get('/', async (req, res) => {
  *                   type: string
  *                   example: Error al obtener la práctica.
  */
-router.get('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM practica WHERE id = ?', [req.params.id]);
-        if (rows.length === 0) {
-            return res.status(404).json({ error: 'Práctica no encontrada.' });
-        }
-        res.json(rows[0]);
-    } catch (err) {
-        console.error('Error al obtener la práctica:', err);
-        res.status(500).json({ error: 'Error al obtener la práctica.' });
-    } finally {
-        connection.release();
+router.get('/:id', withConnection('Error al obtener la práctica', async (connection, req, res) => {
+    const expansion = parseExpand(req.query, 'p_practica');
+    if (expansion.error) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details: [expansion.error] });
+    }
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
     }
-});
+
+    const practica = await repository.find(connection, req.params.id, { scope: req.scope, includeDeleted });
+    if (!practica) {
+        return res.status(404).json({ error: 'Práctica no encontrada.' });
+    }
+    // Con expand el cuerpo cambia con las relaciones: queda el ETag que Express calcula sobre la respuesta
+    if (expansion.expand.length === 0) {
+        res.set('ETag', rowEtag(practica));
+    }
+    const [detalle] = await expandRows(connection, 'p_practica', [practica], expansion.expand);
+    res.json(detalle);
+}));
 
 // Crear una nueva práctica
 /**
@@ -191,89 +332,29 @@ router.get('/:id', async (req, res) => {
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               clasificaciones:
- *                 type: string
- *                 example: "Clasificación A"
- *               no_folio:
- *                 type: string
- *                 example: "F12345"
- *               fecha_entrega_facultad:
- *                 type: string
- *                 format: date
- *                 example: "2023-06-15"
- *               numero_practica_inscribe:
- *                 type: integer
- *                 example: 2
- *               fecha_inscripcion_materia:
- *                 type: string
- *                 format: date
- *                 example: "2023-01-10"
- *               nrc:
- *                 type: string
- *                 example: "NRC123"
- *               programa:
- *                 type: string
- *                 example: "Programa Ejemplo"
- *               documento_estudiante:
- *                 type: string
- *                 example: "12345678"
- *               id_empresa:
- *                 type: integer
- *                 example: 1
- *               id_contacto:
- *                 type: integer
- *                 example: 1
- *               id_jefe:
- *                 type: integer
- *                 example: 1
+ *             $ref: '#/components/schemas/PracticaInput'
  *     responses:
  *       201:
  *         description: Práctica creada correctamente
+ *         headers:
+ *           Location:
+ *             $ref: '#/components/headers/Location'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Practica'
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       403:
+ *         description: El programa de la práctica no es el del coordinador
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id:
- *                   type: integer
- *                   example: 1
- *                 clasificaciones:
- *                   type: string
- *                   example: "Clasificación A"
- *                 no_folio:
- *                   type: string
- *                   example: "F12345"
- *                 fecha_entrega_facultad:
- *                   type: string
- *                   format: date
- *                   example: "2023-06-15"
- *                 numero_practica_inscribe:
- *                   type: integer
- *                   example: 2
- *                 fecha_inscripcion_materia:
- *                   type: string
- *                   format: date
- *                   example: "2023-01-10"
- *                 nrc:
- *                   type: string
- *                   example: "NRC123"
- *                 programa:
- *                   type: string
- *                   example: "Programa Ejemplo"
- *                 documento_estudiante:
+ *                 error:
  *                   type: string
- *                   example: "12345678"
- *                 id_empresa:
- *                   type: integer
- *                   example: 1
- *                 id_contacto:
- *                   type: integer
- *                   example: 1
- *                 id_jefe:
- *                   type: integer
- *                   example: 1
+ *                   example: Solo puede registrar prácticas de su programa.
  *       500:
  *         description: Error al crear la práctica
  *         content:
@@ -285,20 +366,71 @@ router.get('/:id', async (req, res) => {
  *                   type: string
  *                   example: Error al crear la práctica.
  */
-router.post('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { clasificaciones, no_folio, fecha_entrega_facultad, numero_practica_inscribe, fecha_inscripcion_materia, nrc, programa, documento_estudiante, id_empresa, id_contacto, id_jefe } = req.body;
-        const [result] = await connection.query('INSERT INTO practica (clasificaciones, no_folio, fecha_entrega_facultad, numero_practica_inscribe, fecha_inscripcion_materia, nrc, programa, documento_estudiante, id_empresa, id_contacto, id_jefe) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
-            [clasificaciones, no_folio, fecha_entrega_facultad, numero_practica_inscribe, fecha_inscripcion_materia, nrc, programa, documento_estudiante, id_empresa, id_contacto, id_jefe]);
-        res.status(201).json({ id: result.insertId, clasificaciones, no_folio, fecha_entrega_facultad, numero_practica_inscribe, fecha_inscripcion_materia, nrc, programa, documento_estudiante, id_empresa, id_contacto, id_jefe });
-    } catch (err) {
-        console.error('Error al crear la práctica:', err);
-        res.status(500).json({ error: 'Error al crear la práctica.' });
-    } finally {
-        connection.release();
+router.post('/', validateBody('PracticaInput'), withConnection('Error al crear la práctica', async (connection, req, res) => {
+    if (isOutOfScope(req.scope, req.body.id_programa)) {
+        return res.status(403).json({ error: 'Solo puede registrar prácticas de su programa.' });
+    }
+
+    const invalidReferences = await checkReferences(connection, 'p_practica', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
     }
-});
+    const id = await auditedChange(connection, req, { ...repository.audit, accion: 'create' }, () => repository.insert(connection, req.body));
+    const practica = await repository.find(connection, id);
+    res.status(201).location(`${req.baseUrl}/${id}`).json(practica);
+}));
+
+// Crear, modificar y eliminar varias prácticas en una sola transacción; sin llave natural, se ubican solo por id
+/**
+ * @swagger
+ * /practica/bulk:
+ *   post:
+ *     summary: Crear, modificar y eliminar prácticas en bloque
+ *     description: Aplica las listas create, update y delete (en ese orden) en una sola transacción; si una operación falla no se aplica ninguna. En update y delete las prácticas se ubican por id. Las eliminaciones exigen rol admin. Un coordinador solo crea y modifica registros de su programa.
+ *     tags: [Practica]
+ *     parameters:
+ *       - $ref: '#/components/parameters/cascade'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PracticaMasivo'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/CargaMasiva'
+ *       400:
+ *         $ref: '#/components/responses/CargaMasivaInvalida'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/CargaMasivaFallida'
+ *       500:
+ *         description: Error en la carga masiva de prácticas
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error en la carga masiva de prácticas.
+ */
+router.post('/bulk', withConnection('Error en la carga masiva de prácticas', async (connection, req, res) => {
+    const bulk = parseBulk(req, 'p_practica');
+    if (bulk.forbidden) {
+        return res.status(403).json({ error: bulk.forbidden });
+    }
+    if (bulk.error) {
+        return res.status(400).json({ error: bulk.error, resultados: bulk.resultados });
+    }
+
+    const { resultados, failed } = await runBulk(connection, req, repository, bulk);
+    if (failed) {
+        return res.status(409).json({ error: 'Una operación falló: no se aplicó ninguna.', resultados: [failed] });
+    }
+    res.json({ message: 'Carga masiva aplicada correctamente.', resultados });
+}));
 
 // Actualizar una práctica por ID
 /**
@@ -314,51 +446,125 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID de la práctica
+ *       - $ref: '#/components/parameters/If-Match'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/PracticaInput'
+ *     responses:
+ *       200:
+ *         description: Práctica actualizada correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Práctica actualizada correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       403:
+ *         description: El programa de la práctica no es el del coordinador
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Solo puede registrar prácticas de su programa.
+ *       404:
+ *         description: Práctica no encontrada (o es de otro programa)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Práctica no encontrada.
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
+ *       500:
+ *         description: Error al actualizar la práctica
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al actualizar la práctica.
+ */
+router.put('/:id', validateBody('PracticaInput'), withConnection('Error al actualizar la práctica', async (connection, req, res) => {
+    if (isOutOfScope(req.scope, req.body.id_programa)) {
+        return res.status(403).json({ error: 'Solo puede registrar prácticas de su programa.' });
+    }
+
+    if (!await repository.find(connection, req.params.id, { scope: req.scope })) {
+        return res.status(404).json({ error: 'Práctica no encontrada.' });
+    }
+    const invalidReferences = await checkReferences(connection, 'p_practica', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_practica', 'id_practica', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        return repository.replace(connection, req.params.id, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'La práctica cambió desde que se consultó; vuelva a consultarla.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Práctica no encontrada.' });
+    }
+    const actual = await repository.find(connection, req.params.id);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Práctica actualizada correctamente.', registros: affectedRows });
+}));
+
+// Modificar algunos campos de una práctica por ID
+/**
+ * @swagger
+ * /practica/{id}:
+ *   patch:
+ *     summary: Modificar algunos campos de una práctica por ID
+ *     description: JSON Merge Patch (RFC 7396); solo cambian los campos enviados y null deja el campo vacío. Los campos obligatorios no aceptan null.
+ *     tags: [Practica]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la práctica
+ *       - $ref: '#/components/parameters/If-Match'
  *     requestBody:
  *       required: true
  *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/PracticaParcial'
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               clasificaciones:
- *                 type: string
- *                 example: "Clasificación A"
- *               no_folio:
- *                 type: string
- *                 example: "F12345"
- *               fecha_entrega_facultad:
- *                 type: string
- *                 format: date
- *                 example: "2023-06-15"
- *               numero_practica_inscribe:
- *                 type: integer
- *                 example: 2
- *               fecha_inscripcion_materia:
- *                 type: string
- *                 format: date
- *                 example: "2023-01-10"
- *               nrc:
- *                 type: string
- *                 example: "NRC123"
- *               programa:
- *                 type: string
- *                 example: "Programa Ejemplo"
- *               documento_estudiante:
- *                 type: string
- *                 example: "12345678"
- *               id_empresa:
- *                 type: integer
- *                 example: 1
- *               id_contacto:
- *                 type: integer
- *                 example: 1
- *               id_jefe:
- *                 type: integer
- *                 example: 1
+ *             $ref: '#/components/schemas/PracticaParcial'
  *     responses:
  *       200:
  *         description: Práctica actualizada correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -367,6 +573,34 @@ router.post('/', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Práctica actualizada correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       403:
+ *         description: El programa de la práctica no es el del coordinador
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Solo puede registrar prácticas de su programa.
+ *       404:
+ *         description: Práctica no encontrada (o es de otro programa)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Práctica no encontrada.
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al actualizar la práctica
  *         content:
@@ -378,20 +612,41 @@ router.post('/', async (req, res) => {
  *                   type: string
  *                   example: Error al actualizar la práctica.
  */
-router.put('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { clasificaciones, no_folio, fecha_entrega_facultad, numero_practica_inscribe, fecha_inscripcion_materia, nrc, programa, documento_estudiante, id_empresa, id_contacto, id_jefe } = req.body;
-        await connection.query('UPDATE practica SET clasificaciones = ?, no_folio = ?, fecha_entrega_facultad = ?, numero_practica_inscribe = ?, fecha_inscripcion_materia = ?, nrc = ?, programa = ?, documento_estudiante = ?, id_empresa = ?, id_contacto = ?, id_jefe = ? WHERE id = ?',
-            [clasificaciones, no_folio, fecha_entrega_facultad, numero_practica_inscribe, fecha_inscripcion_materia, nrc, programa, documento_estudiante, id_empresa, id_contacto, id_jefe, req.params.id]);
-        res.json({ message: 'Práctica actualizada correctamente.' });
-    } catch (err) {
-        console.error('Error al actualizar la práctica:', err);
-        res.status(500).json({ error: 'Error al actualizar la práctica.' });
-    } finally {
-        connection.release();
+router.patch('/:id', validateBody('PracticaParcial'), withConnection('Error al actualizar la práctica', async (connection, req, res) => {
+    if (req.body.id_programa !== undefined && isOutOfScope(req.scope, req.body.id_programa)) {
+        return res.status(403).json({ error: 'Solo puede registrar prácticas de su programa.' });
+    }
+    if (!buildPatch(req.body, repository.columns)) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: [{ field: '(cuerpo)', message: 'debe traer al menos un campo para modificar' }] });
     }
-});
+
+    const current = await repository.find(connection, req.params.id, { scope: req.scope });
+    if (!current) {
+        return res.status(404).json({ error: 'Práctica no encontrada.' });
+    }
+    const details = validateMerged('PracticaInput', current, req.body);
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details });
+    }
+    const invalidReferences = await checkReferences(connection, 'p_practica', req.body);
+    if (invalidReferences.length > 0) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: invalidReferences });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_practica', 'id_practica', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        return repository.update(connection, req.params.id, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'La práctica cambió desde que se consultó; vuelva a consultarla.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Práctica no encontrada.' });
+    }
+    const actual = await repository.find(connection, req.params.id);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Práctica actualizada correctamente.', registros: affectedRows });
+}));
 
 // Eliminar una práctica por ID
 /**
@@ -399,6 +654,7 @@ router.put('/:id', async (req, res) => {
  * /practica/{id}:
  *   delete:
  *     summary: Eliminar una práctica por ID
+ *     description: Borrado lógico; el registro deja de aparecer en los listados y se puede restaurar con POST /practica/{id}/restore.
  *     tags: [Practica]
  *     parameters:
  *       - in: path
@@ -407,6 +663,7 @@ router.put('/:id', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID de la práctica
+ *       - $ref: '#/components/parameters/If-Match'
  *     responses:
  *       200:
  *         description: Práctica eliminada correctamente
@@ -418,6 +675,22 @@ router.put('/:id', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Práctica eliminada correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       404:
+ *         description: Práctica no encontrada (o es de otro programa)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Práctica no encontrada.
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al eliminar la práctica
  *         content:
@@ -429,17 +702,101 @@ router.put('/:id', async (req, res) => {
  *                   type: string
  *                   example: Error al eliminar la práctica.
  */
-router.delete('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        await connection.query('DELETE FROM practica WHERE id = ?', [req.params.id]);
-        res.json({ message: 'Práctica eliminada correctamente.' });
-    } catch (err) {
-        console.error('Error al eliminar la práctica:', err);
-        res.status(500).json({ error: 'Error al eliminar la práctica.' });
-    } finally {
-        connection.release();
+router.delete('/:id', withConnection('Error al eliminar la práctica', async (connection, req, res) => {
+    if (!await repository.find(connection, req.params.id, { scope: req.scope })) {
+        return res.status(404).json({ error: 'Práctica no encontrada.' });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'delete', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_practica', 'id_practica', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        return repository.softDelete(connection, req.params.id);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'La práctica cambió desde que se consultó; vuelva a consultarla.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Práctica no encontrada.' });
+    }
+    res.json({ message: 'Práctica eliminada correctamente.', registros: affectedRows });
+}));
+
+// Restaurar una práctica eliminada
+/**
+ * @swagger
+ * /practica/{id}/restore:
+ *   post:
+ *     summary: Restaurar una práctica eliminada (solo admin)
+ *     tags: [Practica]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID de la práctica
+ *     responses:
+ *       200:
+ *         description: Práctica restaurada correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Práctica restaurada correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Práctica no encontrada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Práctica no encontrada.
+ *       409:
+ *         description: La práctica no está eliminada
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: La práctica no está eliminada.
+ *       500:
+ *         description: Error al restaurar la práctica
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al restaurar la práctica.
+ */
+router.post('/:id/restore', authorize('admin'), withConnection('Error al restaurar la práctica', async (connection, req, res) => {
+    const practica = await repository.find(connection, req.params.id, { scope: req.scope, includeDeleted: true });
+    if (!practica) {
+        return res.status(404).json({ error: 'Práctica no encontrada.' });
+    }
+    if (!practica.deleted_at) {
+        return res.status(409).json({ error: 'La práctica no está eliminada.' });
+    }
+    const { affectedRows } = await auditedChange(connection, req, { ...repository.audit, accion: 'restore', value: req.params.id },
+        () => repository.restore(connection, req.params.id));
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Práctica no encontrada.' });
     }
-});
+    res.json({ message: 'Práctica restaurada correctamente.', registros: affectedRows });
+}));
 
 module.exports = router;
@@ -1,31 +1,72 @@
 const express = require('express');
-const { getConnection, getOrCreate } = require('../db/connection');
+const { withConnection } = require('../db/connection');
+const { createRepository } = require('../db/repository');
+const { parseListQuery, narrowList, findPage, setPaginationHeaders } = require('../utils/listQuery');
+const { PRACTICA_LIST_OPTIONS } = require('../utils/listOptions');
+const { parseExpand, expandRows } = require('../services/expand');
+const { validateBody } = require('../middleware/validate');
+const { rowEtag, checkIfMatch } = require('../utils/etag');
+const { buildPatch } = require('../utils/mergePatch');
+const { auditedChange } = require('../services/audit');
+const { parseBulk, runBulk } = require('../services/bulk');
+const { parseDeleteOptions, findDependents, resolveDependents } = require('../services/dependents');
+const { authorize } = require('../middleware/auth');
+const { scopeList, isOutOfScope } = require('../utils/programScope');
+const { parseIncludeDeleted, duplicateError } = require('../utils/softDelete');
 
 const router = express.Router();
 
+const repository = createRepository('p_programa');
+
+// Columnas por las que se puede ordenar y filtrar el listado
+const LIST_OPTIONS = {
+    primaryKey: 'id_programa',
+    sortable: ['id_programa', 'nombre'],
+    defaultSort: 'nombre',
+    filters: {
+        nombre: { column: 'nombre', type: 'search' }
+    }
+};
+
 // Obtener todos los programas
 /**
  * @swagger
  * /programa:
  *   get:
  *     summary: Obtener todos los programas
+ *     description: Listado paginado (por defecto 50 registros). Se puede ordenar por id_programa, nombre.
  *     tags: [Programa]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - in: query
+ *         name: nombre
+ *         schema:
+ *           type: string
+ *         description: Parte del nombre del programa (sin distinguir mayúsculas)
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Lista de programas
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
  *         content:
  *           application/json:
  *             schema:
  *               type: array
  *               items:
- *                 type: object
- *                 properties:
- *                   id_programa:
- *                     type: integer
- *                     example: 1
- *                   nombre:
- *                     type: string
- *                     example: "Programa Ejemplo"
+ *                 $ref: '#/components/schemas/Programa'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       500:
  *         description: Error al obtener los programas
  *         content:
@@ -37,18 +78,20 @@ const router = express.Router();
  *                   type: string
  *                   example: Error al obtener los programas.
  */
-router.get('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM p_programa');
-        res.json(rows);
-    } catch (err) {
-        console.error('Error al obtener los programas:', err);
-        res.status(500).json({ error: 'Error al obtener los programas.' });
-    } finally {
-        connection.release();
-    }
-});
+router.get('/', withConnection('Error al obtener los programas', async (connection, req, res) => {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.errors.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details: list.errors });
+    }
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const { rows, total } = await findPage(connection, 'p_programa', scopeList('p_programa', null, list, includeDeleted));
+    setPaginationHeaders(req, res, list, total);
+    res.json(rows);
+}));
 
 // Obtener un programa por ID
 /**
@@ -64,20 +107,100 @@ router.get('/', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID del programa
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - $ref: '#/components/parameters/If-None-Match'
  *     responses:
  *       200:
  *         description: Detalles del programa
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Programa'
+ *       304:
+ *         $ref: '#/components/responses/NoModificado'
+ *       404:
+ *         description: Programa no encontrado
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id_programa:
- *                   type: integer
- *                   example: 1
- *                 nombre:
+ *                 error:
  *                   type: string
- *                   example: "Programa Ejemplo"
+ *                   example: Programa no encontrado.
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       500:
+ *         description: Error al obtener el programa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al obtener el programa.
+ */
+router.get('/:id', withConnection('Error al obtener el programa', async (connection, req, res) => {
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+
+    const programa = await repository.find(connection, req.params.id, { includeDeleted });
+    if (!programa) {
+        return res.status(404).json({ error: 'Programa no encontrado.' });
+    }
+    res.set('ETag', rowEtag(programa)).json(programa);
+}));
+
+// Obtener las prácticas de un programa
+/**
+ * @swagger
+ * /programa/{id}/practicas:
+ *   get:
+ *     summary: Obtener las prácticas de un programa
+ *     description: Listado paginado como GET /practica, con los mismos filtros, orden y expand.
+ *     tags: [Programa]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del programa
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - $ref: '#/components/parameters/X-Programa'
+ *       - $ref: '#/components/parameters/includeDeleted'
+ *       - in: query
+ *         name: expand
+ *         schema:
+ *           type: string
+ *           example: estudiante,empresa
+ *         description: Relaciones que se incluyen como objetos, separadas por coma (programa, estudiante, empresa, contacto, jefe)
+ *     responses:
+ *       200:
+ *         description: Lista de prácticas
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/PracticaExpandida'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
  *       404:
  *         description: Programa no encontrado
  *         content:
@@ -89,7 +212,7 @@ router.get('/', async (req, res) => {
  *                   type: string
  *                   example: Programa no encontrado.
  *       500:
- *         description: Error al obtener el programa
+ *         description: Error al obtener las prácticas del programa
  *         content:
  *           application/json:
  *             schema:
@@ -97,57 +220,110 @@ router.get('/', async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error al obtener el programa.
+ *                   example: Error al obtener las prácticas del programa.
  */
-router.get('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const rows = await connection.query('SELECT * FROM p_programa WHERE id_programa = ?', [req.params.id]);
-        if (rows.length === 0) {
-            return res.status(404).json({ error: 'Programa no encontrado.' });
-        }
-        res.json(rows[0]);
-    } catch (err) {
-        console.error('Error al obtener el programa:', err);
-        res.status(500).json({ error: 'Error al obtener el programa.' });
-    } finally {
-        connection.release();
-    }
-});
+router.get('/:id/practicas', withConnection('Error al obtener las prácticas del programa', async (connection, req, res) => {
+    const list = parseListQuery(req.query, PRACTICA_LIST_OPTIONS);
+    const expansion = parseExpand(req.query, 'p_practica');
+    const details = expansion.error ? [...list.errors, expansion.error] : list.errors;
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details });
+    }
+    const { includeDeleted, error } = parseIncludeDeleted(req);
+    if (error) {
+        return res.status(403).json({ error });
+    }
+    if (isOutOfScope(req.scope, req.params.id)) {
+        return res.status(403).json({ error: 'No tiene acceso a ese programa.' });
+    }
+
+    const programa = await repository.find(connection, req.params.id, { includeDeleted });
+    if (!programa) {
+        return res.status(404).json({ error: 'Programa no encontrado.' });
+    }
+    const practicas = narrowList(list, 'p_practica.id_programa = ?', programa.id_programa);
+    const { rows, total } = await findPage(connection, 'p_practica', scopeList('p_practica', req.scope, practicas, includeDeleted));
+    setPaginationHeaders(req, res, list, total);
+    res.json(await expandRows(connection, 'p_practica', rows, expansion.expand));
+}));
 
 // Crear un nuevo programa
 /**
  * @swagger
  * /programa:
  *   post:
- *     summary: Crear un nuevo programa
+ *     summary: Crear un nuevo programa (solo admin)
  *     tags: [Programa]
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               nombre:
- *                 type: string
- *                 example: "Programa Ejemplo"
+ *             $ref: '#/components/schemas/ProgramaInput'
  *     responses:
  *       201:
  *         description: Programa creado correctamente
+ *         headers:
+ *           Location:
+ *             $ref: '#/components/headers/Location'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Programa'
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       500:
+ *         description: Error al crear el programa
  *         content:
  *           application/json:
  *             schema:
  *               type: object
  *               properties:
- *                 id_programa:
- *                   type: integer
- *                   example: 1
- *                 nombre:
+ *                 error:
  *                   type: string
- *                   example: "Programa Ejemplo"
+ *                   example: Error al crear el programa.
+ */
+router.post('/', authorize('admin'), validateBody('ProgramaInput'), withConnection('Error al crear el programa', async (connection, req, res) => {
+    const duplicate = await repository.findDuplicate(connection, req.body);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const id = await auditedChange(connection, req, { ...repository.audit, accion: 'create' }, () => repository.insert(connection, req.body));
+    const programa = await repository.find(connection, id);
+    res.status(201).location(`${req.baseUrl}/${id}`).json(programa);
+}));
+
+// Crear, modificar y eliminar varios programas en una sola transacción (solo admin); se ubican por id o por nombre
+/**
+ * @swagger
+ * /programa/bulk:
+ *   post:
+ *     summary: Crear, modificar y eliminar programas en bloque (solo admin)
+ *     description: Aplica las listas create, update y delete (en ese orden) en una sola transacción; si una operación falla no se aplica ninguna. En update y delete los programas se ubican por id o por nombre.
+ *     tags: [Programa]
+ *     parameters:
+ *       - $ref: '#/components/parameters/cascade'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProgramaMasivo'
+ *     responses:
+ *       200:
+ *         $ref: '#/components/responses/CargaMasiva'
+ *       400:
+ *         $ref: '#/components/responses/CargaMasivaInvalida'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         $ref: '#/components/responses/CargaMasivaFallida'
  *       500:
- *         description: Error al crear el programa
+ *         description: Error en la carga masiva de programas
  *         content:
  *           application/json:
  *             schema:
@@ -155,21 +331,23 @@ router.get('/:id', async (req, res) => {
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error al crear el programa.
+ *                   example: Error en la carga masiva de programas.
  */
-router.post('/', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { nombre } = req.body;
-        const [result] = await connection.query('INSERT INTO p_programa (nombre) VALUES (?)', [nombre]);
-        res.status(201).json({ id_programa: result.insertId, nombre });
-    } catch (err) {
-        console.error('Error al crear el programa:', err);
-        res.status(500).json({ error: 'Error al crear el programa.' });
-    } finally {
-        connection.release();
-    }
-});
+router.post('/bulk', authorize('admin'), withConnection('Error en la carga masiva de programas', async (connection, req, res) => {
+    const bulk = parseBulk(req, 'p_programa');
+    if (bulk.forbidden) {
+        return res.status(403).json({ error: bulk.forbidden });
+    }
+    if (bulk.error) {
+        return res.status(400).json({ error: bulk.error, resultados: bulk.resultados });
+    }
+
+    const { resultados, failed } = await runBulk(connection, req, repository, bulk);
+    if (failed) {
+        return res.status(409).json({ error: 'Una operación falló: no se aplicó ninguna.', resultados: [failed] });
+    }
+    res.json({ message: 'Carga masiva aplicada correctamente.', resultados });
+}));
 
 // Actualizar un programa por ID
 /**
@@ -177,6 +355,7 @@ router.post('/', async (req, res) => {
  * /programa/{id}:
  *   put:
  *     summary: Actualizar un programa por ID
+ *     description: Un coordinador (o quien envíe X-Programa) solo puede actualizar su programa.
  *     tags: [Programa]
  *     parameters:
  *       - in: path
@@ -185,19 +364,19 @@ router.post('/', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID del programa
+ *       - $ref: '#/components/parameters/If-Match'
  *     requestBody:
  *       required: true
  *       content:
  *         application/json:
  *           schema:
- *             type: object
- *             properties:
- *               nombre:
- *                 type: string
- *                 example: "Programa Ejemplo"
+ *             $ref: '#/components/schemas/ProgramaInput'
  *     responses:
  *       200:
  *         description: Programa actualizado correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
  *         content:
  *           application/json:
  *             schema:
@@ -206,6 +385,28 @@ router.post('/', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Programa actualizado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Programa no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Programa no encontrado.
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al actualizar el programa
  *         content:
@@ -217,19 +418,137 @@ router.post('/', async (req, res) => {
  *                   type: string
  *                   example: Error al actualizar el programa.
  */
-router.put('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        const { nombre } = req.body;
-        await connection.query('UPDATE p_programa SET nombre = ? WHERE id_programa = ?', [nombre, req.params.id]);
-        res.json({ message: 'Programa actualizado correctamente.' });
-    } catch (err) {
-        console.error('Error al actualizar el programa:', err);
-        res.status(500).json({ error: 'Error al actualizar el programa.' });
-    } finally {
-        connection.release();
-    }
-});
+router.put('/:id', validateBody('ProgramaInput'), withConnection('Error al actualizar el programa', async (connection, req, res) => {
+    if (isOutOfScope(req.scope, req.params.id)) {
+        return res.status(403).json({ error: 'Solo puede modificar su programa.' });
+    }
+    const current = await repository.find(connection, req.params.id);
+    if (!current) {
+        return res.status(404).json({ error: 'Programa no encontrado.' });
+    }
+    const duplicate = await repository.findDuplicate(connection, { ...current, ...req.body }, req.params.id);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_programa', 'id_programa', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        return repository.replace(connection, req.params.id, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El programa cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Programa no encontrado.' });
+    }
+    const actual = await repository.find(connection, req.params.id);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Programa actualizado correctamente.', registros: affectedRows });
+}));
+
+// Modificar algunos campos de un programa por ID
+/**
+ * @swagger
+ * /programa/{id}:
+ *   patch:
+ *     summary: Modificar algunos campos de un programa por ID
+ *     description: JSON Merge Patch (RFC 7396); solo cambian los campos enviados y null deja el campo vacío. Los campos obligatorios no aceptan null. Un coordinador (o quien envíe X-Programa) solo puede modificar su programa.
+ *     tags: [Programa]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del programa
+ *       - $ref: '#/components/parameters/If-Match'
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/merge-patch+json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProgramaParcial'
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/ProgramaParcial'
+ *     responses:
+ *       200:
+ *         description: Programa actualizado correctamente
+ *         headers:
+ *           ETag:
+ *             $ref: '#/components/headers/ETag'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Programa actualizado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Programa no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Programa no encontrado.
+ *       409:
+ *         $ref: '#/components/responses/Duplicado'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
+ *       500:
+ *         description: Error al actualizar el programa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al actualizar el programa.
+ */
+router.patch('/:id', validateBody('ProgramaParcial'), withConnection('Error al actualizar el programa', async (connection, req, res) => {
+    if (isOutOfScope(req.scope, req.params.id)) {
+        return res.status(403).json({ error: 'Solo puede modificar su programa.' });
+    }
+    if (!buildPatch(req.body, repository.columns)) {
+        return res.status(400).json({ error: 'Datos inválidos.', details: [{ field: '(cuerpo)', message: 'debe traer al menos un campo para modificar' }] });
+    }
+
+    const current = await repository.find(connection, req.params.id);
+    if (!current) {
+        return res.status(404).json({ error: 'Programa no encontrado.' });
+    }
+    const duplicate = await repository.findDuplicate(connection, { ...current, ...req.body }, req.params.id);
+    if (duplicate) {
+        return res.status(409).json(duplicateError(req, repository, duplicate));
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_programa', 'id_programa', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        return repository.update(connection, req.params.id, req.body);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El programa cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Programa no encontrado.' });
+    }
+    const actual = await repository.find(connection, req.params.id);
+    res.set('ETag', rowEtag(actual)).json({ message: 'Programa actualizado correctamente.', registros: affectedRows });
+}));
 
 // Eliminar un programa por ID
 /**
@@ -237,6 +556,7 @@ router.put('/:id', async (req, res) => {
  * /programa/{id}:
  *   delete:
  *     summary: Eliminar un programa por ID
+ *     description: Borrado lógico; el registro deja de aparecer en los listados y se puede restaurar con POST /programa/{id}/restore. Si otros registros dependen de este responde 409, salvo con cascade o reassign.
  *     tags: [Programa]
  *     parameters:
  *       - in: path
@@ -245,6 +565,13 @@ router.put('/:id', async (req, res) => {
  *         schema:
  *           type: integer
  *         description: ID del programa
+ *       - $ref: '#/components/parameters/cascade'
+ *       - in: query
+ *         name: reassign
+ *         schema:
+ *           type: integer
+ *         description: ID del programa que recibe las prácticas del eliminado
+ *       - $ref: '#/components/parameters/If-Match'
  *     responses:
  *       200:
  *         description: Programa eliminado correctamente
@@ -256,6 +583,34 @@ router.put('/:id', async (req, res) => {
  *                 message:
  *                   type: string
  *                   example: Programa eliminado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       400:
+ *         description: Opciones de eliminación inválidas o registro de reemplazo inexistente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Use cascade o reassign, no los dos.
+ *       404:
+ *         description: Programa no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Programa no encontrado.
+ *       409:
+ *         $ref: '#/components/responses/TieneDependientes'
+ *       412:
+ *         $ref: '#/components/responses/RegistroModificado'
  *       500:
  *         description: Error al eliminar el programa
  *         content:
@@ -267,17 +622,122 @@ router.put('/:id', async (req, res) => {
  *                   type: string
  *                   example: Error al eliminar el programa.
  */
-router.delete('/:id', async (req, res) => {
-    const connection = await getConnection();
-    try {
-        await connection.query('DELETE FROM p_programa WHERE id_programa = ?', [req.params.id]);
-        res.json({ message: 'Programa eliminado correctamente.' });
-    } catch (err) {
-        console.error('Error al eliminar el programa:', err);
-        res.status(500).json({ error: 'Error al eliminar el programa.' });
-    } finally {
-        connection.release();
-    }
-});
+router.delete('/:id', withConnection('Error al eliminar el programa', async (connection, req, res) => {
+    const options = parseDeleteOptions(req.query);
+    if (options.error) {
+        return res.status(400).json({ error: options.error });
+    }
+
+    const programa = await repository.find(connection, req.params.id);
+    if (!programa) {
+        return res.status(404).json({ error: 'Programa no encontrado.' });
+    }
+    let replacement = null;
+    if (options.reassign !== undefined) {
+        replacement = await repository.find(connection, options.reassign);
+        if (!replacement || replacement.id_programa === programa.id_programa) {
+            return res.status(400).json({ error: 'El programa de reemplazo no existe o es el mismo que se elimina.' });
+        }
+    }
+    const dependientes = await findDependents(connection, 'p_programa', programa.id_programa);
+    if (dependientes.length > 0 && !options.cascade && !replacement) {
+        return res.status(409).json({
+            error: 'El programa tiene registros que dependen de él. Use ?cascade=true para eliminarlos o ?reassign=<id> para pasarlos a otro programa.',
+            dependientes
+        });
+    }
+    const { affectedRows, preconditionFailed } = await auditedChange(connection, req, { ...repository.audit, accion: 'delete', value: req.params.id }, async () => {
+        if (!await checkIfMatch(connection, req, 'p_programa', 'id_programa', req.params.id)) {
+            return { preconditionFailed: true };
+        }
+        await resolveDependents(connection, req, 'p_programa', programa.id_programa, replacement && replacement.id_programa);
+        return repository.softDelete(connection, req.params.id);
+    });
+    if (preconditionFailed) {
+        return res.status(412).json({ error: 'El programa cambió desde que se consultó; vuelva a consultarlo.' });
+    }
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Programa no encontrado.' });
+    }
+    res.json({ message: 'Programa eliminado correctamente.', registros: affectedRows });
+}));
+
+// Restaurar un programa eliminado
+/**
+ * @swagger
+ * /programa/{id}/restore:
+ *   post:
+ *     summary: Restaurar un programa eliminado (solo admin)
+ *     tags: [Programa]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del programa
+ *     responses:
+ *       200:
+ *         description: Programa restaurado correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Programa restaurado correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   description: Registros afectados
+ *                   example: 1
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Programa no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Programa no encontrado.
+ *       409:
+ *         description: El programa no está eliminado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: El programa no está eliminado.
+ *       500:
+ *         description: Error al restaurar el programa
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al restaurar el programa.
+ */
+router.post('/:id/restore', authorize('admin'), withConnection('Error al restaurar el programa', async (connection, req, res) => {
+    const programa = await repository.find(connection, req.params.id, { includeDeleted: true });
+    if (!programa) {
+        return res.status(404).json({ error: 'Programa no encontrado.' });
+    }
+    if (!programa.deleted_at) {
+        return res.status(409).json({ error: 'El programa no está eliminado.' });
+    }
+    const { affectedRows } = await auditedChange(connection, req, { ...repository.audit, accion: 'restore', value: req.params.id },
+        () => repository.restore(connection, req.params.id));
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Programa no encontrado.' });
+    }
+    res.json({ message: 'Programa restaurado correctamente.', registros: affectedRows });
+}));
 
 module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const { withConnection } = require('../db/connection');
+const { SEARCH_TYPES, search } = require('../services/search');
+
+const router = express.Router();
+
+const MAX_LIMIT = 100;
+
+// Buscar estudiantes, empresas, contactos y jefes
+/**
+ * @swagger
+ * /search:
+ *   get:
+ *     summary: Buscar estudiantes, empresas, contactos y jefes
+ *     description: Busca en nombres, correos, documentos, NIT y teléfonos sin distinguir tildes ni mayúsculas. Cada palabra de la búsqueda debe aparecer en el registro; un número escrito con puntos, guiones o espacios se busca solo por sus dígitos. Los resultados se ordenan por relevancia.
+ *     tags: [Busqueda]
+ *     parameters:
+ *       - in: query
+ *         name: q
+ *         required: true
+ *         schema:
+ *           type: string
+ *           minLength: 2
+ *         description: Texto a buscar
+ *         example: gomez
+ *       - in: query
+ *         name: tipos
+ *         schema:
+ *           type: string
+ *         description: Tipos separados por coma (estudiante, empresa, contacto, jefe); por defecto todos
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           minimum: 1
+ *           maximum: 100
+ *           default: 20
+ *         description: Máximo de resultados
+ *     responses:
+ *       200:
+ *         description: Resultados ordenados por relevancia
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 q:
+ *                   type: string
+ *                   example: gomez
+ *                 total:
+ *                   type: integer
+ *                   description: Coincidencias encontradas antes de aplicar el límite (como máximo 50 por tipo)
+ *                   example: 3
+ *                 truncados:
+ *                   type: array
+ *                   description: Tipos con más de 50 coincidencias; de ellos solo se rankearon las 50 mejores (primero las iguales a la búsqueda y las que empiezan por ella), así que conviene afinar la búsqueda
+ *                   items:
+ *                     type: string
+ *                   example: []
+ *                 results:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       tipo:
+ *                         type: string
+ *                         enum: [estudiante, empresa, contacto, jefe]
+ *                         example: estudiante
+ *                       id:
+ *                         type: integer
+ *                         example: 12
+ *                       titulo:
+ *                         type: string
+ *                         example: "Laura Gómez Díaz"
+ *                       detalle:
+ *                         type: string
+ *                         example: "1012345678 · laura.gomez@example.com"
+ *                       url:
+ *                         type: string
+ *                         example: /api/estudiante/1012345678
+ *                       coincidencias:
+ *                         type: array
+ *                         items:
+ *                           type: string
+ *                         example: [nombres]
+ *                       puntaje:
+ *                         type: integer
+ *                         example: 12
+ *       400:
+ *         description: Parámetros de búsqueda inválidos
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Parámetros de búsqueda inválidos.
+ *                 details:
+ *                   type: array
+ *                   items:
+ *                     type: string
+ *                     example: La búsqueda debe tener al menos 2 caracteres.
+ *       500:
+ *         description: Error al buscar
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al realizar la búsqueda.
+ */
+router.get('/', withConnection('Error al realizar la búsqueda', async (connection, req, res) => {
+    const q = String(req.query.q || '').trim();
+    const tipos = req.query.tipos ? String(req.query.tipos).split(',').map((tipo) => tipo.trim()) : Object.keys(SEARCH_TYPES);
+    const limit = req.query.limit === undefined ? 20 : Number(req.query.limit);
+
+    const details = [];
+    if (q.replace(/[\s.\-+()]/g, '').length < 2) {
+        details.push('La búsqueda debe tener al menos 2 caracteres.');
+    }
+    const unknown = tipos.filter((tipo) => !SEARCH_TYPES[tipo]);
+    if (unknown.length > 0) {
+        details.push(`Tipos desconocidos: ${unknown.join(', ')}. Use ${Object.keys(SEARCH_TYPES).join(', ')}.`);
+    }
+    if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+        details.push(`limit debe ser un entero entre 1 y ${MAX_LIMIT}.`);
+    }
+    if (details.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de búsqueda inválidos.', details });
+    }
+
+    const { total, truncados, results } = await search(connection, q, { tipos, limit, scope: req.scope });
+    res.json({ q, total, truncados, results });
+}));
+
+module.exports = router;
@@ -1,10 +1,21 @@
+const fs = require('fs');
 const express = require('express');
 const multer = require('multer');
 const xlsx = require('xlsx');
-const { getConnection, getOrCreate } = require('../db/connection');
+const { withConnection } = require('../db/connection');
+const { createRepository } = require('../db/repository');
+const { importRows, resolveProgramIds, summarize } = require('../services/importer');
+const { createJob, runJob, getJob, listJobs, getJobRecords, revertJob } = require('../services/importJobs');
+const { readWorkbook } = require('../services/workbookReader');
+const { getProfile, findWorksheet, mapEntries } = require('../services/importProfiles');
+const { validateEntries } = require('../services/importValidation');
+const { authorize } = require('../middleware/auth');
+const { isEmpty } = require('../utils/validators');
 
 const router = express.Router();
 
+const programas = createRepository('p_programa');
+
 // Configuración de Multer para almacenar los archivos subidos
 const storage = multer.diskStorage({
     destination: function (req, file, cb) {
@@ -16,12 +27,20 @@ const storage = multer.diskStorage({
 });
 const upload = multer({ storage: storage });
 
-// Endpoint para subir el archivo Excel
+// Borra un archivo subido que no quedó en ningún trabajo de importación
+const removeUpload = (path) => fs.unlink(path, (err) => {
+    if (err) {
+        console.error(`No se pudo borrar el archivo ${path}:`, err);
+    }
+});
+
+// Endpoint para subir el archivo de prácticas (xlsx, xls, ods o csv)
 /**
  * @swagger
  * /upload:
  *   post:
- *     summary: Subir un archivo Excel
+ *     summary: Subir un archivo de prácticas (xlsx, xls, ods o csv) e importarlo en segundo plano
+ *     description: El formato se detecta por el contenido. Los CSV pueden venir en UTF-8 o Latin-1 y separados por punto y coma, coma, tabulador o barra. Solo administradores. Con X-Programa solo se importan filas de ese programa; las demás se rechazan.
  *     tags: [Upload]
  *     requestBody:
  *       required: true
@@ -33,10 +52,28 @@ const upload = multer({ storage: storage });
  *               file:
  *                 type: string
  *                 format: binary
- *                 description: El archivo Excel a subir
+ *                 description: El archivo a subir (xlsx, xls, ods o csv)
+ *               perfil:
+ *                 type: string
+ *                 description: Nombre del perfil de importación; si no se indica se usa la plantilla original (hoja "Datos")
+ *                 example: ingenieria-2024
+ *     parameters:
+ *       - in: query
+ *         name: dryRun
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Si es true, solo devuelve el plan por fila (create / update / unchanged) sin guardar nada
+ *       - in: query
+ *         name: skipInvalid
+ *         required: false
+ *         schema:
+ *           type: boolean
+ *         description: Si es true, guarda las filas válidas y devuelve las rechazadas; si no, cualquier fila inválida cancela la carga
+ *       - $ref: '#/components/parameters/X-Programa'
  *     responses:
- *       200:
- *         description: Archivo procesado e insertado en la base de datos correctamente
+ *       202:
+ *         description: Archivo recibido; la importación se procesa en segundo plano. El header Location apunta a /api/upload/jobs/{id}
  *         content:
  *           application/json:
  *             schema:
@@ -44,9 +81,70 @@ const upload = multer({ storage: storage });
  *               properties:
  *                 message:
  *                   type: string
- *                   example: Archivo procesado e insertado en la base de datos correctamente.
+ *                   example: Archivo recibido. La importación se está procesando.
+ *                 id_trabajo_importacion:
+ *                   type: string
+ *                   example: "3f0a7c1e-8d2b-4f7a-9a51-2c9e6b0d4e11"
+ *                 estado:
+ *                   type: string
+ *                   example: pendiente
+ *       200:
+ *         description: Vista previa de la importación (solo con dryRun=true)
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 dryRun:
+ *                   type: boolean
+ *                   example: true
+ *                 totalRows:
+ *                   type: integer
+ *                   example: 1
+ *                 summary:
+ *                   type: object
+ *                   properties:
+ *                     create:
+ *                       type: integer
+ *                       example: 2
+ *                     update:
+ *                       type: integer
+ *                       example: 1
+ *                     unchanged:
+ *                       type: integer
+ *                       example: 3
+ *                 rows:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         example: 2
+ *                       actions:
+ *                         type: object
+ *                         example: { "p_cargo_contacto": "unchanged", "p_contacto": "unchanged", "p_empresa": "create", "p_programa": "unchanged", "p_estudiante": "create", "p_practica": "create" }
+ *                 rejected:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         example: 7
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             column:
+ *                               type: string
+ *                               example: E MAIL CONTACTO
+ *                             reason:
+ *                               type: string
+ *                               example: El correo electrónico no tiene un formato válido.
  *       400:
- *         description: Error en la subida del archivo
+ *         description: Error en la subida del archivo, formato no soportado o filas inválidas (sin skipInvalid)
  *         content:
  *           application/json:
  *             schema:
@@ -55,8 +153,27 @@ const upload = multer({ storage: storage });
  *                 error:
  *                   type: string
  *                   example: No se ha subido ningún archivo.
+ *                 rejected:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       row:
+ *                         type: integer
+ *                         example: 7
+ *                       errors:
+ *                         type: array
+ *                         items:
+ *                           type: object
+ *                           properties:
+ *                             column:
+ *                               type: string
+ *                               example: E MAIL CONTACTO
+ *                             reason:
+ *                               type: string
+ *                               example: El correo electrónico no tiene un formato válido.
  *       500:
- *         description: Error al insertar en la base de datos
+ *         description: Error al crear el trabajo de importación o al generar la vista previa
  *         content:
  *           application/json:
  *             schema:
@@ -64,91 +181,387 @@ const upload = multer({ storage: storage });
  *               properties:
  *                 error:
  *                   type: string
- *                   example: Error al insertar en la base de datos.
+ *                   example: Error al crear el trabajo de importación.
  */
-router.post('/upload', upload.single('file'), async (req, res) => {
+router.post('/upload', upload.single('file'), withConnection('Error al procesar el archivo', async (connection, req, res) => {
     if (!req.file) {
         return res.status(400).json({ error: 'No se ha subido ningún archivo.' });
     }
+    // Solo se conserva el archivo de una importación encolada (202), que queda en su trabajo; las vistas previas
+    // y los archivos rechazados se borran al responder
+    res.on('finish', () => {
+        if (res.statusCode !== 202) {
+            removeUpload(req.file.path);
+        }
+    });
+
+    const dryRun = req.query.dryRun === 'true';
+    const skipInvalid = req.query.skipInvalid === 'true';
+    const nombrePerfil = req.body.perfil || req.query.perfil;
+
+    let profile;
+    let programa = null;
+    try {
+        profile = await getProfile(connection, nombrePerfil);
+        // Con alcance por programa solo se aceptan las filas de ese programa
+        if (req.scope) {
+            const record = await programas.find(connection, req.scope.id_programa, { includeDeleted: true });
+            programa = record ? record.nombre : undefined;
+        }
+    } catch (err) {
+        console.error('Error al obtener el perfil de importación:', err);
+        return res.status(500).json({ error: 'Error al obtener el perfil de importación.' });
+    }
+
+    if (!profile) {
+        return res.status(400).json({ error: `El perfil de importación "${nombrePerfil}" no existe.` });
+    }
+    if (programa === undefined) {
+        return res.status(400).json({ error: `El programa ${req.scope.id_programa} no existe.` });
+    }
+
+    let file;
+    try {
+        file = readWorkbook(req.file.path, req.file.originalname);
+    } catch (err) {
+        console.error('Error al leer el archivo:', err);
+        return res.status(400).json({ error: 'No se pudo leer el archivo.' });
+    }
+
+    if (!file.workbook) {
+        return res.status(400).json({ error: 'Formato de archivo no soportado. Use xlsx, xls, ods o csv.' });
+    }
 
-    const workbook = xlsx.readFile(req.file.path);
-    const sheetName = 'Datos'; // Nombre de la hoja que quieres leer
-    const worksheet = workbook.Sheets[sheetName];
+    // Un CSV tiene una sola hoja, así que no se busca por el nombre del perfil
+    const worksheet = file.format === 'csv'
+        ? file.workbook.Sheets[file.workbook.SheetNames[0]]
+        : findWorksheet(file.workbook, profile);
 
     if (!worksheet) {
-        return res.status(400).json({ error: `La hoja con nombre "${sheetName}" no existe.` });
+        return res.status(400).json({ error: `La hoja con nombre "${profile.hoja}" no existe.` });
     }
 
     const jsonData = xlsx.utils.sheet_to_json(worksheet);
+    const entries = mapEntries(jsonData, profile);
+    let scope = null;
+    if (req.scope) {
+        // El alcance se compara con el programa al que resolverá cada fila, no con el nombre escrito en la hoja
+        const nombres = entries.map((entry) => entry.data['programa.nombre']).filter((nombre) => !isEmpty(nombre));
+        scope = { id_programa: req.scope.id_programa, nombre: programa, ids: await resolveProgramIds(connection, nombres) };
+    }
+    const { valid, rejected } = validateEntries(entries, profile, scope);
 
-    const connection = await getConnection();
+    if (rejected.length > 0 && !dryRun && !skipInvalid) {
+        return res.status(400).json({ error: 'El archivo contiene filas con errores. No se guardó ningún registro.', rejected });
+    }
 
-    try {
-        await connection.query('BEGIN');
-
-        for (let i = 0; i < jsonData.length; i++) {
-            const row = jsonData[i];
-
-            const cargoContactoData = { nombre: row['CARGO DEL CONTACTO'] };
-            const cargoContacto = await getOrCreate(connection, 'p_cargo_contacto', cargoContactoData, 'nombre');
-
-            const contactoData = {
-                nombre: row['CONTACTO'],
-                telefono: row['TELEFONO CONTACTO'],
-                celular: row['CELULAR CONTACTO'],
-                email: row['E MAIL CONTACTO'],
-                id_cargo_contacto: cargoContacto.id_cargo_contacto
-            };
-            const contacto = await getOrCreate(connection, 'p_contacto', contactoData, 'email');
-
-            const empresaData = {
-                nit: row['NIT'],
-                razon_social: row['EMPRESA DONDE REALIZA LA PRÁCTICA'],
-                direccion: row['DIRECCION CONTACTO'],
-                id_jefe_inmediato: contacto.id_contacto
-            };
-            const empresa = await getOrCreate(connection, 'p_empresa', empresaData, 'nit');
-
-            const programaData = { nombre: row['PROGRAMA'] };
-            const programa = await getOrCreate(connection, 'p_programa', programaData, 'nombre');
-
-            const estudianteData = {
-                nombres: row['APELLIDOS Y NOMBRES'],
-                edad: row['EDAD'],
-                celular: row['CELULAR'],
-                direccion: row['DIRECCION RESIDENCIA'],
-                telefono: row['TELÉFONO RESIDENCIA'],
-                email: row['CORREO JEFE INMEDIATO'],
-                id_contacto: contacto.id_contacto
-            };
-            const estudiante = await getOrCreate(connection, 'p_estudiante', estudianteData, 'email');
-
-            const practicaData = {
-                id_programa: programa.id_programa,
-                id_estudiante: estudiante.id_estudiante,
-                id_empresa: empresa.id_empresa,
-                fec_inicio: new Date((row['FECHA INICIO'] - (25567 + 2)) * 86400 * 1000),
-                fec_termina: new Date((row['FECHA TERMINACIÓN'] - (25567 + 2)) * 86400 * 1000),
-                dias_pract: row['TOTAL DIAS EN PRACTICA']
-            };
-
-            const [practicaRows] = await connection.query(`SELECT * FROM p_practica WHERE id_estudiante = ? AND id_empresa = ? AND id_programa = ?`, [estudiante.id_estudiante, empresa.id_empresa, programa.id_programa]);
-            if (practicaRows.length > 0) {
-                await connection.query(`UPDATE p_practica SET ? WHERE id_practica = ?`, [practicaData, practicaRows[0].id_practica]);
-            } else {
-                await connection.query(`INSERT INTO p_practica SET ?`, practicaData);
-            }
+    if (dryRun) {
+        try {
+            const rows = await importRows(connection, valid, { dryRun: true });
+            res.json({ dryRun: true, totalRows: jsonData.length, summary: summarize(rows), rows, rejected });
+        } catch (err) {
+            console.error('Error al generar la vista previa del archivo:', err);
+            res.status(500).json({ error: 'Error al generar la vista previa del archivo.' });
         }
+        return;
+    }
+
+    try {
+        const id = await createJob({
+            archivo: req.file.path,
+            nombreOriginal: req.file.originalname,
+            perfil: profile.nombre,
+            usuario: req.user.email,
+            idPrograma: req.scope ? req.scope.id_programa : null,
+            totalFilas: valid.length,
+            rejected
+        });
 
-        await connection.query('COMMIT');
-        res.json({ message: 'Archivo procesado e insertado en la base de datos correctamente.' });
+        // La importación sigue en segundo plano; el avance se consulta en /api/upload/jobs/:id
+        runJob(id, valid, rejected, req.user.email);
+
+        res.status(202)
+            .location(`/api/upload/jobs/${id}`)
+            .json({ message: 'Archivo recibido. La importación se está procesando.', id_trabajo_importacion: id, estado: 'pendiente', rejected });
     } catch (err) {
-        await connection.query('ROLLBACK');
-        console.error('Error al insertar en la base de datos:', err);
-        res.status(500).json({ error: 'Error al insertar en la base de datos.' });
-    } finally {
-        connection.release();
+        console.error('Error al crear el trabajo de importación:', err);
+        res.status(500).json({ error: 'Error al crear el trabajo de importación.' });
     }
-});
+}));
+
+// Historial de importaciones
+/**
+ * @swagger
+ * /upload/jobs:
+ *   get:
+ *     summary: Obtener el historial de importaciones, de la más reciente a la más antigua
+ *     description: Con X-Programa solo se listan las importaciones que se hicieron limitadas a ese programa; lo mismo vale para consultar, ver los registros o revertir una importación.
+ *     tags: [Upload]
+ *     parameters:
+ *       - $ref: '#/components/parameters/X-Programa'
+ *     responses:
+ *       200:
+ *         description: Lista de trabajos de importación (mismo formato que /upload/jobs/{id})
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *       500:
+ *         description: Error al obtener el historial de importaciones
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al obtener el historial de importaciones.
+ */
+router.get('/upload/jobs', withConnection('Error al obtener el historial de importaciones', async (connection, req, res) => {
+    res.json(await listJobs(connection, req.scope));
+}));
+
+// Consultar el avance de un trabajo de importación
+/**
+ * @swagger
+ * /upload/jobs/{id}:
+ *   get:
+ *     summary: Obtener el estado de un trabajo de importación
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del trabajo de importación devuelto por POST /upload
+ *     responses:
+ *       200:
+ *         description: Estado y avance del trabajo
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 id_trabajo_importacion:
+ *                   type: string
+ *                   example: "3f0a7c1e-8d2b-4f7a-9a51-2c9e6b0d4e11"
+ *                 estado:
+ *                   type: string
+ *                   enum: [pendiente, procesando, completado, fallido]
+ *                   example: procesando
+ *                 archivo:
+ *                   type: string
+ *                   example: practicas-2024-1.xlsx
+ *                 perfil:
+ *                   type: string
+ *                   example: predeterminado
+ *                 id_programa:
+ *                   type: integer
+ *                   nullable: true
+ *                   description: Programa al que se limitó la importación (X-Programa); null si no tuvo límite
+ *                   example: null
+ *                 total_filas:
+ *                   type: integer
+ *                   example: 1200
+ *                 filas_procesadas:
+ *                   type: integer
+ *                   example: 475
+ *                 progreso:
+ *                   type: integer
+ *                   example: 40
+ *                 resumen:
+ *                   type: object
+ *                   nullable: true
+ *                   example: { "create": 40, "update": 3, "unchanged": 1157 }
+ *                 rejected:
+ *                   type: array
+ *                   items:
+ *                     type: object
+ *                 error:
+ *                   type: string
+ *                   nullable: true
+ *                   example: null
+ *                 creado_en:
+ *                   type: string
+ *                   format: date-time
+ *                 iniciado_en:
+ *                   type: string
+ *                   format: date-time
+ *                 finalizado_en:
+ *                   type: string
+ *                   format: date-time
+ *                   nullable: true
+ *                 duracion_ms:
+ *                   type: integer
+ *                   example: 5230
+ *       404:
+ *         description: Trabajo de importación no encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Trabajo de importación no encontrado.
+ *       500:
+ *         description: Error al obtener el trabajo de importación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al obtener el trabajo de importación.
+ */
+router.get('/upload/jobs/:id', withConnection('Error al obtener el trabajo de importación', async (connection, req, res) => {
+    const job = await getJob(connection, req.params.id, req.scope);
+    if (!job) {
+        return res.status(404).json({ error: 'Trabajo de importación no encontrado.' });
+    }
+    res.json(job);
+}));
+
+// Registros creados o modificados por una importación
+/**
+ * @swagger
+ * /upload/jobs/{id}/records:
+ *   get:
+ *     summary: Obtener los registros que creó o modificó una importación
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del trabajo de importación
+ *     responses:
+ *       200:
+ *         description: Registros afectados, en el orden en que se tocaron
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 type: object
+ *                 properties:
+ *                   orden:
+ *                     type: integer
+ *                     example: 1
+ *                   tabla:
+ *                     type: string
+ *                     example: p_practica
+ *                   id_registro:
+ *                     type: string
+ *                     example: "42"
+ *                   accion:
+ *                     type: string
+ *                     enum: [create, update]
+ *                     example: update
+ *                   valores_anteriores:
+ *                     type: object
+ *                     nullable: true
+ *                     example: { "id_practica": 42, "fec_inicio": "2024-01-15", "fec_termina": "2024-06-15", "dias_pract": 150 }
+ *       404:
+ *         description: Trabajo de importación no encontrado
+ *       500:
+ *         description: Error al obtener los registros de la importación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al obtener los registros de la importación.
+ */
+router.get('/upload/jobs/:id/records', withConnection('Error al obtener los registros de la importación', async (connection, req, res) => {
+    const job = await getJob(connection, req.params.id, req.scope);
+    if (!job) {
+        return res.status(404).json({ error: 'Trabajo de importación no encontrado.' });
+    }
+    res.json(await getJobRecords(connection, req.params.id));
+}));
+
+// Revertir una importación completada
+/**
+ * @swagger
+ * /upload/jobs/{id}/revert:
+ *   post:
+ *     summary: Revertir una importación (solo admin)
+ *     description: Borra los registros que creó la importación y devuelve los que modificó a sus valores anteriores.
+ *     tags: [Upload]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: ID del trabajo de importación
+ *     responses:
+ *       200:
+ *         description: Importación revertida correctamente
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 message:
+ *                   type: string
+ *                   example: Importación revertida correctamente.
+ *                 registros:
+ *                   type: integer
+ *                   example: 36
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Trabajo de importación no encontrado
+ *       409:
+ *         description: La importación no está completada, una importación posterior o un cambio por la API tocó después los mismos registros, u otros datos dependen de lo que creó
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Hay importaciones posteriores que modificaron los mismos registros. Reviértalas primero.
+ *                 trabajos:
+ *                   type: array
+ *                   description: Importaciones posteriores que tocaron los mismos registros
+ *                   items:
+ *                     type: string
+ *                 registros:
+ *                   type: array
+ *                   description: Registros de la importación modificados después por la API
+ *                   items:
+ *                     type: object
+ *                     properties:
+ *                       tabla:
+ *                         type: string
+ *                         example: p_practica
+ *                       id_registro:
+ *                         type: string
+ *                         example: "42"
+ *       500:
+ *         description: Error al revertir la importación
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al revertir la importación.
+ */
+router.post('/upload/jobs/:id/revert', authorize('admin'), withConnection('Error al revertir la importación', async (connection, req, res) => {
+    const { status, body } = await revertJob(connection, req.params.id, req.user.email, req.scope);
+    res.status(status).json(body);
+}));
 
 module.exports = router;
@@ -0,0 +1,296 @@
+const express = require('express');
+const { withConnection } = require('../db/connection');
+const { createRepository } = require('../db/repository');
+const { parseListQuery, findPage, setPaginationHeaders } = require('../utils/listQuery');
+const { validateBody } = require('../middleware/validate');
+const { hashPassword, toUserResponse, revokeAll } = require('../services/auth');
+const { auditedChange } = require('../services/audit');
+
+const router = express.Router();
+
+const repository = createRepository('p_usuario');
+
+// Columnas por las que se puede ordenar y filtrar el listado
+const LIST_OPTIONS = {
+    primaryKey: 'id_usuario',
+    sortable: ['id_usuario', 'email', 'nombre', 'rol'],
+    defaultSort: 'email',
+    filters: {
+        email: { column: 'email', type: 'search' },
+        rol: { column: 'rol', type: 'text' },
+        programa: { column: 'id_programa', type: 'integer' }
+    }
+};
+
+// Obtener todos los usuarios
+/**
+ * @swagger
+ * /usuario:
+ *   get:
+ *     summary: Obtener todos los usuarios (solo admin)
+ *     tags: [Usuario]
+ *     parameters:
+ *       - $ref: '#/components/parameters/page'
+ *       - $ref: '#/components/parameters/limit'
+ *       - $ref: '#/components/parameters/sort'
+ *       - in: query
+ *         name: email
+ *         schema:
+ *           type: string
+ *         description: Parte del correo (sin distinguir mayúsculas)
+ *       - in: query
+ *         name: rol
+ *         schema:
+ *           type: string
+ *           enum: [admin, coordinador, lectura]
+ *       - in: query
+ *         name: programa
+ *         schema:
+ *           type: integer
+ *         description: ID del programa del coordinador
+ *     responses:
+ *       200:
+ *         description: Lista de usuarios
+ *         headers:
+ *           X-Total-Count:
+ *             $ref: '#/components/headers/X-Total-Count'
+ *           Link:
+ *             $ref: '#/components/headers/Link'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: array
+ *               items:
+ *                 $ref: '#/components/schemas/Usuario'
+ *       400:
+ *         $ref: '#/components/responses/ListadoInvalido'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       500:
+ *         description: Error al obtener los usuarios
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 error:
+ *                   type: string
+ *                   example: Error al obtener los usuarios.
+ */
+router.get('/', withConnection('Error al obtener los usuarios', async (connection, req, res) => {
+    const list = parseListQuery(req.query, LIST_OPTIONS);
+    if (list.errors.length > 0) {
+        return res.status(400).json({ error: 'Parámetros de consulta inválidos.', details: list.errors });
+    }
+
+    const { rows, total } = await findPage(connection, 'p_usuario', list);
+    setPaginationHeaders(req, res, list, total);
+    res.json(rows.map(toUserResponse));
+}));
+
+// Obtener un usuario por ID
+/**
+ * @swagger
+ * /usuario/{id}:
+ *   get:
+ *     summary: Obtener un usuario por ID (solo admin)
+ *     tags: [Usuario]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Usuario encontrado
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Usuario'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Usuario no encontrado
+ *       500:
+ *         description: Error al obtener el usuario
+ */
+router.get('/:id', withConnection('Error al obtener el usuario', async (connection, req, res) => {
+    const usuario = await repository.find(connection, req.params.id);
+    if (!usuario) {
+        return res.status(404).json({ error: 'Usuario no encontrado.' });
+    }
+    res.json(toUserResponse(usuario));
+}));
+
+// Crear un nuevo usuario
+/**
+ * @swagger
+ * /usuario:
+ *   post:
+ *     summary: Crear un nuevo usuario (solo admin)
+ *     description: Los coordinadores deben tener un programa asignado; solo ven y modifican los datos de ese programa.
+ *     tags: [Usuario]
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UsuarioInput'
+ *     responses:
+ *       201:
+ *         description: Usuario creado correctamente
+ *         headers:
+ *           Location:
+ *             $ref: '#/components/headers/Location'
+ *         content:
+ *           application/json:
+ *             schema:
+ *               $ref: '#/components/schemas/Usuario'
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       409:
+ *         description: Ya existe un usuario con ese correo
+ *       500:
+ *         description: Error al crear el usuario
+ */
+router.post('/', validateBody('UsuarioInput'), withConnection('Error al crear el usuario', async (connection, req, res) => {
+    const { nombre, password, rol, id_programa, activo } = req.body;
+    const email = req.body.email.trim().toLowerCase();
+    if (await repository.findDuplicate(connection, { email })) {
+        return res.status(409).json({ error: 'Ya existe un usuario con ese correo.' });
+    }
+
+    const passwordHash = await hashPassword(password);
+    const id = await auditedChange(connection, req, { ...repository.audit, accion: 'create' }, () => repository.insert(connection, {
+        email,
+        nombre,
+        password_hash: passwordHash,
+        rol,
+        id_programa: rol === 'coordinador' ? id_programa : null,
+        activo: activo !== false,
+        creado_en: new Date()
+    }));
+    const usuario = await repository.find(connection, id);
+    res.status(201).location(`${req.baseUrl}/${id}`).json(toUserResponse(usuario));
+}));
+
+// Actualizar un usuario por ID
+/**
+ * @swagger
+ * /usuario/{id}:
+ *   put:
+ *     summary: Actualizar un usuario por ID (solo admin)
+ *     description: Si no se envía password se conserva la actual. Cambiar la contraseña, el rol, el programa o desactivar al usuario revoca sus tokens de refresco; el token de acceso que ya tenga sigue valiendo con el rol y el programa anteriores hasta que vence (JWT_EXPIRES_IN, 15 minutos por defecto).
+ *     tags: [Usuario]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/UsuarioActualizacion'
+ *     responses:
+ *       200:
+ *         description: Usuario actualizado correctamente
+ *       400:
+ *         $ref: '#/components/responses/DatosInvalidos'
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: Ya existe otro usuario con ese correo
+ *       500:
+ *         description: Error al actualizar el usuario
+ */
+router.put('/:id', validateBody('UsuarioActualizacion'), withConnection('Error al actualizar el usuario', async (connection, req, res) => {
+    const { nombre, password, rol, activo } = req.body;
+    const email = req.body.email.trim().toLowerCase();
+    const id_programa = rol === 'coordinador' ? req.body.id_programa : null;
+
+    const user = await repository.find(connection, req.params.id);
+    if (!user) {
+        return res.status(404).json({ error: 'Usuario no encontrado.' });
+    }
+    if (await repository.findDuplicate(connection, { email }, req.params.id)) {
+        return res.status(409).json({ error: 'Ya existe otro usuario con ese correo.' });
+    }
+
+    const fields = { email, nombre, rol, id_programa, activo: activo !== false };
+    if (password) {
+        fields.password_hash = await hashPassword(password);
+    }
+    const { affectedRows } = await auditedChange(connection, req, { ...repository.audit, accion: 'update', value: req.params.id },
+        () => repository.update(connection, req.params.id, fields));
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Usuario no encontrado.' });
+    }
+
+    // Los tokens de acceso llevan el rol y el programa y no se consultan en la base de datos: se revocan los de refresco
+    // para que no se emitan más con los anteriores, pero el de acceso ya emitido sigue valiendo hasta que vence (JWT_EXPIRES_IN)
+    if (password || rol !== user.rol || id_programa !== user.id_programa || !fields.activo) {
+        await revokeAll(connection, user.id_usuario);
+    }
+    res.json({ message: 'Usuario actualizado correctamente.', registros: affectedRows });
+}));
+
+// Eliminar un usuario por ID
+/**
+ * @swagger
+ * /usuario/{id}:
+ *   delete:
+ *     summary: Eliminar un usuario por ID (solo admin)
+ *     tags: [Usuario]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: integer
+ *         description: ID del usuario
+ *     responses:
+ *       200:
+ *         description: Usuario eliminado correctamente
+ *       401:
+ *         $ref: '#/components/responses/NoAutenticado'
+ *       403:
+ *         $ref: '#/components/responses/SinPermiso'
+ *       404:
+ *         description: Usuario no encontrado
+ *       409:
+ *         description: Un administrador no puede eliminar su propia cuenta
+ *       500:
+ *         description: Error al eliminar el usuario
+ */
+router.delete('/:id', withConnection('Error al eliminar el usuario', async (connection, req, res) => {
+    if (Number(req.params.id) === req.user.id_usuario) {
+        return res.status(409).json({ error: 'No puede eliminar su propia cuenta.' });
+    }
+
+    const { affectedRows } = await auditedChange(connection, req, { ...repository.audit, accion: 'delete', value: req.params.id },
+        () => repository.remove(connection, req.params.id));
+    if (affectedRows === 0) {
+        return res.status(404).json({ error: 'Usuario no encontrado.' });
+    }
+    res.json({ message: 'Usuario eliminado correctamente.', registros: affectedRows });
+}));
+
+module.exports = router;
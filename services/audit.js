@@ -0,0 +1,101 @@
+const { serializeRow } = require('../utils/serialize');
+
+// Columnas que no se guardan en claro en la auditoría: solo queda constancia de que cambiaron
+const HIDDEN_COLUMNS = ['password_hash'];
+const HIDDEN_VALUE = '[oculto]';
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// La entidad se registra con el nombre de la tabla sin el prefijo p_ (practica, empresa, cargo_contacto...)
+const entityOf = (table) => table.replace(/^p_/, '');
+
+// null, undefined y '' cuentan como vacío; lo demás se compara como texto (1 y '1' son iguales)
+const comparable = (value) => (value === undefined || value === null || value === '' ? null : String(value));
+
+/**
+ * Diferencia entre dos versiones de un registro: { columna: { antes, despues } } solo con las columnas
+ * que cambiaron. En una creación antes es null y en una eliminación despues es null.
+ */
+const diffRows = (antes, despues) => {
+    const before = serializeRow(antes) || {};
+    const after = serializeRow(despues) || {};
+    const changes = {};
+    new Set([...Object.keys(before), ...Object.keys(after)]).forEach((column) => {
+        const oldValue = before[column] === undefined ? null : before[column];
+        const newValue = after[column] === undefined ? null : after[column];
+        if (comparable(oldValue) === comparable(newValue)) {
+            return;
+        }
+        changes[column] = HIDDEN_COLUMNS.includes(column)
+            ? { antes: oldValue === null ? null : HIDDEN_VALUE, despues: newValue === null ? null : HIDDEN_VALUE }
+            : { antes: oldValue, despues: newValue };
+    });
+    return changes;
+};
+
+/**
+ * Registra una entrada de auditoría con la misma conexión del cambio, para que quede en su transacción.
+ * origen indica por dónde llegó el cambio: 'api', 'importacion:<id>' o 'reversion:<id>'.
+ * Un cambio que no modificó ninguna columna no se registra (p. ej. uno rechazado por If-Match).
+ */
+const recordAudit = async (connection, { usuario, table, id, accion, antes = null, despues = null, origen = 'api' }) => {
+    const cambios = diffRows(antes, despues);
+    if (Object.keys(cambios).length === 0) {
+        return;
+    }
+    await connection.query('INSERT INTO p_auditoria (fecha, usuario, entidad, id_registro, accion, origen, cambios) VALUES (?, ?, ?, ?, ?, ?, ?)',
+        [new Date(), usuario || null, entityOf(table), String(id), accion, origen, JSON.stringify(cambios)]);
+};
+
+/**
+ * Aplica un cambio y lo audita con el usuario de la petición, dentro de la transacción que ya tenga abierta
+ * la conexión. Lee el registro antes y después del cambio: en update, delete y restore por column = value
+ * (por defecto la llave primaria); en create, change debe devolver el ID nuevo. Devuelve lo que devuelva change.
+ */
+const applyAuditedChange = async (connection, req, { table, primaryKey, accion, column = primaryKey, value }, change) => {
+    const find = async (field, fieldValue) => {
+        const rows = await connection.query(`SELECT * FROM ${table} WHERE ${field} = ?`, [fieldValue]);
+        return rows.length > 0 ? rows[0] : null;
+    };
+
+    const antes = accion === 'create' ? null : await find(column, value);
+    const result = await change();
+    const id = accion === 'create' ? result : antes && antes[primaryKey];
+    const despues = id ? await find(primaryKey, id) : null;
+    if (antes || despues) {
+        await recordAudit(connection, { usuario: req.user.email, table, id, accion, antes, despues });
+    }
+    return result;
+};
+
+// Ejecuta el cambio de una ruta en su propia transacción y lo deja auditado (ver applyAuditedChange)
+const auditedChange = async (connection, req, options, change) => {
+    await connection.query('BEGIN');
+    try {
+        const result = await applyAuditedChange(connection, req, options, change);
+        await connection.query('COMMIT');
+        return result;
+    } catch (err) {
+        await connection.query('ROLLBACK').catch(() => {});
+        throw err;
+    }
+};
+
+const toAuditResponse = (row) => ({
+    id_auditoria: row.id_auditoria,
+    fecha: row.fecha,
+    usuario: row.usuario,
+    entidad: row.entidad,
+    id_registro: row.id_registro,
+    accion: row.accion,
+    origen: row.origen,
+    cambios: parseJson(row.cambios)
+});
+
+module.exports = {
+    diffRows,
+    recordAudit,
+    applyAuditedChange,
+    auditedChange,
+    toAuditResponse
+};
@@ -0,0 +1,124 @@
+const crypto = require('crypto');
+const bcrypt = require('bcryptjs');
+const jwt = require('jsonwebtoken');
+const { insertRow } = require('../db/connection');
+
+const ACCESS_TOKEN_TTL = process.env.JWT_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = Number(process.env.REFRESH_TOKEN_DAYS || 30);
+const BCRYPT_ROUNDS = 10;
+
+// Hash de relleno para comparar aunque el usuario no exista y no revelar qué correos están registrados
+const DUMMY_HASH = bcrypt.hashSync(crypto.randomBytes(16).toString('hex'), BCRYPT_ROUNDS);
+
+const jwtSecret = () => {
+    if (!process.env.JWT_SECRET) {
+        throw new Error('Falta la variable de entorno JWT_SECRET');
+    }
+    return process.env.JWT_SECRET;
+};
+
+const hashPassword = (password) => bcrypt.hash(password, BCRYPT_ROUNDS);
+
+// Los tokens de refresco solo se guardan como hash: si se filtra la tabla no sirven para nada
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+// Datos del usuario que se pueden devolver en la API (nunca el hash de la contraseña)
+const toUserResponse = (user) => ({
+    id_usuario: user.id_usuario,
+    email: user.email,
+    nombre: user.nombre,
+    rol: user.rol,
+    id_programa: user.id_programa,
+    activo: Boolean(user.activo)
+});
+
+const signAccessToken = (user) => jwt.sign(
+    { rol: user.rol, id_programa: user.id_programa, email: user.email },
+    jwtSecret(),
+    { subject: String(user.id_usuario), expiresIn: ACCESS_TOKEN_TTL }
+);
+
+// Verifica un token de acceso y devuelve el usuario que viaja en él; lanza error si no es válido o expiró
+const verifyAccessToken = (token) => {
+    const payload = jwt.verify(token, jwtSecret());
+    return {
+        id_usuario: Number(payload.sub),
+        email: payload.email,
+        rol: payload.rol,
+        id_programa: payload.id_programa
+    };
+};
+
+// Emite un token de acceso y uno de refresco nuevo para el usuario
+const issueTokens = async (connection, user) => {
+    const refreshToken = crypto.randomBytes(48).toString('base64url');
+    const now = new Date();
+    await insertRow(connection, 'p_token_refresco', {
+        id_usuario: user.id_usuario,
+        token_hash: hashToken(refreshToken),
+        expira_en: new Date(now.getTime() + REFRESH_TOKEN_DAYS * 86400 * 1000),
+        creado_en: now
+    }, 'id_token_refresco');
+
+    const accessToken = signAccessToken(user);
+    return {
+        access_token: accessToken,
+        token_type: 'Bearer',
+        expires_in: jwt.decode(accessToken).exp - Math.floor(now.getTime() / 1000),
+        refresh_token: refreshToken,
+        usuario: toUserResponse(user)
+    };
+};
+
+// Devuelve los tokens si el correo y la contraseña son correctos y el usuario está activo; si no, null
+const login = async (connection, email, password) => {
+    const rows = await connection.query('SELECT * FROM p_usuario WHERE email = ?', [String(email).trim().toLowerCase()]);
+    const user = rows[0];
+    const valid = await bcrypt.compare(String(password), user ? user.password_hash : DUMMY_HASH);
+    if (!user || !valid || !user.activo) {
+        return null;
+    }
+    return issueTokens(connection, user);
+};
+
+/**
+ * Cambia un token de refresco por un par nuevo. El token usado queda revocado (rotación), así que
+ * cada token de refresco sirve una sola vez. Devuelve null si no existe, expiró o ya se usó.
+ */
+const refresh = async (connection, refreshToken) => {
+    const rows = await connection.query(`SELECT t.id_token_refresco, t.expira_en, t.revocado_en, u.*
+        FROM p_token_refresco t
+        JOIN p_usuario u ON u.id_usuario = t.id_usuario
+        WHERE t.token_hash = ?`, [hashToken(String(refreshToken))]);
+    const row = rows[0];
+    if (!row || row.revocado_en || new Date(row.expira_en) < new Date() || !row.activo) {
+        return null;
+    }
+    // La revocación es condicional: si dos peticiones usan el mismo token a la vez, solo una lo revoca y recibe tokens
+    const result = await connection.query('UPDATE p_token_refresco SET revocado_en = ? WHERE id_token_refresco = ? AND revocado_en IS NULL',
+        [new Date(), row.id_token_refresco]);
+    if (result.affectedRows === 0) {
+        return null;
+    }
+    return issueTokens(connection, row);
+};
+
+const logout = async (connection, refreshToken) => {
+    await connection.query('UPDATE p_token_refresco SET revocado_en = ? WHERE token_hash = ? AND revocado_en IS NULL',
+        [new Date(), hashToken(String(refreshToken))]);
+};
+
+// Revoca todas las sesiones de un usuario (al desactivarlo o cambiarle la contraseña o el rol)
+const revokeAll = async (connection, idUsuario) => {
+    await connection.query('UPDATE p_token_refresco SET revocado_en = ? WHERE id_usuario = ? AND revocado_en IS NULL', [new Date(), idUsuario]);
+};
+
+module.exports = {
+    hashPassword,
+    toUserResponse,
+    verifyAccessToken,
+    login,
+    refresh,
+    logout,
+    revokeAll
+};
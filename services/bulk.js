@@ -0,0 +1,270 @@
+/**
+ * Carga masiva (POST /<entidad>/bulk): creaciones, modificaciones y eliminaciones de una entidad en una
+ * sola transacción. Si una operación falla no se aplica ninguna, y la respuesta dice cuál falló y por qué.
+ */
+
+const { ENTITIES } = require('../db/entities');
+const { validate, validateMerged } = require('../middleware/validate');
+const { schemas } = require('../utils/schemas');
+const { buildPatch } = require('../utils/mergePatch');
+const { ADMIN_CREATED_TABLES, scopeWhere, isOutOfScope } = require('../utils/programScope');
+const { notDeletedWhere, duplicateError } = require('../utils/softDelete');
+const { diffRows, applyAuditedChange } = require('./audit');
+const { parseDeleteOptions, findDependents, resolveDependents, checkReferences } = require('./dependents');
+
+// Máximo de operaciones (sumando las tres listas) por petición
+const MAX_OPERATIONS = 500;
+
+const OPERATIONS = ['create', 'update', 'delete'];
+
+const isBlank = (value) => value === undefined || value === null || value === '';
+
+// Lee el identificador de una modificación o eliminación: { id } o { <naturalKey> }, uno solo
+const parseSelector = (item, entity) => {
+    const keys = ['id', entity.naturalKey].filter((key) => key && !isBlank(item[key]));
+    if (keys.length !== 1) {
+        const expected = entity.naturalKey ? `id o ${entity.naturalKey}` : 'id';
+        return { error: { field: '(operación)', message: `debe traer ${expected} (solo uno) para ubicar el registro` } };
+    }
+    if (keys[0] === 'id') {
+        if (!/^\d+$/.test(String(item.id)) || Number(item.id) < 1) {
+            return { error: { field: 'id', message: 'debe ser un número entero mayor o igual a 1' } };
+        }
+        return { selector: { column: entity.primaryKey, value: Number(item.id) } };
+    }
+    return { selector: { column: entity.naturalKey, value: String(item[entity.naturalKey]) } };
+};
+
+// Valida una operación; devuelve la operación lista para ejecutar o la lista de errores por campo
+const parseOperation = (operacion, item, entity) => {
+    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+        return { details: [{ field: '(operación)', message: 'debe ser un objeto' }] };
+    }
+    if (operacion === 'create') {
+        const details = validate(`${entity.schema}Input`, item);
+        return details.length > 0 ? { details } : { datos: item };
+    }
+
+    const { selector, error } = parseSelector(item, entity);
+    if (error) {
+        return { details: [error] };
+    }
+    if (operacion === 'delete') {
+        return { selector };
+    }
+    if (!item.datos || typeof item.datos !== 'object' || Array.isArray(item.datos)) {
+        return { details: [{ field: 'datos', message: 'debe ser un objeto con los campos a modificar' }] };
+    }
+    const details = validate(`${entity.schema}Parcial`, item.datos);
+    if (details.length > 0) {
+        return { details: details.map((detail) => ({ ...detail, field: `datos.${detail.field}` })) };
+    }
+    if (!buildPatch(item.datos, Object.keys(schemas[`${entity.schema}Parcial`].properties))) {
+        return { details: [{ field: 'datos', message: 'debe traer al menos un campo para modificar' }] };
+    }
+    return { selector, datos: item.datos };
+};
+
+/**
+ * Valida una carga masiva: el cuerpo { create: [...], update: [...], delete: [...] } (cualquiera se puede
+ * omitir) y ?cascade, que vale para todas las eliminaciones. Las creaciones llevan el registro como en
+ * POST; las modificaciones, el identificador y datos con los campos a cambiar (como en PATCH); las
+ * eliminaciones, solo el identificador.
+ * Devuelve { operations, cascade } o { error, resultados } para responder 400; con eliminaciones de
+ * quien no es administrador devuelve { forbidden } para responder 403.
+ */
+const parseBulk = (req, table) => {
+    const entity = ENTITIES[table];
+    const body = req.body || {};
+    const lists = OPERATIONS.filter((operacion) => body[operacion] !== undefined);
+    const invalid = lists.filter((operacion) => !Array.isArray(body[operacion]));
+    if (invalid.length > 0) {
+        return { error: `${invalid.join(', ')} debe ser una lista.` };
+    }
+    const total = lists.reduce((sum, operacion) => sum + body[operacion].length, 0);
+    if (total === 0) {
+        return { error: 'Envíe al menos una operación en create, update o delete.' };
+    }
+    if (total > MAX_OPERATIONS) {
+        return { error: `Se permiten como máximo ${MAX_OPERATIONS} operaciones por petición.` };
+    }
+    const options = parseDeleteOptions(req.query);
+    if (options.error) {
+        return { error: options.error };
+    }
+    if (options.reassign !== undefined) {
+        return { error: 'La carga masiva no admite reassign; use cascade o reasigne con DELETE por registro.' };
+    }
+    if (body.delete && body.delete.length > 0 && req.user.rol !== 'admin') {
+        return { forbidden: 'Solo un administrador puede eliminar registros.' };
+    }
+
+    const operations = [];
+    const resultados = [];
+    lists.forEach((operacion) => {
+        body[operacion].forEach((item, indice) => {
+            const parsed = parseOperation(operacion, item, entity);
+            if (parsed.details) {
+                resultados.push({ operacion, indice, status: 400, error: 'Datos inválidos.', details: parsed.details });
+            } else {
+                operations.push({ operacion, indice, ...parsed });
+            }
+        });
+    });
+    if (resultados.length > 0) {
+        return { error: 'Datos inválidos: no se aplicó ninguna operación.', resultados };
+    }
+    return { operations, cascade: options.cascade };
+};
+
+// Registros de la tabla con column = value dentro del alcance y, si se pide, también los eliminados
+const findMatches = async (connection, table, selector, scope, includeDeleted = false) => {
+    const { where, params } = scopeWhere(table, scope, `WHERE ${selector.column} = ?`, [selector.value]);
+    return connection.query(`SELECT * FROM ${table} ${notDeletedWhere(table, where, includeDeleted)}`, params);
+};
+
+const fail = (status, error, extra = {}) => ({ status, error, ...extra });
+
+// Ubica el único registro no eliminado que corresponde al identificador; devuelve { record } o { failure }
+const findOne = async (connection, req, table, selector) => {
+    const rows = await findMatches(connection, table, selector, req.scope);
+    if (rows.length === 0) {
+        return { failure: fail(404, 'Registro no encontrado.') };
+    }
+    if (rows.length > 1) {
+        return { failure: fail(409, `Hay ${rows.length} registros con ${selector.column} ${selector.value}; use el id.`) };
+    }
+    return { record: rows[0] };
+};
+
+// Modifica record con las columnas que trae datos; no escribe si nada cambia
+const updateRecord = async (connection, req, repository, record, datos) => {
+    const { table, primaryKey } = repository;
+    const details = validateMerged(`${ENTITIES[table].schema}Input`, record, datos);
+    if (details.length > 0) {
+        return fail(400, 'Datos inválidos.', { details });
+    }
+    const duplicate = await repository.findDuplicate(connection, { ...record, ...datos }, record[primaryKey]);
+    if (duplicate) {
+        return { status: 409, ...duplicateError(req, repository, duplicate) };
+    }
+    const invalidReferences = await checkReferences(connection, table, datos);
+    if (invalidReferences.length > 0) {
+        return fail(400, 'Datos inválidos.', { details: invalidReferences });
+    }
+    if (Object.keys(diffRows(record, { ...record, ...datos })).length === 0) {
+        return { accion: 'unchanged', id: record[primaryKey] };
+    }
+    await applyAuditedChange(connection, req, { table, primaryKey, accion: 'update', value: record[primaryKey] },
+        () => repository.update(connection, record[primaryKey], datos, primaryKey));
+    return { accion: 'update', id: record[primaryKey] };
+};
+
+/**
+ * Creación con la lógica de getOrCreate (db/repository.js): si ya hay un registro con la misma llave natural se
+ * actualiza con los campos enviados, en lugar de crear un duplicado. Si ese registro está eliminado la operación
+ * falla con 409 como POST: restaurarlo es de un administrador (POST /<entidad>/{id}/restore).
+ */
+const createOperation = async (connection, req, repository, { datos }) => {
+    const { table, primaryKey, naturalKey } = repository;
+    if (table === 'p_practica' && isOutOfScope(req.scope, datos.id_programa)) {
+        return fail(403, 'Solo puede registrar prácticas de su programa.');
+    }
+    if (naturalKey) {
+        const selector = { column: naturalKey, value: datos[naturalKey] };
+        const matches = await findMatches(connection, table, selector, null, true);
+        if (matches.length > 1) {
+            return fail(409, `Hay ${matches.length} registros con ${naturalKey} ${datos[naturalKey]}; actualícelos por id.`);
+        }
+        if (matches.length === 1) {
+            if (matches[0].deleted_at) {
+                return { status: 409, ...duplicateError(req, repository, matches[0]) };
+            }
+            if ((await findMatches(connection, table, selector, req.scope)).length === 0) {
+                return fail(403, `Ya existe un registro con ${naturalKey} ${datos[naturalKey]} fuera de su programa.`);
+            }
+            return { status: 200, ...await updateRecord(connection, req, repository, matches[0], datos) };
+        }
+    }
+    if (ADMIN_CREATED_TABLES.includes(table) && req.user.rol !== 'admin') {
+        return fail(403, 'Solo un administrador puede crear registros nuevos: un coordinador no los vería sin prácticas de su programa.');
+    }
+    const invalidReferences = await checkReferences(connection, table, datos);
+    if (invalidReferences.length > 0) {
+        return fail(400, 'Datos inválidos.', { details: invalidReferences });
+    }
+    const id = await applyAuditedChange(connection, req, { table, primaryKey, accion: 'create' },
+        () => repository.insert(connection, datos));
+    return { status: 201, accion: 'create', id };
+};
+
+const updateOperation = async (connection, req, repository, { selector, datos }) => {
+    const { table } = repository;
+    if (table === 'p_practica' && datos.id_programa !== undefined && isOutOfScope(req.scope, datos.id_programa)) {
+        return fail(403, 'Solo puede registrar prácticas de su programa.');
+    }
+    const { record, failure } = await findOne(connection, req, table, selector);
+    if (failure) {
+        return failure;
+    }
+    return { status: 200, ...await updateRecord(connection, req, repository, record, datos) };
+};
+
+// Eliminación lógica; con cascade resuelve los dependientes como DELETE /<entidad>/{id}?cascade=true
+const deleteOperation = async (connection, req, repository, { selector }, cascade) => {
+    const { table, primaryKey } = repository;
+    const { record, failure } = await findOne(connection, req, table, selector);
+    if (failure) {
+        return failure;
+    }
+    const id = record[primaryKey];
+    const dependientes = await findDependents(connection, table, id);
+    if (dependientes.length > 0 && !cascade) {
+        return fail(409, 'El registro tiene registros que dependen de él. Use cascade=true para eliminarlos o desvincularlos.', { dependientes });
+    }
+    await applyAuditedChange(connection, req, { table, primaryKey, accion: 'delete', value: id }, async () => {
+        await resolveDependents(connection, req, table, id);
+        return repository.softDelete(connection, id, primaryKey);
+    });
+    return { status: 200, accion: 'delete', id };
+};
+
+const RUNNERS = {
+    create: createOperation,
+    update: updateOperation,
+    delete: deleteOperation
+};
+
+/**
+ * Ejecuta la carga masiva validada por parseBulk en una transacción, en orden: creaciones, modificaciones y
+ * eliminaciones. Cada cambio queda auditado como si se hubiera hecho por su endpoint.
+ * Devuelve { resultados } con el resultado de cada operación ({ operacion, indice, status, accion, id }),
+ * o { failed } con el de la que falló: en ese caso se deshizo todo. repository es el de la ruta, porque
+ * con su key se arma la URL de restauración del 409 (ver duplicateError en utils/softDelete.js).
+ */
+const runBulk = async (connection, req, repository, { operations, cascade = false }) => {
+    const resultados = [];
+    await connection.query('BEGIN');
+    try {
+        for (const operation of operations) {
+            const result = await RUNNERS[operation.operacion](connection, req, repository, operation, cascade);
+            const resultado = { operacion: operation.operacion, indice: operation.indice, ...result };
+            if (result.error) {
+                await connection.query('ROLLBACK');
+                return { failed: resultado };
+            }
+            resultados.push(resultado);
+        }
+        await connection.query('COMMIT');
+        return { resultados };
+    } catch (err) {
+        await connection.query('ROLLBACK').catch(() => {});
+        throw err;
+    }
+};
+
+module.exports = {
+    MAX_OPERATIONS,
+    parseBulk,
+    runBulk
+};
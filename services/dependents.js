@@ -0,0 +1,118 @@
+const { ENTITIES } = require('../db/entities');
+const { createRepository } = require('../db/repository');
+const { recordAudit } = require('./audit');
+
+// Cuántos IDs de cada dependencia se listan en la respuesta 409 (el total siempre va completo)
+const MAX_LISTED_IDS = 50;
+
+/**
+ * Qué registros apuntan a cada tabla, armado con las relaciones de db/entities.js. `required` indica si la
+ * columna es obligatoria (NOT NULL): con cascade esos registros se eliminan junto con el referenciado y en
+ * los opcionales la columna queda en null. Solo cuentan los registros no eliminados.
+ */
+const REFERENCES = {};
+Object.values(ENTITIES).forEach(({ table, primaryKey, relations }) => {
+    Object.values(relations).forEach(({ column, table: referenced, required }) => {
+        REFERENCES[referenced] = [...(REFERENCES[referenced] || []), { table, primaryKey, column, required }];
+    });
+});
+
+const entityOf = (table) => table.replace(/^p_/, '');
+
+/**
+ * Revisa que las llaves foráneas que trae data (las relaciones de db/entities.js) apunten a registros que
+ * existen y no están eliminados, para responder 400 en lugar del error de la base de datos.
+ * Devuelve la lista de errores por campo, como validate (vacía si están bien); las llaves que no vienen o
+ * vienen en null no se revisan.
+ */
+const checkReferences = async (connection, table, data) => {
+    const details = [];
+    for (const { column, table: referenced } of Object.values(ENTITIES[table].relations)) {
+        if (data[column] === undefined || data[column] === null) {
+            continue;
+        }
+        const record = await createRepository(referenced).find(connection, data[column], { includeDeleted: true });
+        if (!record) {
+            details.push({ field: column, message: `no existe en ${entityOf(referenced)}` });
+        } else if (record.deleted_at) {
+            details.push({ field: column, message: `corresponde a un registro eliminado de ${entityOf(referenced)}` });
+        }
+    }
+    return details;
+};
+
+/**
+ * Lee las opciones de DELETE: ?cascade=true elimina o desvincula los dependientes y ?reassign=<id>
+ * los pasa a otro registro de la misma entidad. Devuelve { cascade, reassign } o { error } para responder 400.
+ */
+const parseDeleteOptions = (query) => {
+    const cascade = query.cascade === 'true';
+    const reassign = query.reassign === undefined ? undefined : String(query.reassign).trim();
+    if (query.cascade !== undefined && !['true', 'false'].includes(query.cascade)) {
+        return { error: 'El parámetro cascade debe ser true o false.' };
+    }
+    if (reassign === '') {
+        return { error: 'El parámetro reassign debe indicar el registro de reemplazo.' };
+    }
+    if (cascade && reassign !== undefined) {
+        return { error: 'Use cascade o reassign, no los dos.' };
+    }
+    return { cascade, reassign };
+};
+
+const selectDependents = (connection, reference, id) => connection.query(
+    `SELECT * FROM ${reference.table} WHERE ${reference.column} = ? AND deleted_at IS NULL ORDER BY ${reference.primaryKey}`, [id]);
+
+/**
+ * Registros no eliminados que referencian al registro id de table, agrupados por tabla y columna:
+ * [{ entidad, campo, total, ids }]. Vacío si nada lo referencia.
+ */
+const findDependents = async (connection, table, id) => {
+    const dependents = [];
+    for (const reference of REFERENCES[table] || []) {
+        const rows = await selectDependents(connection, reference, id);
+        if (rows.length > 0) {
+            dependents.push({
+                entidad: entityOf(reference.table),
+                campo: reference.column,
+                total: rows.length,
+                ids: rows.slice(0, MAX_LISTED_IDS).map((row) => row[reference.primaryKey])
+            });
+        }
+    }
+    return dependents;
+};
+
+/**
+ * Resuelve los dependientes del registro id de table antes de eliminarlo, con la conexión (y la
+ * transacción) del borrado: con replacementId los pasa a ese registro; sin él aplica cascade. Cada
+ * registro tocado queda en la auditoría a nombre del usuario de la petición.
+ */
+const resolveDependents = async (connection, req, table, id, replacementId = null) => {
+    for (const reference of REFERENCES[table] || []) {
+        const rows = await selectDependents(connection, reference, id);
+        for (const antes of rows) {
+            const repository = createRepository(reference.table);
+            const rowId = antes[reference.primaryKey];
+            let accion = 'update';
+            if (replacementId !== null) {
+                await repository.update(connection, rowId, { [reference.column]: replacementId });
+            } else if (reference.required) {
+                await repository.softDelete(connection, rowId);
+                accion = 'delete';
+            } else {
+                await repository.update(connection, rowId, { [reference.column]: null });
+            }
+            const [despues] = await repository.findAll(connection, reference.primaryKey, rowId);
+            await recordAudit(connection, { usuario: req.user.email, table: reference.table, id: rowId, accion, antes, despues });
+        }
+    }
+};
+
+module.exports = {
+    REFERENCES,
+    parseDeleteOptions,
+    findDependents,
+    resolveDependents,
+    checkReferences
+};
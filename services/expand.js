@@ -0,0 +1,54 @@
+/**
+ * Expansión de relaciones (?expand=estudiante,empresa,...): agrega a cada registro los objetos que
+ * referencian sus llaves foráneas, con una sola consulta por relación para todo el listado.
+ */
+
+const { ENTITIES } = require('../db/entities');
+
+// Relaciones que se pueden expandir en cada tabla: las llaves foráneas de sus metadatos (db/entities.js)
+const relationsOf = (table) => (ENTITIES[table] ? ENTITIES[table].relations : {});
+
+/**
+ * Lee ?expand (nombres separados por coma) para una tabla. Devuelve { expand } con los nombres sin
+ * repetir (vacío si no se pidió nada) o { error } para responder 400.
+ */
+const parseExpand = (query, table) => {
+    if (query.expand === undefined || query.expand === '') {
+        return { expand: [] };
+    }
+    const relations = relationsOf(table);
+    const expand = [...new Set(String(query.expand).split(',').map((name) => name.trim()).filter(Boolean))];
+    const unknown = expand.filter((name) => !relations[name]);
+    if (unknown.length > 0) {
+        return { error: `No se puede expandir ${unknown.join(', ')}. Opciones: ${Object.keys(relations).join(', ')}.` };
+    }
+    return { expand };
+};
+
+/**
+ * Agrega a cada fila las relaciones pedidas (null si la llave está vacía o el registro no existe).
+ * Los registros relacionados se muestran aunque estén eliminados, porque la fila los sigue referenciando.
+ * Devuelve las filas nuevas; no modifica las recibidas.
+ */
+const expandRows = async (connection, table, rows, expand) => {
+    const result = rows.map((row) => ({ ...row }));
+    for (const name of expand) {
+        const relation = relationsOf(table)[name];
+        const { primaryKey } = ENTITIES[relation.table];
+        const ids = [...new Set(rows.map((row) => row[relation.column]).filter((value) => value !== null && value !== undefined))];
+        const byId = new Map();
+        if (ids.length > 0) {
+            const related = await connection.query(`SELECT * FROM ${relation.table} WHERE ${primaryKey} IN (${ids.map(() => '?').join(', ')})`, ids);
+            related.forEach((record) => byId.set(String(record[primaryKey]), record));
+        }
+        result.forEach((row) => {
+            row[name] = byId.get(String(row[relation.column])) || null;
+        });
+    }
+    return result;
+};
+
+module.exports = {
+    parseExpand,
+    expandRows
+};
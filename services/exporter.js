@@ -0,0 +1,192 @@
+const xlsx = require('xlsx');
+const { headerFor } = require('./importProfiles');
+const { parseSheetDate } = require('../utils/validators');
+
+const FORMATS = {
+    xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+    csv: 'text/csv; charset=utf-8'
+};
+
+// Campos de la plantilla y la columna de donde sale cada uno en las consultas de exportación
+const FIELD_COLUMNS = {
+    'cargo_contacto.nombre': 'ca.nombre',
+    'contacto.nombre': 'co.nombre',
+    'contacto.telefono': 'co.telefono',
+    'contacto.celular': 'co.celular',
+    'contacto.email': 'co.email',
+    'empresa.nit': 'em.nit',
+    'empresa.razon_social': 'em.razon_social',
+    'empresa.direccion': 'em.direccion',
+    'programa.nombre': 'pg.nombre',
+    'estudiante.documento': 'es.documento',
+    'estudiante.nombres': 'es.nombres',
+    'estudiante.edad': 'es.edad',
+    'estudiante.celular': 'es.celular',
+    'estudiante.direccion': 'es.direccion',
+    'estudiante.telefono': 'es.telefono',
+    'estudiante.email': 'es.email',
+    'practica.fec_inicio': 'pr.fec_inicio',
+    'practica.fec_termina': 'pr.fec_termina',
+    'practica.dias_pract': 'pr.dias_pract'
+};
+
+/**
+ * Qué se exporta de cada entidad. `alias` es el de la tabla principal en `from` (para omitir los
+ * eliminados) y `practica` indica cómo unir la entidad con p_practica para aplicar los filtros
+ * (programa, empresa, fechas); la exportación de prácticas es la única que se puede volver a
+ * importar tal cual, porque trae todas las columnas de la plantilla.
+ */
+const EXPORTS = {
+    practica: {
+        filename: 'practicas',
+        alias: 'pr',
+        from: `p_practica pr
+            JOIN p_estudiante es ON es.id_estudiante = pr.id_estudiante
+            JOIN p_empresa em ON em.id_empresa = pr.id_empresa
+            JOIN p_programa pg ON pg.id_programa = pr.id_programa
+            LEFT JOIN p_contacto co ON co.id_contacto = es.id_contacto
+            LEFT JOIN p_cargo_contacto ca ON ca.id_cargo_contacto = co.id_cargo_contacto`,
+        fields: Object.keys(FIELD_COLUMNS),
+        orderBy: 'pr.fec_inicio, es.nombres',
+        practica: null
+    },
+    estudiante: {
+        filename: 'estudiantes',
+        alias: 'es',
+        from: 'p_estudiante es',
+        fields: ['estudiante.documento', 'estudiante.nombres', 'estudiante.edad', 'estudiante.celular', 'estudiante.direccion', 'estudiante.telefono', 'estudiante.email'],
+        orderBy: 'es.nombres',
+        practica: 'pr.id_estudiante = es.id_estudiante'
+    },
+    empresa: {
+        filename: 'empresas',
+        alias: 'em',
+        from: `p_empresa em
+            LEFT JOIN p_contacto co ON co.id_contacto = em.id_jefe_inmediato
+            LEFT JOIN p_cargo_contacto ca ON ca.id_cargo_contacto = co.id_cargo_contacto`,
+        fields: ['empresa.nit', 'empresa.razon_social', 'empresa.direccion', 'contacto.nombre', 'contacto.telefono', 'contacto.celular', 'contacto.email', 'cargo_contacto.nombre'],
+        orderBy: 'em.razon_social',
+        practica: 'pr.id_empresa = em.id_empresa'
+    },
+    contacto: {
+        filename: 'contactos',
+        alias: 'co',
+        from: `p_contacto co
+            LEFT JOIN p_cargo_contacto ca ON ca.id_cargo_contacto = co.id_cargo_contacto`,
+        fields: ['contacto.nombre', 'contacto.telefono', 'contacto.celular', 'contacto.email', 'cargo_contacto.nombre'],
+        orderBy: 'co.nombre',
+        practica: 'pr.id_empresa IN (SELECT id_empresa FROM p_empresa WHERE id_jefe_inmediato = co.id_contacto)'
+    }
+};
+
+const isId = (value) => /^\d+$/.test(String(value));
+
+// Devuelve los errores de los parámetros de exportación (vacío si son válidos)
+const validateExportQuery = ({ formato, programa, empresa, desde, hasta }) => {
+    const errors = [];
+    if (formato !== undefined && !FORMATS[formato]) {
+        errors.push('El formato debe ser xlsx o csv.');
+    }
+    if (programa !== undefined && !isId(programa)) {
+        errors.push('El programa debe ser un ID numérico.');
+    }
+    if (empresa !== undefined && !isId(empresa)) {
+        errors.push('La empresa debe ser un ID numérico.');
+    }
+    if (desde !== undefined && parseSheetDate(desde) === null) {
+        errors.push('La fecha "desde" no es válida (aaaa-mm-dd).');
+    }
+    if (hasta !== undefined && parseSheetDate(hasta) === null) {
+        errors.push('La fecha "hasta" no es válida (aaaa-mm-dd).');
+    }
+    return errors;
+};
+
+// Condiciones sobre p_practica (alias pr); el rango de fechas incluye las prácticas que se cruzan con él
+const practicaConditions = ({ programa, empresa, desde, hasta }, scope) => {
+    const conditions = [];
+    const params = [];
+    if (scope) {
+        conditions.push('pr.id_programa = ?');
+        params.push(scope.id_programa);
+    }
+    if (programa !== undefined) {
+        conditions.push('pr.id_programa = ?');
+        params.push(programa);
+    }
+    if (empresa !== undefined) {
+        conditions.push('pr.id_empresa = ?');
+        params.push(empresa);
+    }
+    if (desde !== undefined) {
+        conditions.push('pr.fec_termina >= ?');
+        params.push(parseSheetDate(desde));
+    }
+    if (hasta !== undefined) {
+        conditions.push('pr.fec_inicio <= ?');
+        params.push(parseSheetDate(hasta));
+    }
+    return { conditions, params };
+};
+
+// Los registros eliminados (borrado lógico) no se exportan, ni cuentan las prácticas eliminadas en los filtros
+const buildQuery = (definition, query, scope) => {
+    const { conditions, params } = practicaConditions(query, scope);
+    const select = definition.fields.map((field, i) => `${FIELD_COLUMNS[field]} AS c${i}`).join(', ');
+
+    const where = [`${definition.alias}.deleted_at IS NULL`];
+    if (conditions.length > 0) {
+        where.push(definition.practica
+            ? `EXISTS (SELECT 1 FROM p_practica pr WHERE ${definition.practica} AND pr.deleted_at IS NULL AND ${conditions.join(' AND ')})`
+            : conditions.join(' AND '));
+    }
+
+    return { sql: `SELECT ${select} FROM ${definition.from} WHERE ${where.join(' AND ')} ORDER BY ${definition.orderBy}`, params };
+};
+
+const formatDate = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}`;
+};
+
+/**
+ * Genera el archivo de exportación de una entidad ('practica', 'estudiante', 'empresa' o 'contacto')
+ * con los encabezados del perfil de importación indicado. En xlsx las fechas quedan como fechas de
+ * Excel; en CSV (separado por punto y coma, UTF-8 con BOM) como dd/mm/aaaa.
+ * Con scope ({ id_programa }) solo se exportan los registros de ese programa.
+ * Devuelve { filename, contentType, body }.
+ */
+const exportEntity = async (connection, entity, query, profile, scope = null) => {
+    const definition = EXPORTS[entity];
+    const formato = query.formato || 'xlsx';
+    const { sql, params } = buildQuery(definition, query, scope);
+    const rows = await connection.query(sql, params);
+
+    const headers = definition.fields.map((field) => headerFor(profile, field));
+    const data = rows.map((row) => {
+        const record = {};
+        definition.fields.forEach((field, i) => {
+            const value = row[`c${i}`];
+            record[headers[i]] = value instanceof Date && formato === 'csv' ? formatDate(value) : value;
+        });
+        return record;
+    });
+
+    const worksheet = xlsx.utils.json_to_sheet(data, { header: headers, dateNF: 'dd/mm/yyyy' });
+    const filename = `${definition.filename}.${formato}`;
+
+    if (formato === 'csv') {
+        const body = '\ufeff' + xlsx.utils.sheet_to_csv(worksheet, { FS: ';' });
+        return { filename, contentType: FORMATS.csv, body };
+    }
+
+    const workbook = xlsx.utils.book_new();
+    xlsx.utils.book_append_sheet(workbook, worksheet, profile.hoja);
+    const body = xlsx.write(workbook, { type: 'buffer', bookType: 'xlsx' });
+    return { filename, contentType: FORMATS.xlsx, body };
+};
+
+module.exports = {
+    validateExportQuery,
+    exportEntity
+};
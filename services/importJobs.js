@@ -0,0 +1,252 @@
+const crypto = require('crypto');
+const { getConnection } = require('../db/connection');
+const { PRIMARY_KEYS, importRows, summarize } = require('./importer');
+const { serializeRow } = require('../utils/serialize');
+const { recordAudit } = require('./audit');
+
+// Cada cuántas filas se guarda el avance del trabajo
+const PROGRESS_INTERVAL = 25;
+
+const parseJson = (value) => (typeof value === 'string' ? JSON.parse(value) : value);
+
+// El avance se guarda con una conexión aparte: la de la importación está dentro de una transacción. Por eso
+// p_trabajo_importacion_registro no tiene llave foránea al trabajo (ver db/migrations/010_registro_importacion_sin_fk.js)
+const updateJob = async (id, fields) => {
+    const connection = await getConnection();
+    try {
+        const columns = Object.keys(fields);
+        await connection.query(`UPDATE p_trabajo_importacion SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE id_trabajo_importacion = ?`,
+            [...columns.map((column) => fields[column]), id]);
+    } finally {
+        connection.release();
+    }
+};
+
+// Registra un trabajo pendiente y devuelve su ID; idPrograma es el programa al que se limitó la importación
+const createJob = async ({ archivo, nombreOriginal, perfil, usuario, idPrograma = null, totalFilas, rejected }) => {
+    const id = crypto.randomUUID();
+    const connection = await getConnection();
+    try {
+        await connection.query('INSERT INTO p_trabajo_importacion (id_trabajo_importacion, estado, archivo, nombre_original, perfil, usuario, id_programa, total_filas, filas_procesadas, errores, creado_en) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)',
+            [id, 'pendiente', archivo, nombreOriginal, perfil, usuario || null, idPrograma, totalFilas, 0, JSON.stringify({ rejected, error: null }), new Date()]);
+    } finally {
+        connection.release();
+    }
+    return id;
+};
+
+/**
+ * Ejecuta la importación de un trabajo en una sola transacción y va guardando el avance.
+ * Cada registro creado o modificado queda en p_trabajo_importacion_registro, dentro de la misma
+ * transacción, con sus valores anteriores para poder revertir el lote, y en la auditoría a nombre de usuario.
+ * No lanza errores: cualquier fallo queda registrado en el trabajo con estado "fallido".
+ */
+const runJob = async (id, entries, rejected, usuario) => {
+    let connection;
+    try {
+        await updateJob(id, { estado: 'procesando', iniciado_en: new Date() });
+
+        let lastSaved = 0;
+        const onProgress = async (processed) => {
+            if (processed - lastSaved >= PROGRESS_INTERVAL) {
+                lastSaved = processed;
+                await updateJob(id, { filas_procesadas: processed });
+            }
+        };
+
+        connection = await getConnection();
+        let orden = 0;
+        const onChange = async ({ tabla, id: idRegistro, accion, antes, despues }) => {
+            orden++;
+            await connection.query('INSERT INTO p_trabajo_importacion_registro (id_trabajo_importacion, orden, tabla, id_registro, accion, valores_anteriores) VALUES (?, ?, ?, ?, ?, ?)',
+                [id, orden, tabla, String(idRegistro), accion, antes ? JSON.stringify(serializeRow(antes)) : null]);
+            await recordAudit(connection, { usuario, table: tabla, id: idRegistro, accion, antes, despues, origen: `importacion:${id}` });
+        };
+
+        await connection.query('BEGIN');
+        const rows = await importRows(connection, entries, { onProgress, onChange });
+        await connection.query('COMMIT');
+
+        await updateJob(id, {
+            estado: 'completado',
+            filas_procesadas: rows.length,
+            resumen: JSON.stringify(summarize(rows)),
+            finalizado_en: new Date()
+        });
+    } catch (err) {
+        console.error(`Error en el trabajo de importación ${id}:`, err);
+        if (connection) {
+            await connection.query('ROLLBACK').catch(() => {});
+        }
+        const error = err.row ? `Error al insertar en la base de datos (fila ${err.row}).` : 'Error al insertar en la base de datos.';
+        await updateJob(id, {
+            estado: 'fallido',
+            errores: JSON.stringify({ rejected, error }),
+            finalizado_en: new Date()
+        }).catch((updateErr) => console.error(`No se pudo registrar el fallo del trabajo ${id}:`, updateErr));
+    } finally {
+        if (connection) {
+            connection.release();
+        }
+    }
+};
+
+const toJobResponse = (job) => {
+    const errores = parseJson(job.errores) || { rejected: [], error: null };
+    const inicio = job.iniciado_en ? new Date(job.iniciado_en) : null;
+    const fin = job.finalizado_en ? new Date(job.finalizado_en) : null;
+
+    return {
+        id_trabajo_importacion: job.id_trabajo_importacion,
+        estado: job.estado,
+        archivo: job.nombre_original,
+        perfil: job.perfil,
+        usuario: job.usuario,
+        id_programa: job.id_programa,
+        total_filas: job.total_filas,
+        filas_procesadas: job.filas_procesadas,
+        progreso: job.total_filas > 0 ? Math.round((job.filas_procesadas / job.total_filas) * 100) : 100,
+        resumen: parseJson(job.resumen),
+        rejected: errores.rejected,
+        error: errores.error,
+        creado_en: job.creado_en,
+        iniciado_en: job.iniciado_en,
+        finalizado_en: job.finalizado_en,
+        duracion_ms: inicio ? (fin || new Date()) - inicio : null,
+        revertido_en: job.revertido_en,
+        revertido_por: job.revertido_por
+    };
+};
+
+/**
+ * Con alcance (scope { id_programa }) solo se ven las importaciones que se hicieron limitadas a ese programa:
+ * las demás pueden traer registros, y valores anteriores, de cualquier programa.
+ */
+const jobScope = (scope, where, params) => (scope
+    ? { where: `${where ? `${where} AND` : 'WHERE'} id_programa = ?`, params: [...params, scope.id_programa] }
+    : { where, params });
+
+// Fila de un trabajo dentro del alcance, o null si no existe o es de otro programa
+const findJob = async (connection, id, scope = null) => {
+    const { where, params } = jobScope(scope, 'WHERE id_trabajo_importacion = ?', [id]);
+    const rows = await connection.query(`SELECT * FROM p_trabajo_importacion ${where}`, params);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+// Devuelve el estado de un trabajo tal como lo expone la API, o null si no existe o queda fuera del alcance
+const getJob = async (connection, id, scope = null) => {
+    const job = await findJob(connection, id, scope);
+    return job ? toJobResponse(job) : null;
+};
+
+// Historial de importaciones dentro del alcance, de la más reciente a la más antigua
+const listJobs = async (connection, scope = null) => {
+    const { where, params } = jobScope(scope, '', []);
+    const rows = await connection.query(`SELECT * FROM p_trabajo_importacion ${where} ORDER BY creado_en DESC`, params);
+    return rows.map(toJobResponse);
+};
+
+// Registros creados o modificados por un trabajo, en el orden en que se tocaron
+const getJobRecords = async (connection, id) => {
+    const rows = await connection.query('SELECT * FROM p_trabajo_importacion_registro WHERE id_trabajo_importacion = ? ORDER BY orden', [id]);
+    return rows.map((row) => ({
+        orden: row.orden,
+        tabla: row.tabla,
+        id_registro: row.id_registro,
+        accion: row.accion,
+        valores_anteriores: parseJson(row.valores_anteriores)
+    }));
+};
+
+// Violación de llave foránea en MySQL (1451) y en PostgreSQL (23503)
+const isForeignKeyError = (err) => err.errno === 1451 || err.code === '23503';
+
+/**
+ * Revierte un lote completado: borra lo que creó y devuelve lo que modificó a sus valores anteriores,
+ * en orden inverso y en una sola transacción. No revierte si una importación posterior (no revertida)
+ * o un cambio por la API tocó después los mismos registros, ni si otros datos ya dependen de lo que creó el lote. Cada registro
+ * revertido queda en la auditoría a nombre de usuario. Con scope solo se revierten importaciones de ese programa.
+ * Devuelve { status, body } con la respuesta para la API.
+ */
+const revertJob = async (connection, id, usuario, scope = null) => {
+    const job = await findJob(connection, id, scope);
+    if (!job) {
+        return { status: 404, body: { error: 'Trabajo de importación no encontrado.' } };
+    }
+    if (job.estado !== 'completado') {
+        return { status: 409, body: { error: `Solo se pueden revertir importaciones completadas (estado actual: ${job.estado}).` } };
+    }
+
+    const records = await connection.query('SELECT * FROM p_trabajo_importacion_registro WHERE id_trabajo_importacion = ? ORDER BY orden DESC', [id]);
+    const touched = new Set(records.map((record) => `${record.tabla}:${record.id_registro}`));
+
+    const later = await connection.query(`SELECT r.id_trabajo_importacion, r.tabla, r.id_registro
+        FROM p_trabajo_importacion_registro r
+        JOIN p_trabajo_importacion t ON t.id_trabajo_importacion = r.id_trabajo_importacion
+        WHERE t.estado = ? AND t.creado_en > ?`, ['completado', job.creado_en]);
+    const blocking = [...new Set(later
+        .filter((record) => touched.has(`${record.tabla}:${record.id_registro}`))
+        .map((record) => record.id_trabajo_importacion))];
+    if (blocking.length > 0) {
+        return { status: 409, body: { error: 'Hay importaciones posteriores que modificaron los mismos registros. Reviértalas primero.', trabajos: blocking } };
+    }
+
+    // Cambios hechos por la API desde que empezó la importación: revertir los sobrescribiría sin aviso
+    const edited = await connection.query('SELECT DISTINCT entidad, id_registro FROM p_auditoria WHERE origen = ? AND fecha > ?',
+        ['api', job.iniciado_en || job.creado_en]);
+    const registros = edited
+        .map((entry) => ({ tabla: `p_${entry.entidad}`, id_registro: entry.id_registro }))
+        .filter((entry) => touched.has(`${entry.tabla}:${entry.id_registro}`));
+    if (registros.length > 0) {
+        return { status: 409, body: { error: 'Hay registros de la importación que se modificaron después por la API. Revíselos antes de revertir.', registros } };
+    }
+
+    try {
+        await connection.query('BEGIN');
+        for (const record of records) {
+            const primaryKey = PRIMARY_KEYS[record.tabla];
+            const [current] = await connection.query(`SELECT * FROM ${record.tabla} WHERE ${primaryKey} = ?`, [record.id_registro]);
+            let despues = null;
+            if (record.accion === 'create') {
+                await connection.query(`DELETE FROM ${record.tabla} WHERE ${primaryKey} = ?`, [record.id_registro]);
+            } else {
+                const antes = parseJson(record.valores_anteriores);
+                const columns = Object.keys(antes).filter((column) => column !== primaryKey);
+                await connection.query(`UPDATE ${record.tabla} SET ${columns.map((column) => `${column} = ?`).join(', ')} WHERE ${primaryKey} = ?`,
+                    [...columns.map((column) => antes[column]), record.id_registro]);
+                despues = { ...current, ...antes };
+            }
+            if (current) {
+                await recordAudit(connection, {
+                    usuario,
+                    table: record.tabla,
+                    id: record.id_registro,
+                    accion: record.accion === 'create' ? 'delete' : 'update',
+                    antes: current,
+                    despues,
+                    origen: `reversion:${id}`
+                });
+            }
+        }
+        await connection.query('UPDATE p_trabajo_importacion SET estado = ?, revertido_en = ?, revertido_por = ? WHERE id_trabajo_importacion = ?',
+            ['revertido', new Date(), usuario || null, id]);
+        await connection.query('COMMIT');
+    } catch (err) {
+        await connection.query('ROLLBACK');
+        if (isForeignKeyError(err)) {
+            return { status: 409, body: { error: 'No se puede revertir: otros registros ya dependen de los datos creados por esta importación.' } };
+        }
+        throw err;
+    }
+
+    return { status: 200, body: { message: 'Importación revertida correctamente.', registros: records.length } };
+};
+
+module.exports = {
+    createJob,
+    runJob,
+    getJob,
+    listJobs,
+    getJobRecords,
+    revertJob
+};
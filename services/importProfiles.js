@@ -0,0 +1,135 @@
+// Perfiles de mapeo: qué hoja y qué encabezados de la plantilla alimentan cada campo de las tablas p_*
+
+const { createRepository } = require('../db/repository');
+
+const perfiles = createRepository('p_perfil_importacion');
+
+// Mapeo original de la plantilla de prácticas; se usa cuando no se indica perfil
+const DEFAULT_PROFILE = {
+    nombre: 'predeterminado',
+    hoja: 'Datos',
+    columnas: {
+        'cargo_contacto.nombre': 'CARGO DEL CONTACTO',
+        'contacto.nombre': 'CONTACTO',
+        'contacto.telefono': 'TELEFONO CONTACTO',
+        'contacto.celular': 'CELULAR CONTACTO',
+        'contacto.email': 'E MAIL CONTACTO',
+        'empresa.nit': 'NIT',
+        'empresa.razon_social': 'EMPRESA DONDE REALIZA LA PRÁCTICA',
+        'empresa.direccion': 'DIRECCION CONTACTO',
+        'programa.nombre': 'PROGRAMA',
+        'estudiante.documento': 'DOCUMENTO',
+        'estudiante.nombres': 'APELLIDOS Y NOMBRES',
+        'estudiante.edad': 'EDAD',
+        'estudiante.celular': 'CELULAR',
+        'estudiante.direccion': 'DIRECCION RESIDENCIA',
+        'estudiante.telefono': 'TELÉFONO RESIDENCIA',
+        'estudiante.email': 'CORREO JEFE INMEDIATO',
+        'practica.fec_inicio': 'FECHA INICIO',
+        'practica.fec_termina': 'FECHA TERMINACIÓN',
+        'practica.dias_pract': 'TOTAL DIAS EN PRACTICA'
+    }
+};
+
+const FIELDS = Object.keys(DEFAULT_PROFILE.columnas);
+
+// Compara encabezados y nombres de hoja sin tildes, sin mayúsculas y sin espacios de más
+const normalizeHeader = (header) => {
+    return String(header)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toUpperCase()
+        .replace(/\s+/g, ' ')
+        .trim();
+};
+
+// Cada campo puede tener un encabezado o una lista de encabezados alternativos
+const headersOf = (value) => (Array.isArray(value) ? value : [value]);
+
+// Devuelve la lista de problemas de un perfil recibido por la API (vacía si es válido)
+const validateProfile = ({ nombre, hoja, columnas }) => {
+    const errors = [];
+    if (typeof nombre !== 'string' || nombre.trim() === '') {
+        errors.push('El nombre del perfil es obligatorio.');
+    }
+    if (hoja !== undefined && hoja !== null && typeof hoja !== 'string') {
+        errors.push('La hoja debe ser un texto.');
+    }
+    if (!columnas || typeof columnas !== 'object' || Array.isArray(columnas)) {
+        errors.push('Las columnas deben ser un objeto { campo: encabezado }.');
+        return errors;
+    }
+    Object.entries(columnas).forEach(([field, value]) => {
+        if (!FIELDS.includes(field)) {
+            errors.push(`El campo "${field}" no existe. Campos válidos: ${FIELDS.join(', ')}.`);
+            return;
+        }
+        const headers = headersOf(value);
+        if (headers.length === 0 || headers.some((header) => typeof header !== 'string' || header.trim() === '')) {
+            errors.push(`El encabezado del campo "${field}" debe ser un texto o una lista de textos.`);
+        }
+    });
+    return errors;
+};
+
+// Convierte una fila de la base de datos en un perfil completo, usando el mapeo original para lo que no defina
+const toProfile = (row) => {
+    const columnas = typeof row.columnas === 'string' ? JSON.parse(row.columnas) : row.columnas;
+    return {
+        nombre: row.nombre,
+        hoja: row.hoja || DEFAULT_PROFILE.hoja,
+        columnas: { ...DEFAULT_PROFILE.columnas, ...columnas }
+    };
+};
+
+// Obtiene el perfil por nombre; sin nombre devuelve el perfil original y si no existe devuelve null
+const getProfile = async (connection, nombre) => {
+    if (!nombre) {
+        return DEFAULT_PROFILE;
+    }
+    const rows = await perfiles.findAll(connection, 'nombre', nombre);
+    return rows.length > 0 ? toProfile(rows[0]) : null;
+};
+
+// Busca la hoja del perfil en el libro ignorando tildes y mayúsculas
+const findWorksheet = (workbook, profile) => {
+    const sheetName = workbook.SheetNames.find((name) => normalizeHeader(name) === normalizeHeader(profile.hoja));
+    return sheetName ? workbook.Sheets[sheetName] : null;
+};
+
+/**
+ * Traduce las filas de sheet_to_json a entradas { row, data } donde data está indexado por campo
+ * ('empresa.nit', 'practica.fec_inicio', ...). __rowNum__ es el índice de la fila en la hoja, desde 0.
+ */
+const mapEntries = (jsonData, profile) => {
+    const fieldByHeader = new Map();
+    Object.entries(profile.columnas).forEach(([field, value]) => {
+        headersOf(value).forEach((header) => fieldByHeader.set(normalizeHeader(header), field));
+    });
+
+    return jsonData.map((sourceRow) => {
+        const data = {};
+        Object.keys(sourceRow).forEach((header) => {
+            const field = fieldByHeader.get(normalizeHeader(header));
+            if (field) {
+                data[field] = sourceRow[header];
+            }
+        });
+        return { row: sourceRow.__rowNum__ + 1, data };
+    });
+};
+
+// Encabezado con el que se reporta un campo en los errores de validación
+const headerFor = (profile, field) => headersOf(profile.columnas[field])[0];
+
+module.exports = {
+    DEFAULT_PROFILE,
+    FIELDS,
+    normalizeHeader,
+    validateProfile,
+    toProfile,
+    getProfile,
+    findWorksheet,
+    mapEntries,
+    headerFor
+};
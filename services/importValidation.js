@@ -0,0 +1,101 @@
+const { headerFor } = require('./importProfiles');
+const { isEmpty, isEmail, isNit, parseNumber, parseSheetDate } = require('../utils/validators');
+
+// Campos sin los cuales no se puede ubicar o crear la práctica
+const REQUIRED_FIELDS = [
+    'cargo_contacto.nombre',
+    'contacto.email',
+    'empresa.nit',
+    'empresa.razon_social',
+    'programa.nombre',
+    'estudiante.documento',
+    'estudiante.nombres',
+    'practica.fec_inicio',
+    'practica.fec_termina',
+    'practica.dias_pract'
+];
+
+const EMAIL_FIELDS = ['contacto.email', 'estudiante.email'];
+const DATE_FIELDS = ['practica.fec_inicio', 'practica.fec_termina'];
+const INTEGER_FIELDS = ['estudiante.edad', 'practica.dias_pract'];
+
+/**
+ * Devuelve la lista de errores ({ column, reason }) de una fila; la columna se reporta con el encabezado del perfil.
+ * Con programa ({ id_programa, nombre, ids }: el programa al que está limitada la importación y el ID al que
+ * resuelve el importador cada nombre de la hoja, ver resolveProgramIds) se rechazan las filas de otros programas
+ * y las que crearían un programa nuevo.
+ */
+const validateRow = (data, profile, programa = null) => {
+    const errors = [];
+    const value = (field) => data[field];
+    const addError = (field, reason) => errors.push({ column: headerFor(profile, field), reason });
+
+    REQUIRED_FIELDS.forEach((field) => {
+        if (isEmpty(value(field))) {
+            addError(field, 'El campo es obligatorio.');
+        }
+    });
+
+    EMAIL_FIELDS.forEach((field) => {
+        if (!isEmpty(value(field)) && !isEmail(value(field))) {
+            addError(field, 'El correo electrónico no tiene un formato válido.');
+        }
+    });
+
+    if (!isEmpty(value('empresa.nit')) && !isNit(value('empresa.nit'))) {
+        addError('empresa.nit', 'El NIT no es válido.');
+    }
+
+    DATE_FIELDS.forEach((field) => {
+        if (!isEmpty(value(field)) && parseSheetDate(value(field)) === null) {
+            addError(field, 'La fecha no es válida (se espera una fecha de Excel, dd/mm/aaaa o aaaa-mm-dd).');
+        }
+    });
+
+    INTEGER_FIELDS.forEach((field) => {
+        if (isEmpty(value(field))) {
+            return;
+        }
+        const number = parseNumber(value(field));
+        if (number === null || !Number.isInteger(number) || number < 0) {
+            addError(field, 'Debe ser un número entero positivo.');
+        }
+    });
+
+    const inicio = isEmpty(value('practica.fec_inicio')) ? null : parseSheetDate(value('practica.fec_inicio'));
+    const termina = isEmpty(value('practica.fec_termina')) ? null : parseSheetDate(value('practica.fec_termina'));
+    if (inicio && termina && termina < inicio) {
+        addError('practica.fec_termina', 'La fecha de terminación es anterior a la fecha de inicio.');
+    }
+
+    if (programa && !isEmpty(value('programa.nombre')) && programa.ids.get(value('programa.nombre')) !== programa.id_programa) {
+        addError('programa.nombre', `Solo se pueden importar filas del programa "${programa.nombre}".`);
+    }
+
+    return errors;
+};
+
+/**
+ * Valida todas las filas antes de tocar la base de datos.
+ * Separa las filas válidas de las rechazadas; cada rechazo lleva su número de fila y sus errores.
+ */
+const validateEntries = (entries, profile, programa = null) => {
+    const valid = [];
+    const rejected = [];
+
+    entries.forEach((entry) => {
+        const errors = validateRow(entry.data, profile, programa);
+        if (errors.length > 0) {
+            rejected.push({ row: entry.row, errors });
+        } else {
+            valid.push(entry);
+        }
+    });
+
+    return { valid, rejected };
+};
+
+module.exports = {
+    validateRow,
+    validateEntries
+};
@@ -0,0 +1,220 @@
+const { ENTITIES } = require('../db/entities');
+const { createRepository } = require('../db/repository');
+const { parseSheetDate } = require('../utils/validators');
+
+// Tablas que toca la importación y la llave primaria de cada una
+const TABLES = ['p_cargo_contacto', 'p_contacto', 'p_empresa', 'p_programa', 'p_estudiante', 'p_practica'];
+const PRIMARY_KEYS = {};
+TABLES.forEach((table) => {
+    PRIMARY_KEYS[table] = ENTITIES[table].primaryKey;
+});
+const practicas = createRepository('p_practica');
+
+const formatDate = (date) => {
+    const pad = (n) => String(n).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+};
+
+// Normaliza valores de la base de datos y de la hoja para poder compararlos
+const normalize = (value) => {
+    if (value === undefined || value === null || value === '') {
+        return null;
+    }
+    if (value instanceof Date) {
+        return formatDate(value);
+    }
+    return String(value);
+};
+
+const hasChanges = (current, data) => {
+    return Object.keys(data).some((key) => normalize(current[key]) !== normalize(data[key]));
+};
+
+/**
+ * Busca un registro por su campo único; si no existe lo crea, salvo en modo de vista previa.
+ * Si el registro estaba eliminado (borrado lógico) lo restaura, porque la hoja lo vuelve a usar.
+ */
+const resolveRecord = async (connection, table, data, uniqueField, context) => {
+    const pendingKey = `${table}:${data[uniqueField]}`;
+    if (context.pending.has(pendingKey)) {
+        return { action: 'unchanged', record: context.pending.get(pendingKey) };
+    }
+
+    const repository = createRepository(table);
+    const rows = await repository.findAll(connection, uniqueField, data[uniqueField]);
+    if (rows.length > 0 && rows[0].deleted_at) {
+        const current = rows[0];
+        const record = { ...current, deleted_at: null };
+        if (context.dryRun) {
+            context.pending.set(pendingKey, record);
+        } else {
+            await repository.restore(connection, data[uniqueField], uniqueField);
+            await context.onChange({ tabla: table, id: current[PRIMARY_KEYS[table]], accion: 'update', antes: current, despues: record });
+        }
+        return { action: 'update', record };
+    }
+    if (rows.length > 0) {
+        return { action: 'unchanged', record: rows[0] };
+    }
+
+    if (context.dryRun) {
+        context.pending.set(pendingKey, data);
+        return { action: 'create', record: data };
+    }
+
+    const record = await repository.getOrCreate(connection, data, uniqueField);
+    await context.onChange({ tabla: table, id: record[PRIMARY_KEYS[table]], accion: 'create', antes: null, despues: record });
+    return { action: 'create', record };
+};
+
+// La práctica se identifica por la combinación de estudiante, empresa y programa
+const resolvePractica = async (connection, data, naturalKey, context) => {
+    const pendingKey = `p_practica:${naturalKey}`;
+    if (context.pending.has(pendingKey)) {
+        return { action: hasChanges(context.pending.get(pendingKey), data) ? 'update' : 'unchanged' };
+    }
+
+    let current = null;
+    if (data.id_estudiante && data.id_empresa && data.id_programa) {
+        const rows = await connection.query('SELECT * FROM p_practica WHERE id_estudiante = ? AND id_empresa = ? AND id_programa = ?',
+            [data.id_estudiante, data.id_empresa, data.id_programa]);
+        current = rows.length > 0 ? rows[0] : null;
+    }
+
+    if (context.dryRun) {
+        context.pending.set(pendingKey, data);
+    }
+
+    if (current) {
+        if (!hasChanges(current, data)) {
+            return { action: 'unchanged' };
+        }
+        if (!context.dryRun) {
+            await practicas.update(connection, current.id_practica, data);
+            await context.onChange({ tabla: 'p_practica', id: current.id_practica, accion: 'update', antes: current, despues: { ...current, ...data } });
+        }
+        return { action: 'update' };
+    }
+
+    if (!context.dryRun) {
+        const id = await practicas.insert(connection, data);
+        await context.onChange({ tabla: 'p_practica', id, accion: 'create', antes: null, despues: { id_practica: id, ...data } });
+    }
+    return { action: 'create' };
+};
+
+const importRow = async (connection, row, context) => {
+    const actions = {};
+
+    const cargoContacto = await resolveRecord(connection, 'p_cargo_contacto', {
+        nombre: row['cargo_contacto.nombre']
+    }, 'nombre', context);
+    actions.p_cargo_contacto = cargoContacto.action;
+
+    const contacto = await resolveRecord(connection, 'p_contacto', {
+        nombre: row['contacto.nombre'],
+        telefono: row['contacto.telefono'],
+        celular: row['contacto.celular'],
+        email: row['contacto.email'],
+        id_cargo_contacto: cargoContacto.record.id_cargo_contacto
+    }, 'email', context);
+    actions.p_contacto = contacto.action;
+
+    const empresa = await resolveRecord(connection, 'p_empresa', {
+        nit: row['empresa.nit'],
+        razon_social: row['empresa.razon_social'],
+        direccion: row['empresa.direccion'],
+        id_jefe_inmediato: contacto.record.id_contacto
+    }, 'nit', context);
+    actions.p_empresa = empresa.action;
+
+    const programa = await resolveRecord(connection, 'p_programa', {
+        nombre: row['programa.nombre']
+    }, 'nombre', context);
+    actions.p_programa = programa.action;
+
+    const estudiante = await resolveRecord(connection, 'p_estudiante', {
+        documento: String(row['estudiante.documento']).trim(),
+        nombres: row['estudiante.nombres'],
+        edad: row['estudiante.edad'],
+        celular: row['estudiante.celular'],
+        direccion: row['estudiante.direccion'],
+        telefono: row['estudiante.telefono'],
+        email: row['estudiante.email'],
+        id_contacto: contacto.record.id_contacto
+    }, 'documento', context);
+    actions.p_estudiante = estudiante.action;
+
+    const practica = await resolvePractica(connection, {
+        id_programa: programa.record.id_programa,
+        id_estudiante: estudiante.record.id_estudiante,
+        id_empresa: empresa.record.id_empresa,
+        id_contacto: contacto.record.id_contacto,
+        fec_inicio: parseSheetDate(row['practica.fec_inicio']),
+        fec_termina: parseSheetDate(row['practica.fec_termina']),
+        dias_pract: row['practica.dias_pract'],
+        deleted_at: null
+    }, [estudiante.record.documento, row['empresa.nit'], row['programa.nombre']].join('|'), context);
+    actions.p_practica = practica.action;
+
+    return actions;
+};
+
+/**
+ * Devuelve un Map con el ID del programa que usará importRow para cada nombre de programa (la misma búsqueda,
+ * así que coincide con lo que hará la importación en cada motor), o undefined si el programa se crearía.
+ */
+const resolveProgramIds = async (connection, names) => {
+    const programas = createRepository('p_programa');
+    const ids = new Map();
+    for (const nombre of new Set(names)) {
+        const [record] = await programas.findAll(connection, 'nombre', nombre);
+        ids.set(nombre, record ? record.id_programa : undefined);
+    }
+    return ids;
+};
+
+/**
+ * Procesa las entradas ya mapeadas por el perfil de importación contra las tablas p_*.
+ * Con dryRun no se escribe nada: solo se calcula qué haría la importación con cada fila.
+ * onProgress, si se indica, recibe el número de filas procesadas después de cada fila.
+ * onChange recibe cada registro creado o modificado ({ tabla, id, accion, antes, despues }) para poder revertirlo y auditarlo.
+ * Devuelve, por fila, la acción (create / update / unchanged) sobre cada tabla.
+ */
+const importRows = async (connection, entries, { dryRun = false, onProgress, onChange = async () => {} } = {}) => {
+    const context = { dryRun, pending: new Map(), onChange };
+    const results = [];
+
+    for (const entry of entries) {
+        try {
+            const actions = await importRow(connection, entry.data, context);
+            results.push({ row: entry.row, actions });
+        } catch (err) {
+            err.row = entry.row;
+            throw err;
+        }
+        if (onProgress) {
+            await onProgress(results.length);
+        }
+    }
+
+    return results;
+};
+
+// Cuenta cuántas acciones de cada tipo hay en el resultado de importRows
+const summarize = (results) => {
+    const summary = { create: 0, update: 0, unchanged: 0 };
+    results.forEach(({ actions }) => {
+        Object.values(actions).forEach((action) => {
+            summary[action]++;
+        });
+    });
+    return summary;
+};
+
+module.exports = {
+    PRIMARY_KEYS,
+    importRows,
+    resolveProgramIds,
+    summarize
+};
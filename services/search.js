@@ -0,0 +1,219 @@
+const { scopeWhere } = require('../utils/programScope');
+const { notDeletedWhere } = require('../utils/softDelete');
+
+const dbType = process.env.DB_TYPE;
+
+const MAX_CANDIDATES = 50;
+
+// Qué se busca en cada tipo: columnas de texto (sin tildes ni mayúsculas) y columnas numéricas
+// (documentos, NIT y teléfonos, comparados solo por sus dígitos). weight ordena la relevancia.
+// scoped indica que el tipo se limita al programa de la petición (utils/programScope.js).
+const SEARCH_TYPES = {
+    estudiante: {
+        table: 'p_estudiante',
+        primaryKey: 'id_estudiante',
+        scoped: true,
+        text: { nombres: 3, email: 2 },
+        numeric: { documento: 3, celular: 1, telefono: 1 },
+        title: (row) => row.nombres,
+        detail: (row) => [row.documento, row.email].filter(Boolean).join(' · '),
+        url: (row) => `/api/estudiante/${row.documento}`
+    },
+    empresa: {
+        table: 'p_empresa',
+        primaryKey: 'id_empresa',
+        scoped: true,
+        text: { razon_social: 3 },
+        numeric: { nit: 3 },
+        title: (row) => row.razon_social,
+        detail: (row) => `NIT ${row.nit}`,
+        url: (row) => `/api/empresa/${row.id_empresa}`
+    },
+    contacto: {
+        table: 'p_contacto',
+        primaryKey: 'id_contacto',
+        text: { nombre: 3, email: 2 },
+        numeric: { telefono: 1, celular: 1 },
+        title: (row) => row.nombre,
+        detail: (row) => [row.email, row.celular || row.telefono].filter(Boolean).join(' · '),
+        url: (row) => `/api/contacto/${row.id_contacto}`
+    },
+    jefe: {
+        table: 'p_jefe',
+        primaryKey: 'id_jefe',
+        text: { nombre: 3, email: 2 },
+        numeric: { telefono: 1 },
+        title: (row) => row.nombre,
+        detail: (row) => [row.email, row.telefono].filter(Boolean).join(' · '),
+        url: (row) => `/api/jefe/${row.id_jefe}`
+    }
+};
+
+const TYPES = Object.keys(SEARCH_TYPES);
+
+const ACCENTED = 'áàäâãéèëêíìïîóòöôõúùüûñç';
+const PLAIN = 'aaaaaeeeeiiiiooooouuuunc';
+
+// Quita tildes y mayúsculas igual que foldSql, para poder rankear en JS lo que devolvió la base de datos
+const fold = (value) => String(value === null || value === undefined ? '' : value)
+    .normalize('NFD').replace(/[\u0300-\u036f]/g, '').toLowerCase();
+
+const digitsOnly = (value) => String(value === null || value === undefined ? '' : value).replace(/\D/g, '');
+
+// Expresión SQL de una columna sin tildes ni mayúsculas: en MySQL con una intercalación _ci que ignora
+// tildes, en PostgreSQL con translate() para no depender de la extensión unaccent
+const foldSql = (column) => (dbType === 'postgres'
+    ? `translate(lower(${column}), '${ACCENTED}', '${PLAIN}')`
+    : `CONVERT(${column} USING utf8mb4) COLLATE utf8mb4_general_ci`);
+
+const digitsSql = (column) => `REPLACE(REPLACE(REPLACE(REPLACE(${column}, '-', ''), '.', ''), ' ', ''), '+', '')`;
+
+const escapeLike = (text) => text.replace(/[\\%_]/g, '\\$&');
+
+/**
+ * Divide la búsqueda en términos. Si todo son dígitos y separadores (un NIT, un documento o un
+ * teléfono escrito con puntos o espacios) se busca como un solo número.
+ */
+const parseTerms = (q) => {
+    const text = String(q).trim();
+    if (/^[\d\s.\-+()]+$/.test(text)) {
+        return [{ value: digitsOnly(text), numeric: true }];
+    }
+    return fold(text).split(/\s+/).filter(Boolean).map((value) => ({ value, numeric: /^\d+$/.test(value) }));
+};
+
+/**
+ * Orden de los candidatos en SQL, para que el límite no deje fuera las mejores coincidencias: primero
+ * los registros con una columna igual a la búsqueda completa, luego los que empiezan por ella y al final
+ * el resto. Los números se comparan por sus dígitos contra las columnas numéricas.
+ */
+const rankSql = (definition, terms, phrase) => {
+    const numeric = terms.length === 1 && terms[0].numeric;
+    const columns = [
+        ...Object.keys(definition.text).map((column) => foldSql(column)),
+        ...(numeric ? Object.keys(definition.numeric).map((column) => digitsSql(column)) : [])
+    ];
+    const value = numeric ? terms[0].value : phrase;
+    const params = [];
+    const anyColumn = (operator, operand) => `(${columns.map((column) => {
+        params.push(operand);
+        return `${column} ${operator} ?`;
+    }).join(' OR ')})`;
+    const exact = anyColumn('=', value);
+    const prefix = anyColumn('LIKE', `${escapeLike(value)}%`);
+    return { orderBy: `CASE WHEN ${exact} THEN 0 WHEN ${prefix} THEN 1 ELSE 2 END, ${definition.primaryKey}`, params };
+};
+
+// Cada término debe aparecer en alguna de las columnas del tipo; estudiantes y empresas se limitan al alcance.
+// Se pide un candidato más del máximo para saber si el tipo tenía más coincidencias de las que se rankean
+const buildQuery = (definition, terms, phrase, scope) => {
+    const params = [];
+    const conditions = terms.map((term) => {
+        const pattern = `%${escapeLike(term.value)}%`;
+        const options = Object.keys(definition.text).map((column) => {
+            params.push(pattern);
+            return `${foldSql(column)} LIKE ?`;
+        });
+        if (term.numeric) {
+            Object.keys(definition.numeric).forEach((column) => {
+                params.push(pattern);
+                options.push(`${digitsSql(column)} LIKE ?`);
+            });
+        }
+        return `(${options.join(' OR ')})`;
+    });
+    const scoped = scopeWhere(definition.table, definition.scoped ? scope : null, `WHERE ${conditions.join(' AND ')}`, params);
+    const rank = rankSql(definition, terms, phrase);
+    return {
+        sql: `SELECT * FROM ${definition.table} ${notDeletedWhere(definition.table, scoped.where)} ORDER BY ${rank.orderBy} LIMIT ${MAX_CANDIDATES + 1}`,
+        params: [...scoped.params, ...rank.params]
+    };
+};
+
+// Qué tan bien coincide un valor con un término: igual > empieza por > alguna palabra empieza por > contiene
+const matchQuality = (value, term) => {
+    if (!value || !value.includes(term)) {
+        return 0;
+    }
+    if (value === term) {
+        return 10;
+    }
+    if (value.startsWith(term)) {
+        return 6;
+    }
+    if (value.split(/[\s.@_-]+/).some((word) => word.startsWith(term))) {
+        return 4;
+    }
+    return 1;
+};
+
+const scoreRow = (definition, row, terms, phrase) => {
+    let score = 0;
+    const fields = new Set();
+    terms.forEach((term) => {
+        let best = 0;
+        let bestField = null;
+        const candidates = [
+            ...Object.keys(definition.text).map((column) => [column, fold(row[column]), definition.text[column]]),
+            ...(term.numeric ? Object.keys(definition.numeric).map((column) => [column, digitsOnly(row[column]), definition.numeric[column]]) : [])
+        ];
+        candidates.forEach(([column, value, weight]) => {
+            const points = matchQuality(value, term.value) * weight;
+            if (points > best) {
+                best = points;
+                bestField = column;
+            }
+        });
+        score += best;
+        if (bestField) {
+            fields.add(bestField);
+        }
+    });
+    // La frase completa igual a un nombre pesa más que los términos sueltos
+    if (Object.keys(definition.text).some((column) => fold(row[column]) === phrase)) {
+        score += 20;
+    }
+    return { score, fields: [...fields] };
+};
+
+/**
+ * Busca q en los tipos indicados y devuelve los resultados ordenados por relevancia:
+ * [{ tipo, id, titulo, detalle, url, coincidencias, puntaje }]. Con scope ({ id_programa }) los
+ * estudiantes y las empresas se limitan a ese programa.
+ * De cada tipo se rankean como máximo MAX_CANDIDATES coincidencias; truncados lista los tipos que tenían más.
+ */
+const search = async (connection, q, { tipos = TYPES, limit = 20, scope = null } = {}) => {
+    const terms = parseTerms(q);
+    const phrase = fold(String(q).trim());
+    const results = [];
+    const truncados = [];
+
+    for (const tipo of tipos) {
+        const definition = SEARCH_TYPES[tipo];
+        const { sql, params } = buildQuery(definition, terms, phrase, scope);
+        const rows = await connection.query(sql, params);
+        if (rows.length > MAX_CANDIDATES) {
+            truncados.push(tipo);
+        }
+        rows.slice(0, MAX_CANDIDATES).forEach((row) => {
+            const { score, fields } = scoreRow(definition, row, terms, phrase);
+            results.push({
+                tipo,
+                id: row[definition.primaryKey],
+                titulo: definition.title(row),
+                detalle: definition.detail(row),
+                url: definition.url(row),
+                coincidencias: fields,
+                puntaje: score
+            });
+        });
+    }
+
+    results.sort((a, b) => b.puntaje - a.puntaje || String(a.titulo).localeCompare(String(b.titulo), 'es'));
+    return { total: results.length, truncados, results: results.slice(0, limit) };
+};
+
+module.exports = {
+    SEARCH_TYPES,
+    search
+};
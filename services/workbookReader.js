@@ -0,0 +1,83 @@
+const fs = require('fs');
+const path = require('path');
+const xlsx = require('xlsx');
+
+const ZIP_SIGNATURE = Buffer.from([0x50, 0x4b, 0x03, 0x04]);
+const OLE_SIGNATURE = Buffer.from([0xd0, 0xcf, 0x11, 0xe0]);
+const UTF8_BOM = Buffer.from([0xef, 0xbb, 0xbf]);
+const TEXT_EXTENSIONS = ['.csv', '.txt'];
+const CSV_DELIMITERS = [';', ',', '\t', '|'];
+
+/**
+ * Detecta el formato por el contenido del archivo y, si no es binario, por la extensión.
+ * xlsx y ods son ZIP: se distinguen por las rutas internas del paquete.
+ */
+const detectFormat = (buffer, originalName) => {
+    if (buffer.subarray(0, 4).equals(ZIP_SIGNATURE)) {
+        if (buffer.includes('xl/workbook')) {
+            return 'xlsx';
+        }
+        return buffer.includes('content.xml') ? 'ods' : null;
+    }
+    if (buffer.subarray(0, 4).equals(OLE_SIGNATURE)) {
+        return 'xls';
+    }
+    if (TEXT_EXTENSIONS.includes(path.extname(originalName || '').toLowerCase()) || !buffer.includes(0)) {
+        return 'csv';
+    }
+    return null;
+};
+
+// Los CSV llegan en UTF-8 (con o sin BOM) o en Latin-1 según la herramienta que los exportó
+const decodeText = (buffer) => {
+    if (buffer.subarray(0, 3).equals(UTF8_BOM)) {
+        return buffer.subarray(3).toString('utf8');
+    }
+    try {
+        return new TextDecoder('utf-8', { fatal: true }).decode(buffer);
+    } catch (err) {
+        return buffer.toString('latin1');
+    }
+};
+
+// Elige el separador que más se repite en la línea de encabezados, sin contar lo que va entre comillas
+const detectDelimiter = (text) => {
+    const header = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+    let best = CSV_DELIMITERS[0];
+    let bestCount = 0;
+    CSV_DELIMITERS.forEach((delimiter) => {
+        const count = header.split(delimiter).length - 1;
+        if (count > bestCount) {
+            best = delimiter;
+            bestCount = count;
+        }
+    });
+    return best;
+};
+
+/**
+ * Lee un archivo subido (xlsx, xls, ods o csv) y devuelve { format, workbook }.
+ * Los CSV se leen con raw para conservar los valores como texto; las fechas y números
+ * se interpretan después en la validación. Si el formato no es reconocido devuelve format null.
+ */
+const readWorkbook = (filePath, originalName) => {
+    const buffer = fs.readFileSync(filePath);
+    const format = detectFormat(buffer, originalName);
+
+    if (format === null) {
+        return { format, workbook: null };
+    }
+
+    if (format === 'csv') {
+        const text = decodeText(buffer);
+        return { format, workbook: xlsx.read(text, { type: 'string', FS: detectDelimiter(text), raw: true }) };
+    }
+
+    return { format, workbook: xlsx.read(buffer, { type: 'buffer' }) };
+};
+
+module.exports = {
+    detectFormat,
+    detectDelimiter,
+    readWorkbook
+};
@@ -0,0 +1,73 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateRow } = require('../services/importValidation');
+const { DEFAULT_PROFILE } = require('../services/importProfiles');
+
+// Fila completa y válida de la plantilla; cada prueba cambia solo lo que revisa
+const ROW = {
+    'cargo_contacto.nombre': 'Director de talento humano',
+    'contacto.email': 'talento@empresa.com.co',
+    'empresa.nit': '890.903.938-8',
+    'empresa.razon_social': 'Empresa de prueba S.A.S.',
+    'programa.nombre': 'Ingeniería de Sistemas',
+    'estudiante.documento': '1020304050',
+    'estudiante.nombres': 'PÉREZ GÓMEZ ANA',
+    'estudiante.edad': '21',
+    'practica.fec_inicio': 45000,
+    'practica.fec_termina': '15/09/2023',
+    'practica.dias_pract': 120
+};
+
+const columnsOf = (errors) => errors.map((error) => error.column);
+
+describe('validateRow', () => {
+    it('no reporta errores en una fila completa', () => {
+        assert.deepEqual(validateRow(ROW, DEFAULT_PROFILE), []);
+    });
+
+    it('reporta los obligatorios vacíos con el encabezado del perfil', () => {
+        const errors = validateRow({ ...ROW, 'estudiante.documento': '  ', 'empresa.nit': undefined }, DEFAULT_PROFILE);
+        assert.deepEqual(errors, [
+            { column: 'NIT', reason: 'El campo es obligatorio.' },
+            { column: 'DOCUMENTO', reason: 'El campo es obligatorio.' }
+        ]);
+    });
+
+    it('usa los encabezados de un perfil propio', () => {
+        const profile = { ...DEFAULT_PROFILE, columnas: { ...DEFAULT_PROFILE.columnas, 'estudiante.nombres': ['Nombre completo', 'Estudiante'] } };
+        const errors = validateRow({ ...ROW, 'estudiante.nombres': '' }, profile);
+        assert.deepEqual(columnsOf(errors), ['Nombre completo']);
+    });
+
+    it('rechaza correos y NIT mal formados', () => {
+        const errors = validateRow({ ...ROW, 'estudiante.email': 'ana@', 'empresa.nit': '890903938-1' }, DEFAULT_PROFILE);
+        assert.deepEqual(errors, [
+            { column: 'CORREO JEFE INMEDIATO', reason: 'El correo electrónico no tiene un formato válido.' },
+            { column: 'NIT', reason: 'El NIT no es válido.' }
+        ]);
+    });
+
+    it('rechaza fechas inválidas y una terminación anterior al inicio', () => {
+        assert.deepEqual(columnsOf(validateRow({ ...ROW, 'practica.fec_inicio': '30/02/2023' }, DEFAULT_PROFILE)), ['FECHA INICIO']);
+        const errors = validateRow({ ...ROW, 'practica.fec_termina': '2023-03-14' }, DEFAULT_PROFILE);
+        assert.deepEqual(errors, [{ column: 'FECHA TERMINACIÓN', reason: 'La fecha de terminación es anterior a la fecha de inicio.' }]);
+    });
+
+    it('exige enteros no negativos en la edad y los días de práctica', () => {
+        const errors = validateRow({ ...ROW, 'estudiante.edad': '20.5', 'practica.dias_pract': -3 }, DEFAULT_PROFILE);
+        assert.deepEqual(columnsOf(errors), ['EDAD', 'TOTAL DIAS EN PRACTICA']);
+    });
+
+    it('con alcance acepta solo las filas que resuelven al programa de la importación', () => {
+        const programa = {
+            id_programa: 4,
+            nombre: 'Ingeniería de Sistemas',
+            ids: new Map([['Ingeniería de Sistemas', 4], ['Psicología', 7], ['Programa nuevo', undefined]])
+        };
+        assert.deepEqual(validateRow(ROW, DEFAULT_PROFILE, programa), []);
+        ['Psicología', 'Programa nuevo'].forEach((nombre) => {
+            const errors = validateRow({ ...ROW, 'programa.nombre': nombre }, DEFAULT_PROFILE, programa);
+            assert.deepEqual(errors, [{ column: 'PROGRAMA', reason: 'Solo se pueden importar filas del programa "Ingeniería de Sistemas".' }]);
+        });
+    });
+});
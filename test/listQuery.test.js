@@ -0,0 +1,61 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { parseListQuery } = require('../utils/listQuery');
+const { PRACTICA_LIST_OPTIONS, ESTUDIANTE_LIST_OPTIONS } = require('../utils/listOptions');
+
+describe('parseListQuery', () => {
+    it('sin parámetros usa la primera página, 50 registros y el orden por defecto', () => {
+        const list = parseListQuery({}, PRACTICA_LIST_OPTIONS);
+        assert.deepEqual(list, {
+            errors: [],
+            page: 1,
+            limit: 50,
+            offset: 0,
+            where: '',
+            params: [],
+            orderBy: 'fec_inicio DESC, id_practica ASC'
+        });
+    });
+
+    it('calcula el desplazamiento de la página pedida', () => {
+        const list = parseListQuery({ page: '3', limit: '20' }, PRACTICA_LIST_OPTIONS);
+        assert.equal(list.offset, 40);
+        assert.equal(list.limit, 20);
+    });
+
+    it('rechaza page y limit fuera de rango', () => {
+        const { errors } = parseListQuery({ page: '0', limit: '501' }, PRACTICA_LIST_OPTIONS);
+        assert.deepEqual(errors, ['page debe ser un entero mayor que cero.', 'limit debe ser un entero entre 1 y 500.']);
+    });
+
+    it('ordena por varias columnas y no repite la llave primaria', () => {
+        assert.equal(parseListQuery({ sort: 'dias_pract,-fec_termina' }, PRACTICA_LIST_OPTIONS).orderBy,
+            'dias_pract ASC, fec_termina DESC, id_practica ASC');
+        assert.equal(parseListQuery({ sort: '-id_practica' }, PRACTICA_LIST_OPTIONS).orderBy, 'id_practica DESC');
+    });
+
+    it('no acepta ordenar por columnas fuera de la lista', () => {
+        const { errors, orderBy } = parseListQuery({ sort: 'password_hash' }, PRACTICA_LIST_OPTIONS);
+        assert.equal(errors.length, 1);
+        assert.match(errors[0], /No se puede ordenar por "password_hash"/);
+        assert.equal(orderBy, 'id_practica ASC');
+    });
+
+    it('arma el WHERE con los filtros enviados y omite los vacíos', () => {
+        const list = parseListQuery({ programa: '3', nrc: '', desde: '01/02/2024' }, PRACTICA_LIST_OPTIONS);
+        assert.equal(list.where, 'WHERE id_programa = ? AND fec_termina >= ?');
+        assert.deepEqual(list.params, [3, '2024-02-01']);
+    });
+
+    it('busca texto sin distinguir mayúsculas', () => {
+        const list = parseListQuery({ nombres: 'PÉREZ' }, ESTUDIANTE_LIST_OPTIONS);
+        assert.equal(list.where, 'WHERE LOWER(nombres) LIKE ?');
+        assert.deepEqual(list.params, ['%pérez%']);
+    });
+
+    it('informa los filtros con valores inválidos', () => {
+        const { errors, where } = parseListQuery({ estudiante: 'ana', hasta: '31/02/2024' }, PRACTICA_LIST_OPTIONS);
+        assert.deepEqual(errors, ['El filtro estudiante debe ser un ID numérico.', 'El filtro hasta debe ser una fecha válida (aaaa-mm-dd).']);
+        assert.equal(where, '');
+    });
+});
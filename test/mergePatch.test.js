@@ -0,0 +1,27 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { buildPatch } = require('../utils/mergePatch');
+
+const COLUMNS = ['nombres', 'edad', 'celular'];
+
+describe('buildPatch', () => {
+    it('solo incluye las columnas permitidas, en el orden de la lista', () => {
+        assert.deepEqual(buildPatch({ celular: '3001234567', nombres: 'Ana', id_estudiante: 9 }, COLUMNS), {
+            set: 'nombres = ?, celular = ?',
+            params: ['Ana', '3001234567']
+        });
+    });
+
+    it('null deja la columna vacía', () => {
+        assert.deepEqual(buildPatch({ celular: null }, COLUMNS), { set: 'celular = ?', params: [null] });
+    });
+
+    it('devuelve null si no hay nada que modificar', () => {
+        assert.equal(buildPatch({}, COLUMNS), null);
+        assert.equal(buildPatch({ deleted_at: null }, COLUMNS), null);
+    });
+
+    it('ignora las propiedades heredadas', () => {
+        assert.equal(buildPatch(Object.create({ nombres: 'Ana' }), COLUMNS), null);
+    });
+});
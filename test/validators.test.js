@@ -0,0 +1,98 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { isNit, nitCheckDigit, isPhone, parseSheetDate } = require('../utils/validators');
+
+describe('nitCheckDigit', () => {
+    it('calcula el dígito de NIT reales', () => {
+        assert.equal(nitCheckDigit('890903938'), 8);
+        assert.equal(nitCheckDigit('800197268'), 4);
+    });
+
+    it('acepta el NIT como número', () => {
+        assert.equal(nitCheckDigit(890903938), 8);
+    });
+});
+
+describe('isNit', () => {
+    it('acepta el NIT sin dígito de verificación', () => {
+        assert.equal(isNit('890903938'), true);
+    });
+
+    it('acepta puntos y espacios y verifica el dígito', () => {
+        assert.equal(isNit('890.903.938-8'), true);
+        assert.equal(isNit(' 800 197 268-4 '), true);
+    });
+
+    it('rechaza un dígito de verificación equivocado', () => {
+        assert.equal(isNit('890903938-7'), false);
+    });
+
+    it('rechaza longitudes y caracteres fuera del formato', () => {
+        assert.equal(isNit('12345'), false);
+        assert.equal(isNit('1234567890123456'), false);
+        assert.equal(isNit('89090393A'), false);
+        assert.equal(isNit('890903938-88'), false);
+        assert.equal(isNit(''), false);
+    });
+});
+
+describe('isPhone', () => {
+    it('acepta celulares con o sin indicativo y separadores', () => {
+        assert.equal(isPhone('3001234567'), true);
+        assert.equal(isPhone('+57 300 123 4567'), true);
+        assert.equal(isPhone('573001234567'), true);
+    });
+
+    it('acepta fijos 60X y de siete dígitos', () => {
+        assert.equal(isPhone('(601) 234-5678'), true);
+        assert.equal(isPhone('2345678'), true);
+    });
+
+    it('rechaza números que no son colombianos', () => {
+        assert.equal(isPhone('4001234567'), false);
+        assert.equal(isPhone('300123456'), false);
+        assert.equal(isPhone('+1 300 123 4567'), false);
+        assert.equal(isPhone('123'), false);
+    });
+});
+
+describe('parseSheetDate', () => {
+    it('convierte seriales de Excel, también como texto y con hora', () => {
+        assert.equal(parseSheetDate(44927), '2023-01-01');
+        assert.equal(parseSheetDate('45000'), '2023-03-15');
+        assert.equal(parseSheetDate(45000.75), '2023-03-15');
+    });
+
+    it('rechaza seriales que no son positivos', () => {
+        assert.equal(parseSheetDate(0), null);
+        assert.equal(parseSheetDate(-5), null);
+    });
+
+    it('lee dd/mm/aaaa y dd-mm-aaaa con día y mes de uno o dos dígitos', () => {
+        assert.equal(parseSheetDate('15/03/2023'), '2023-03-15');
+        assert.equal(parseSheetDate('5-3-2023'), '2023-03-05');
+    });
+
+    it('lee aaaa-mm-dd', () => {
+        assert.equal(parseSheetDate('2023-3-5'), '2023-03-05');
+        assert.equal(parseSheetDate('2024-02-29'), '2024-02-29');
+    });
+
+    it('toma la fecha local de un Date', () => {
+        assert.equal(parseSheetDate(new Date(2023, 2, 15, 23, 30)), '2023-03-15');
+        assert.equal(parseSheetDate(new Date('no es fecha')), null);
+    });
+
+    it('rechaza días que no existen', () => {
+        assert.equal(parseSheetDate('31/02/2023'), null);
+        assert.equal(parseSheetDate('29/02/2023'), null);
+        assert.equal(parseSheetDate('2023-13-01'), null);
+    });
+
+    it('rechaza otros formatos', () => {
+        assert.equal(parseSheetDate('03/15/23'), null);
+        assert.equal(parseSheetDate('2023/03/15'), null);
+        assert.equal(parseSheetDate('mañana'), null);
+        assert.equal(parseSheetDate(''), null);
+    });
+});
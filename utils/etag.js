@@ -0,0 +1,31 @@
+// Control de concurrencia optimista: cada registro tiene un ETag calculado con sus columnas, que GET /:id
+// devuelve y que PUT, PATCH y DELETE comparan con el encabezado If-Match antes de escribir
+
+const crypto = require('crypto');
+const { serializeRow } = require('./serialize');
+
+// ETag fuerte de un registro: cambia con cualquier columna (también deleted_at)
+const rowEtag = (row) => `"${crypto.createHash('sha1').update(JSON.stringify(serializeRow(row))).digest('base64url')}"`;
+
+/**
+ * Comprueba If-Match contra el registro con column = value, bloqueándolo (SELECT ... FOR UPDATE) para que
+ * nadie lo cambie entre la comparación y la escritura: se llama dentro de la transacción del cambio.
+ * Devuelve true si la petición no trae If-Match o si alguno de sus ETags coincide ('*' basta con que exista).
+ */
+const checkIfMatch = async (connection, req, table, column, value) => {
+    const header = req.get('If-Match');
+    if (!header) {
+        return true;
+    }
+    const rows = await connection.query(`SELECT * FROM ${table} WHERE ${column} = ? FOR UPDATE`, [value]);
+    if (rows.length === 0) {
+        return false;
+    }
+    const tags = header.split(',').map((tag) => tag.trim());
+    return tags.includes('*') || tags.includes(rowEtag(rows[0]));
+};
+
+module.exports = {
+    rowEtag,
+    checkIfMatch
+};
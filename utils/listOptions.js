@@ -0,0 +1,37 @@
+// Opciones de los listados que también se piden como subrecurso de otra entidad (/estudiante/:documento/practicas,
+// /jefe/:id/estudiantes...), para que el listado principal y las subrutas acepten la misma paginación y filtros
+
+// Columnas por las que se puede ordenar y filtrar el listado de prácticas
+const PRACTICA_LIST_OPTIONS = {
+    primaryKey: 'id_practica',
+    sortable: ['id_practica', 'fec_inicio', 'fec_termina', 'dias_pract', 'fecha_inscripcion_materia', 'numero_practica_inscribe'],
+    defaultSort: '-fec_inicio',
+    filters: {
+        programa: { column: 'id_programa', type: 'integer' },
+        estudiante: { column: 'id_estudiante', type: 'integer' },
+        empresa: { column: 'id_empresa', type: 'integer' },
+        contacto: { column: 'id_contacto', type: 'integer' },
+        jefe: { column: 'id_jefe', type: 'integer' },
+        nrc: { column: 'nrc', type: 'text' },
+        desde: { column: 'fec_termina', type: 'from' },
+        hasta: { column: 'fec_inicio', type: 'to' }
+    }
+};
+
+// Columnas por las que se puede ordenar y filtrar el listado de estudiantes
+const ESTUDIANTE_LIST_OPTIONS = {
+    primaryKey: 'id_estudiante',
+    sortable: ['id_estudiante', 'documento', 'nombres', 'edad', 'email'],
+    defaultSort: 'nombres',
+    filters: {
+        documento: { column: 'documento', type: 'text' },
+        nombres: { column: 'nombres', type: 'search' },
+        email: { column: 'email', type: 'text' },
+        contacto: { column: 'id_contacto', type: 'integer' }
+    }
+};
+
+module.exports = {
+    PRACTICA_LIST_OPTIONS,
+    ESTUDIANTE_LIST_OPTIONS
+};
@@ -0,0 +1,141 @@
+// Paginación, orden y filtros de los endpoints de listado (?page=2&limit=50&sort=-fec_inicio&programa=3)
+
+const { parseSheetDate } = require('./validators');
+
+const DEFAULT_LIMIT = 50;
+const MAX_LIMIT = 500;
+
+// 'aaaa-mm-dd' del día siguiente
+const nextDay = (isoDate) => {
+    const date = new Date(`${isoDate}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + 1);
+    return date.toISOString().slice(0, 10);
+};
+
+const isPositiveInteger = (value) => /^\d+$/.test(String(value)) && Number(value) > 0;
+
+// Cómo se compara cada tipo de filtro; devuelve null si el valor no es válido
+const FILTER_TYPES = {
+    // Igualdad exacta
+    text: (column, value) => ({ sql: `${column} = ?`, param: String(value) }),
+    // Contiene, sin distinguir mayúsculas (LOWER funciona igual en MySQL y PostgreSQL)
+    search: (column, value) => ({ sql: `LOWER(${column}) LIKE ?`, param: `%${String(value).toLowerCase()}%` }),
+    integer: (column, value) => (/^\d+$/.test(String(value)) ? { sql: `${column} = ?`, param: Number(value) } : null),
+    // Rango de fechas: 'from' exige columna >= fecha y 'to' columna <= fecha
+    from: (column, value) => (parseSheetDate(value) ? { sql: `${column} >= ?`, param: parseSheetDate(value) } : null),
+    to: (column, value) => (parseSheetDate(value) ? { sql: `${column} <= ?`, param: parseSheetDate(value) } : null),
+    // Como 'to' pero para columnas con hora: incluye todo el día indicado
+    until: (column, value) => (parseSheetDate(value) ? { sql: `${column} < ?`, param: nextDay(parseSheetDate(value)) } : null)
+};
+
+const FILTER_ERRORS = {
+    integer: 'debe ser un ID numérico',
+    from: 'debe ser una fecha válida (aaaa-mm-dd)',
+    to: 'debe ser una fecha válida (aaaa-mm-dd)',
+    until: 'debe ser una fecha válida (aaaa-mm-dd)'
+};
+
+/**
+ * Interpreta los parámetros de un listado según la definición del endpoint:
+ *   { primaryKey, sortable: [columnas], defaultSort: '-columna', filters: { parametro: { column, type } } }
+ * sort acepta varias columnas separadas por coma; con '-' adelante el orden es descendente.
+ * Siempre se ordena al final por la llave primaria para que las páginas no se crucen.
+ * Devuelve { errors, page, limit, offset, where, params, orderBy }.
+ */
+const parseListQuery = (query, definition) => {
+    const errors = [];
+
+    const page = query.page === undefined ? 1 : Number(query.page);
+    if (query.page !== undefined && !isPositiveInteger(query.page)) {
+        errors.push('page debe ser un entero mayor que cero.');
+    }
+    const limit = query.limit === undefined ? DEFAULT_LIMIT : Number(query.limit);
+    if (query.limit !== undefined && (!isPositiveInteger(query.limit) || limit > MAX_LIMIT)) {
+        errors.push(`limit debe ser un entero entre 1 y ${MAX_LIMIT}.`);
+    }
+
+    const order = [];
+    String(query.sort || definition.defaultSort || definition.primaryKey).split(',').forEach((item) => {
+        const descending = item.trim().startsWith('-');
+        const column = item.trim().replace(/^[-+]/, '');
+        if (!definition.sortable.includes(column)) {
+            errors.push(`No se puede ordenar por "${column}". Columnas permitidas: ${definition.sortable.join(', ')}.`);
+        } else {
+            order.push(`${column} ${descending ? 'DESC' : 'ASC'}`);
+        }
+    });
+    if (!order.some((item) => item.startsWith(`${definition.primaryKey} `))) {
+        order.push(`${definition.primaryKey} ASC`);
+    }
+
+    const conditions = [];
+    const params = [];
+    Object.keys(definition.filters || {}).forEach((name) => {
+        if (query[name] === undefined || query[name] === '') {
+            return;
+        }
+        const { column, type } = definition.filters[name];
+        const condition = FILTER_TYPES[type](column, query[name]);
+        if (condition === null) {
+            errors.push(`El filtro ${name} ${FILTER_ERRORS[type]}.`);
+        } else {
+            conditions.push(condition.sql);
+            params.push(condition.param);
+        }
+    });
+
+    return {
+        errors,
+        page,
+        limit,
+        offset: (page - 1) * limit,
+        where: conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : '',
+        params,
+        orderBy: order.join(', ')
+    };
+};
+
+// Restringe un listado de parseListQuery con una condición más (con un ?), p. ej. las prácticas de un estudiante
+const narrowList = (list, condition, value) => ({
+    ...list,
+    where: list.where ? `${list.where} AND ${condition}` : `WHERE ${condition}`,
+    params: [...list.params, value]
+});
+
+// Ejecuta el listado paginado sobre una tabla y devuelve { rows, total }
+const findPage = async (connection, table, list) => {
+    const countRows = await connection.query(`SELECT COUNT(*) AS total FROM ${table} ${list.where}`, list.params);
+    const rows = await connection.query(`SELECT * FROM ${table} ${list.where} ORDER BY ${list.orderBy} LIMIT ? OFFSET ?`,
+        [...list.params, list.limit, list.offset]);
+    return { rows, total: Number(countRows[0].total) };
+};
+
+// Agrega X-Total-Count y Link (first, prev, next, last) con los mismos filtros de la petición
+const setPaginationHeaders = (req, res, list, total) => {
+    const lastPage = Math.max(1, Math.ceil(total / list.limit));
+    const pageUrl = (page) => {
+        const params = new URLSearchParams(req.query);
+        params.set('page', page);
+        params.set('limit', list.limit);
+        return `${req.protocol}://${req.get('host')}${req.baseUrl}${req.path === '/' ? '' : req.path}?${params}`;
+    };
+
+    const links = [`<${pageUrl(1)}>; rel="first"`];
+    if (list.page > 1) {
+        links.push(`<${pageUrl(Math.min(list.page - 1, lastPage))}>; rel="prev"`);
+    }
+    if (list.page < lastPage) {
+        links.push(`<${pageUrl(list.page + 1)}>; rel="next"`);
+    }
+    links.push(`<${pageUrl(lastPage)}>; rel="last"`);
+
+    res.set('X-Total-Count', String(total));
+    res.set('Link', links.join(', '));
+};
+
+module.exports = {
+    parseListQuery,
+    narrowList,
+    findPage,
+    setPaginationHeaders
+};
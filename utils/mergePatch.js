@@ -0,0 +1,21 @@
+// PATCH con JSON Merge Patch (RFC 7396) sobre registros planos: solo cambian los campos enviados y null deja el campo vacío
+
+/**
+ * Arma el SET de un UPDATE con los campos del cuerpo que están en columns (lista blanca de columnas
+ * modificables). Un campo ausente no se toca; uno en null queda en null.
+ * Devuelve { set: 'a = ?, b = ?', params } o null si el cuerpo no trae ningún campo permitido.
+ */
+const buildPatch = (body, columns) => {
+    const fields = columns.filter((column) => Object.prototype.hasOwnProperty.call(body, column));
+    if (fields.length === 0) {
+        return null;
+    }
+    return {
+        set: fields.map((column) => `${column} = ?`).join(', '),
+        params: fields.map((column) => body[column])
+    };
+};
+
+module.exports = {
+    buildPatch
+};
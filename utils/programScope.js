@@ -0,0 +1,63 @@
+// Alcance por programa: limita las consultas a los registros de un programa (req.scope, ver middleware/auth.js)
+
+const { notDeletedWhere } = require('./softDelete');
+
+/**
+ * Cómo se relaciona cada tabla con un programa. La práctica tiene el programa; el estudiante y la
+ * empresa pertenecen a los programas de sus prácticas. Las condiciones usan el nombre de la tabla
+ * (sin alias), así que sirven en cualquier SELECT, UPDATE o DELETE sobre ella.
+ */
+const SCOPE_CONDITIONS = {
+    p_practica: 'p_practica.id_programa = ?',
+    p_estudiante: 'EXISTS (SELECT 1 FROM p_practica sp WHERE sp.id_estudiante = p_estudiante.id_estudiante AND sp.id_programa = ? AND sp.deleted_at IS NULL)',
+    p_empresa: 'EXISTS (SELECT 1 FROM p_practica sp WHERE sp.id_empresa = p_empresa.id_empresa AND sp.id_programa = ? AND sp.deleted_at IS NULL)'
+};
+
+/**
+ * Tablas que entran al alcance solo por sus prácticas (no eliminadas). Un registro nuevo no tiene ninguna y un
+ * coordinador no lo vería después de crearlo, así que estas tablas solo las crea un administrador.
+ */
+const ADMIN_CREATED_TABLES = ['p_estudiante', 'p_empresa'];
+
+/**
+ * Agrega la condición del programa a un WHERE ya armado ('' o 'WHERE ...') y a sus parámetros.
+ * Sin alcance (scope null) o en tablas que no dependen de un programa los devuelve tal cual.
+ * Devuelve { where, params }.
+ */
+const scopeWhere = (table, scope, where = '', params = []) => {
+    if (!scope || !SCOPE_CONDITIONS[table]) {
+        return { where, params };
+    }
+    const condition = SCOPE_CONDITIONS[table];
+    return {
+        where: where ? `${where} AND ${condition}` : `WHERE ${condition}`,
+        params: [...params, scope.id_programa]
+    };
+};
+
+// Aplica el alcance a un listado de parseListQuery antes de pasarlo a findPage; sin includeDeleted omite los eliminados
+const scopeList = (table, scope, list, includeDeleted = false) => {
+    const { where, params } = scopeWhere(table, scope, list.where, list.params);
+    return { ...list, where: notDeletedWhere(table, where, includeDeleted), params };
+};
+
+/**
+ * Busca un registro por una columna dentro del alcance; devuelve null si no existe, es de otro programa
+ * o está eliminado (salvo con includeDeleted). Con scope null sirve para cualquier tabla con deleted_at.
+ */
+const findInScope = async (connection, table, column, value, scope, includeDeleted = false) => {
+    const { where, params } = scopeWhere(table, scope, `WHERE ${column} = ?`, [value]);
+    const rows = await connection.query(`SELECT * FROM ${table} ${notDeletedWhere(table, where, includeDeleted)}`, params);
+    return rows.length > 0 ? rows[0] : null;
+};
+
+// Indica si un ID de programa queda fuera del alcance (siempre false sin alcance)
+const isOutOfScope = (scope, idPrograma) => Boolean(scope) && Number(idPrograma) !== scope.id_programa;
+
+module.exports = {
+    ADMIN_CREATED_TABLES,
+    scopeWhere,
+    scopeList,
+    findInScope,
+    isOutOfScope
+};
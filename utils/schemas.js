@@ -0,0 +1,292 @@
+/**
+ * Esquemas JSON de las entidades. Los mismos objetos se publican en la documentación como
+ * components.schemas (index.js) y se usan para validar los cuerpos de POST y PUT (middleware/validate.js),
+ * así que la documentación y la validación no se pueden desalinear.
+ *
+ * Formatos propios: nit, telefono y date (aaaa-mm-dd), definidos en middleware/validate.js.
+ */
+
+const id = (description) => ({ type: 'integer', minimum: 1, nullable: true, description, example: 1 });
+const text = (maxLength, example, extra = {}) => ({ type: 'string', maxLength, nullable: true, example, ...extra });
+const date = (example) => ({ type: 'string', format: 'date', nullable: true, example });
+
+// naturalKey: campo que identifica el registro sin su ID, el mismo que usa la importación (null si no hay)
+const FIELDS = {
+    Programa: {
+        primaryKey: 'id_programa',
+        naturalKey: 'nombre',
+        properties: {
+            nombre: text(255, 'Ingeniería de Sistemas')
+        },
+        required: ['nombre']
+    },
+    Estudiante: {
+        primaryKey: 'id_estudiante',
+        naturalKey: 'documento',
+        properties: {
+            documento: text(20, '1012345678', { pattern: '^[0-9A-Za-z-]+$' }),
+            nombres: text(255, 'Pérez Gómez Juan'),
+            edad: { type: 'integer', minimum: 0, maximum: 120, nullable: true, example: 20 },
+            celular: text(50, '3001234567', { format: 'telefono' }),
+            direccion: text(255, 'Calle Falsa 123'),
+            telefono: text(50, '6012345678', { format: 'telefono' }),
+            email: text(255, 'juan.perez@example.com', { format: 'email' }),
+            id_contacto: id('Contacto de la empresa a cargo del estudiante')
+        },
+        required: ['documento', 'nombres']
+    },
+    Empresa: {
+        primaryKey: 'id_empresa',
+        naturalKey: 'nit',
+        properties: {
+            nit: text(20, '900123456-8', { format: 'nit' }),
+            razon_social: text(255, 'Empresa Ejemplo S.A.S.'),
+            direccion: text(255, 'Carrera 7 # 12-34'),
+            id_jefe_inmediato: id('Contacto que es jefe inmediato en la empresa')
+        },
+        required: ['nit', 'razon_social']
+    },
+    Contacto: {
+        primaryKey: 'id_contacto',
+        naturalKey: 'email',
+        properties: {
+            nombre: text(255, 'Juan Pérez'),
+            telefono: text(50, '6012345678', { format: 'telefono' }),
+            celular: text(50, '3001234567', { format: 'telefono' }),
+            email: text(255, 'juan.perez@example.com', { format: 'email' }),
+            direccion: text(255, 'Calle Falsa 123'),
+            id_cargo_contacto: id('Cargo del contacto')
+        },
+        required: ['nombre']
+    },
+    Jefe: {
+        primaryKey: 'id_jefe',
+        naturalKey: 'email',
+        properties: {
+            nombre: text(255, 'Pedro Gómez'),
+            telefono: text(50, '3109876543', { format: 'telefono' }),
+            email: text(255, 'pedro.gomez@example.com', { format: 'email' }),
+            id_cargo_contacto: id('Cargo del jefe')
+        },
+        required: ['nombre']
+    },
+    Practica: {
+        primaryKey: 'id_practica',
+        naturalKey: null,
+        properties: {
+            id_programa: id('Programa del estudiante'),
+            id_estudiante: id('Estudiante'),
+            id_empresa: id('Empresa donde se hace la práctica'),
+            id_contacto: id('Contacto de la empresa'),
+            id_jefe: id('Jefe inmediato'),
+            fec_inicio: date('2024-01-15'),
+            fec_termina: date('2024-06-15'),
+            dias_pract: { type: 'integer', minimum: 0, nullable: true, example: 150 },
+            clasificaciones: text(255, 'Clasificación A'),
+            no_folio: text(50, 'F12345'),
+            fecha_entrega_facultad: date('2024-06-30'),
+            numero_practica_inscribe: { type: 'integer', minimum: 1, nullable: true, example: 1 },
+            fecha_inscripcion_materia: date('2024-01-10'),
+            nrc: text(50, 'NRC123')
+        },
+        required: ['id_programa', 'id_estudiante', 'id_empresa']
+    }
+};
+
+// Los campos obligatorios no aceptan null y los de texto obligatorios tampoco vacío
+const inputSchema = ({ properties, required }, omit = []) => {
+    const result = { type: 'object', properties: {}, required: required.filter((field) => !omit.includes(field)) };
+    Object.keys(properties).filter((field) => !omit.includes(field)).forEach((field) => {
+        const property = { ...properties[field] };
+        if (result.required.includes(field)) {
+            delete property.nullable;
+            if (property.type === 'string' && property.minLength === undefined) {
+                property.minLength = 1;
+            }
+        }
+        result.properties[field] = property;
+    });
+    return result;
+};
+
+// Los registros llevan su llave primaria y deleted_at (borrado lógico, null si no está eliminado)
+const recordSchema = ({ primaryKey, properties }) => ({
+    type: 'object',
+    properties: {
+        [primaryKey]: { type: 'integer', example: 1 },
+        ...properties,
+        deleted_at: { type: 'string', format: 'date-time', nullable: true, description: 'Fecha de eliminación', example: null }
+    }
+});
+
+const schemas = {};
+Object.keys(FIELDS).forEach((name) => {
+    schemas[name] = recordSchema(FIELDS[name]);
+    schemas[`${name}Input`] = inputSchema(FIELDS[name]);
+});
+// El documento del estudiante va en la ruta del PUT y no se puede cambiar
+schemas.EstudianteActualizacion = inputSchema(FIELDS.Estudiante, ['documento']);
+
+// Cuerpos de PATCH (JSON Merge Patch): ningún campo es obligatorio, pero los obligatorios no aceptan null ni vacío
+const patchSchema = (fields, omit = []) => ({ ...inputSchema(fields, omit), required: [] });
+Object.keys(FIELDS).forEach((name) => {
+    schemas[`${name}Parcial`] = patchSchema(FIELDS[name], name === 'Estudiante' ? ['documento'] : []);
+});
+
+// Práctica con las relaciones pedidas en ?expand (services/expand.js); cada una solo viene si se pidió
+schemas.PracticaExpandida = {
+    type: 'object',
+    properties: {
+        ...schemas.Practica.properties,
+        programa: { allOf: [{ $ref: '#/components/schemas/Programa' }], nullable: true },
+        estudiante: { allOf: [{ $ref: '#/components/schemas/Estudiante' }], nullable: true },
+        empresa: { allOf: [{ $ref: '#/components/schemas/Empresa' }], nullable: true },
+        contacto: { allOf: [{ $ref: '#/components/schemas/Contacto' }], nullable: true },
+        jefe: { allOf: [{ $ref: '#/components/schemas/Jefe' }], nullable: true }
+    }
+};
+
+// Cuerpos de POST /<entidad>/bulk (services/bulk.js): cada operación se valida con los esquemas de arriba
+const bulkSchema = (name, { naturalKey, properties }) => {
+    const selector = {
+        id: { type: 'integer', minimum: 1, example: 1 },
+        ...(naturalKey ? { [naturalKey]: { type: 'string', example: properties[naturalKey].example } } : {})
+    };
+    const description = naturalKey ? `Registro por id o por ${naturalKey} (uno solo)` : 'Registro por id';
+    return {
+        type: 'object',
+        properties: {
+            create: {
+                type: 'array',
+                description: naturalKey ? `Registros nuevos; si ya hay uno con el mismo ${naturalKey} se actualiza (si está eliminado la operación falla con 409: restaurarlo es de un administrador)` : 'Registros nuevos',
+                items: { $ref: `#/components/schemas/${name}Input` }
+            },
+            update: {
+                type: 'array',
+                items: { type: 'object', description, properties: { ...selector, datos: { $ref: `#/components/schemas/${name}Parcial` } }, required: ['datos'] }
+            },
+            delete: {
+                type: 'array',
+                items: { type: 'object', description, properties: selector }
+            }
+        }
+    };
+};
+Object.keys(FIELDS).forEach((name) => {
+    schemas[`${name}Masivo`] = bulkSchema(name, FIELDS[name]);
+});
+schemas.ResultadoMasivo = {
+    type: 'object',
+    properties: {
+        operacion: { type: 'string', enum: ['create', 'update', 'delete'], example: 'create' },
+        indice: { type: 'integer', description: 'Posición de la operación en su lista', example: 0 },
+        status: { type: 'integer', description: 'El código que habría respondido el endpoint individual', example: 201 },
+        accion: { type: 'string', enum: ['create', 'update', 'unchanged', 'delete'], description: 'Qué se hizo (solo si se aplicó)', example: 'create' },
+        id: { type: 'integer', description: 'Llave primaria del registro', example: 12 },
+        error: { type: 'string', description: 'Solo si la operación falló' },
+        details: { type: 'array', items: { type: 'object', properties: { field: { type: 'string' }, message: { type: 'string' } } } },
+        dependientes: { type: 'array', items: { type: 'object' }, description: 'Registros que impiden la eliminación (sin cascade)' },
+        restore: { type: 'string', description: 'URL para restaurar el registro eliminado que ya tiene la misma llave natural (409)' },
+        location: { type: 'string', description: 'URL del registro que ya tiene la misma llave natural (409)' }
+    }
+};
+
+// Cuentas de usuario: la contraseña solo se recibe, nunca se devuelve
+const ROLES = ['admin', 'coordinador', 'lectura'];
+schemas.Usuario = {
+    type: 'object',
+    properties: {
+        id_usuario: { type: 'integer', example: 1 },
+        email: { type: 'string', format: 'email', example: 'coordinacion.sistemas@example.edu.co' },
+        nombre: { type: 'string', example: 'Coordinación Ingeniería de Sistemas' },
+        rol: { type: 'string', enum: ROLES, example: 'coordinador' },
+        id_programa: { type: 'integer', nullable: true, description: 'Programa que administra el coordinador', example: 1 },
+        activo: { type: 'boolean', example: true }
+    }
+};
+schemas.UsuarioInput = {
+    type: 'object',
+    properties: {
+        email: { type: 'string', format: 'email', maxLength: 255, example: 'coordinacion.sistemas@example.edu.co' },
+        nombre: { type: 'string', minLength: 1, maxLength: 255, example: 'Coordinación Ingeniería de Sistemas' },
+        password: { type: 'string', minLength: 8, maxLength: 72, example: 'una-clave-segura' },
+        rol: { type: 'string', enum: ROLES, example: 'coordinador' },
+        id_programa: id('Programa que administra el coordinador (obligatorio para ese rol)'),
+        activo: { type: 'boolean', example: true }
+    },
+    required: ['email', 'nombre', 'password', 'rol']
+};
+// En la actualización la contraseña es opcional: si no se envía, se conserva la actual
+schemas.UsuarioActualizacion = { ...schemas.UsuarioInput, required: ['email', 'nombre', 'rol'] };
+schemas.Login = {
+    type: 'object',
+    properties: {
+        email: { type: 'string', minLength: 1, example: 'coordinacion.sistemas@example.edu.co' },
+        password: { type: 'string', minLength: 1, example: 'una-clave-segura' }
+    },
+    required: ['email', 'password']
+};
+schemas.RefreshToken = {
+    type: 'object',
+    properties: {
+        refresh_token: { type: 'string', minLength: 1, example: 'd2VsbCBoZWxsbyB0aGVyZQ' }
+    },
+    required: ['refresh_token']
+};
+schemas.Tokens = {
+    type: 'object',
+    properties: {
+        access_token: { type: 'string', description: 'JWT para el encabezado Authorization: Bearer' },
+        token_type: { type: 'string', example: 'Bearer' },
+        expires_in: { type: 'integer', description: 'Segundos de vigencia del token de acceso', example: 900 },
+        refresh_token: { type: 'string', description: 'Sirve una sola vez para obtener un par nuevo' },
+        usuario: { $ref: '#/components/schemas/Usuario' }
+    }
+};
+
+// Entradas de la bitácora de auditoría (services/audit.js); solo se leen
+schemas.Auditoria = {
+    type: 'object',
+    properties: {
+        id_auditoria: { type: 'integer', example: 1 },
+        fecha: { type: 'string', format: 'date-time', example: '2024-05-20T14:32:10.000Z' },
+        usuario: { type: 'string', nullable: true, example: 'coordinacion.sistemas@example.edu.co' },
+        entidad: { type: 'string', description: 'Tabla sin el prefijo p_', example: 'practica' },
+        id_registro: { type: 'string', example: '42' },
+        accion: { type: 'string', enum: ['create', 'update', 'delete', 'restore'], example: 'update' },
+        origen: { type: 'string', description: "'api', 'importacion:<id del trabajo>' o 'reversion:<id del trabajo>'", example: 'api' },
+        cambios: {
+            type: 'object',
+            description: 'Columnas que cambiaron con su valor anterior y el nuevo',
+            additionalProperties: {
+                type: 'object',
+                properties: {
+                    antes: { description: 'Valor anterior (null en una creación)' },
+                    despues: { description: 'Valor nuevo (null en una eliminación)' }
+                }
+            },
+            example: { no_folio: { antes: 'F12345', despues: 'F12346' } }
+        }
+    }
+};
+
+// Reglas que involucran varios campos, con el mismo formato de error que la validación por esquema
+const CHECKS = {
+    PracticaInput: (body) => (body.fec_inicio && body.fec_termina && body.fec_termina < body.fec_inicio
+        ? [{ field: 'fec_termina', message: 'no puede ser anterior a fec_inicio' }]
+        : []),
+    UsuarioInput: (body) => (body.rol === 'coordinador' && !body.id_programa
+        ? [{ field: 'id_programa', message: 'es obligatorio para el rol coordinador' }]
+        : [])
+};
+CHECKS.UsuarioActualizacion = CHECKS.UsuarioInput;
+// En el cuerpo de un PATCH las fechas solo se comparan si vienen las dos; contra las guardadas se
+// comparan con validateMerged (middleware/validate.js) una vez leído el registro
+CHECKS.PracticaParcial = CHECKS.PracticaInput;
+
+module.exports = {
+    FIELDS,
+    ROLES,
+    schemas,
+    CHECKS
+};
@@ -0,0 +1,28 @@
+// Conversión de filas de la base de datos a JSON que se pueda volver a escribir en MySQL y PostgreSQL
+
+const pad = (n) => String(n).padStart(2, '0');
+
+// Las columnas DATE llegan como Date a medianoche local; se guardan como 'YYYY-MM-DD' para no correr el día por la zona horaria
+const toSqlDate = (date) => {
+    const day = `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    if (date.getHours() === 0 && date.getMinutes() === 0 && date.getSeconds() === 0 && date.getMilliseconds() === 0) {
+        return day;
+    }
+    return `${day} ${pad(date.getHours())}:${pad(date.getMinutes())}:${pad(date.getSeconds())}`;
+};
+
+const serializeRow = (row) => {
+    if (!row) {
+        return row;
+    }
+    const result = {};
+    Object.keys(row).forEach((key) => {
+        result[key] = row[key] instanceof Date ? toSqlDate(row[key]) : row[key];
+    });
+    return result;
+};
+
+module.exports = {
+    toSqlDate,
+    serializeRow
+};
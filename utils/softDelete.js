@@ -0,0 +1,56 @@
+// Borrado lógico: las tablas de datos marcan deleted_at en vez de borrar la fila, y los listados y
+// consultas por ID no muestran las filas marcadas salvo que un administrador lo pida
+
+/**
+ * Lee ?includeDeleted=true. Solo los administradores pueden ver los registros eliminados.
+ * Devuelve { includeDeleted } o { error } con el mensaje para responder 403.
+ */
+const parseIncludeDeleted = (req) => {
+    const includeDeleted = req.query.includeDeleted === 'true';
+    if (includeDeleted && req.user.rol !== 'admin') {
+        return { error: 'Solo un administrador puede ver los registros eliminados.' };
+    }
+    return { includeDeleted };
+};
+
+// Agrega la exclusión de los eliminados a un WHERE ya armado ('' o 'WHERE ...'); devuelve el WHERE
+const notDeletedWhere = (table, where = '', includeDeleted = false) => {
+    if (includeDeleted) {
+        return where;
+    }
+    const condition = `${table}.deleted_at IS NULL`;
+    return where ? `${where} AND ${condition}` : `WHERE ${condition}`;
+};
+
+// Marca como eliminado el registro con column = value
+const softDelete = (connection, table, column, value) => connection.query(
+    `UPDATE ${table} SET deleted_at = ? WHERE ${column} = ? AND deleted_at IS NULL`, [new Date(), value]);
+
+// Quita la marca de eliminado del registro con column = value
+const restore = (connection, table, column, value) => connection.query(
+    `UPDATE ${table} SET deleted_at = NULL WHERE ${column} = ?`, [value]);
+
+/**
+ * Cuerpo del 409 de un POST, PUT o PATCH cuya llave natural ya está registrada en otro registro (ver
+ * findDuplicate en db/repository.js). Si ese registro está eliminado indica cómo restaurarlo, porque volver
+ * a crearlo no es posible.
+ */
+const duplicateError = (req, repository, record) => {
+    const { naturalKey } = repository;
+    const url = `${req.baseUrl}/${encodeURIComponent(record[repository.key])}`;
+    if (record.deleted_at) {
+        return {
+            error: `Ya existe un registro con ${naturalKey} ${record[naturalKey]}, pero está eliminado: un administrador puede restaurarlo con POST ${url}/restore.`,
+            restore: `${url}/restore`
+        };
+    }
+    return { error: `Ya existe un registro con ${naturalKey} ${record[naturalKey]}.`, location: url };
+};
+
+module.exports = {
+    parseIncludeDeleted,
+    duplicateError,
+    notDeletedWhere,
+    softDelete,
+    restore
+};
@@ -0,0 +1,92 @@
+// Validadores de formato compartidos por el importador y las rutas
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+// Pesos de la DIAN para el dígito de verificación, aplicados de derecha a izquierda
+const NIT_WEIGHTS = [3, 7, 13, 17, 19, 23, 29, 37, 41, 43, 47, 53, 59, 67, 71];
+
+const isEmpty = (value) => value === undefined || value === null || String(value).trim() === '';
+
+const isEmail = (value) => EMAIL_REGEX.test(String(value).trim());
+
+// Calcula el dígito de verificación de un NIT colombiano
+const nitCheckDigit = (nit) => {
+    const digits = String(nit).split('').reverse();
+    const sum = digits.reduce((acc, digit, i) => acc + Number(digit) * NIT_WEIGHTS[i], 0);
+    const remainder = sum % 11;
+    return remainder > 1 ? 11 - remainder : remainder;
+};
+
+// Acepta NIT con o sin puntos y con o sin dígito de verificación (900.123.456-8); si trae dígito, lo verifica
+const isNit = (value) => {
+    const match = String(value).trim().replace(/[.\s]/g, '').match(/^(\d{6,15})(?:-(\d))?$/);
+    if (!match) {
+        return false;
+    }
+    return match[2] === undefined || nitCheckDigit(match[1]) === Number(match[2]);
+};
+
+// Teléfono colombiano: 10 dígitos (celular 3XX o fijo 60X) o 7 dígitos del fijo anterior, con o sin +57
+const isPhone = (value) => {
+    const digits = String(value).trim().replace(/[\s().-]/g, '').replace(/^\+?57(?=\d{10}$)/, '');
+    return /^(3\d{9}|60\d{8}|\d{7})$/.test(digits);
+};
+
+// Convierte un número de la hoja (o texto numérico) a Number; devuelve null si no es numérico
+const parseNumber = (value) => {
+    if (typeof value === 'number') {
+        return Number.isFinite(value) ? value : null;
+    }
+    const text = String(value).trim();
+    if (!/^-?\d+(\.\d+)?$/.test(text)) {
+        return null;
+    }
+    return Number(text);
+};
+
+const pad = (n) => String(n).padStart(2, '0');
+
+const toIsoDate = (year, month, day) => {
+    const date = new Date(Date.UTC(year, month - 1, day));
+    if (date.getUTCFullYear() !== year || date.getUTCMonth() !== month - 1 || date.getUTCDate() !== day) {
+        return null;
+    }
+    return `${year}-${pad(month)}-${pad(day)}`;
+};
+
+/**
+ * Convierte una fecha de la hoja a 'YYYY-MM-DD'. Acepta seriales de Excel/ODS (días desde 1900),
+ * objetos Date y los textos que llegan en CSV: dd/mm/aaaa, dd-mm-aaaa y aaaa-mm-dd.
+ * Devuelve null si el valor no es una fecha válida.
+ */
+const parseSheetDate = (value) => {
+    if (value instanceof Date) {
+        return Number.isNaN(value.getTime()) ? null : toIsoDate(value.getFullYear(), value.getMonth() + 1, value.getDate());
+    }
+
+    const serial = parseNumber(value);
+    if (serial !== null) {
+        return serial > 0 ? new Date((serial - (25567 + 2)) * 86400 * 1000).toISOString().slice(0, 10) : null;
+    }
+
+    const text = String(value).trim();
+    let match = text.match(/^(\d{1,2})[/-](\d{1,2})[/-](\d{4})$/);
+    if (match) {
+        return toIsoDate(Number(match[3]), Number(match[2]), Number(match[1]));
+    }
+    match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})$/);
+    if (match) {
+        return toIsoDate(Number(match[1]), Number(match[2]), Number(match[3]));
+    }
+    return null;
+};
+
+module.exports = {
+    isEmpty,
+    isEmail,
+    isNit,
+    nitCheckDigit,
+    isPhone,
+    parseNumber,
+    parseSheetDate
+};